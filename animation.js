@@ -0,0 +1,613 @@
+// 动图（GIF / APNG）逐帧混淆：解析出每一帧，按相同参数重排后重新编码
+// 帧位置、延时、处置方式、混合方式、循环次数和调色板原样保留；重排的是 GIF 的调色板下标和 APNG 的原始像素字节，
+// 不经过画布，解混淆结果与原动图逐帧一致。不依赖 DOM，页面、Web Worker 和 Node 命令行共用
+
+// Node 中从 core.js / bytes.js 取依赖；浏览器和 Worker 中它们是先加载的脚本定义的全局函数
+const animationDeps = typeof module !== 'undefined' && module.exports ? { ...require('./core.js'), ...require('./bytes.js') } : {
+    confuseImageData,
+    deconfuseImageData,
+    createConfusionRecord,
+    parseConfusionRecord,
+    METADATA_KEYWORD,
+    ByteBuilder,
+    concatBytes,
+    readAscii,
+    asciiBytes,
+    PNG_SIGNATURE,
+    PNG_COLOR_TYPES,
+    hasPngSignature,
+    pngChunks,
+    createPngChunk,
+    unfilterScanline,
+    filterScanlines,
+    deflateBytes,
+    inflateBytes
+};
+
+// ===== GIF =====
+const GIF_LOOP_APPS = ['NETSCAPE2.0', 'ANIMEXTS1.0'];
+
+// 读取数据子块序列，返回拼接后的内容和结束位置
+function readGifSubBlocks(bytes, pos) {
+    const builder = new animationDeps.ByteBuilder();
+    while (pos < bytes.length) {
+        const size = bytes[pos++];
+        if (size === 0) break;
+        builder.bytes(bytes.subarray(pos, Math.min(pos + size, bytes.length)));
+        pos += size;
+    }
+    return { data: builder.toBytes(), end: pos };
+}
+
+function writeGifSubBlocks(builder, data) {
+    for (let pos = 0; pos < data.length; pos += 255) {
+        const size = Math.min(255, data.length - pos);
+        builder.byte(size).bytes(data.subarray(pos, pos + size));
+    }
+    builder.byte(0);
+}
+
+// 解析 GIF 结构，帧数据保持 LZW 压缩状态；comments 为注释扩展的文本
+function parseGif(bytes) {
+    const signature = animationDeps.readAscii(bytes, 0, 6);
+    if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+        throw new Error('不是GIF文件');
+    }
+
+    const flags = bytes[10];
+    const gif = {
+        format: 'gif',
+        width: bytes[6] | (bytes[7] << 8),
+        height: bytes[8] | (bytes[9] << 8),
+        flags,
+        backgroundIndex: bytes[11],
+        aspect: bytes[12],
+        globalPalette: null,
+        loopCount: null,
+        comments: [],
+        frames: []
+    };
+    let pos = 13;
+    if (flags & 0x80) {
+        const size = 3 * (2 << (flags & 7));
+        gif.globalPalette = bytes.slice(pos, pos + size);
+        pos += size;
+    }
+
+    let control = null;
+    while (pos < bytes.length) {
+        const block = bytes[pos++];
+        if (block === 0x3B) break; // 结束符
+
+        if (block === 0x21) {
+            const label = bytes[pos++];
+            const { data, end } = readGifSubBlocks(bytes, pos);
+            pos = end;
+            if (label === 0xF9 && data.length >= 4) {
+                // 图形控制扩展：作用于下一帧
+                control = {
+                    disposal: (data[0] >> 2) & 7,
+                    userInput: (data[0] & 2) !== 0,
+                    transparentIndex: data[0] & 1 ? data[3] : null,
+                    delay: data[1] | (data[2] << 8)
+                };
+            } else if (label === 0xFF && data.length >= 14 && GIF_LOOP_APPS.includes(animationDeps.readAscii(data, 0, 11)) && data[11] === 1) {
+                gif.loopCount = data[12] | (data[13] << 8);
+            } else if (label === 0xFE) {
+                gif.comments.push(animationDeps.readAscii(data, 0, data.length));
+            }
+        } else if (block === 0x2C) {
+            const frame = {
+                x: bytes[pos] | (bytes[pos + 1] << 8),
+                y: bytes[pos + 2] | (bytes[pos + 3] << 8),
+                width: bytes[pos + 4] | (bytes[pos + 5] << 8),
+                height: bytes[pos + 6] | (bytes[pos + 7] << 8),
+                flags: bytes[pos + 8],
+                palette: null,
+                control,
+                minCodeSize: 0,
+                lzw: null,
+                indices: null
+            };
+            pos += 9;
+            if (frame.flags & 0x80) {
+                const size = 3 * (2 << (frame.flags & 7));
+                frame.palette = bytes.slice(pos, pos + size);
+                pos += size;
+            }
+            frame.minCodeSize = bytes[pos++];
+            const { data, end } = readGifSubBlocks(bytes, pos);
+            pos = end;
+            frame.lzw = data;
+            gif.frames.push(frame);
+            control = null;
+        } else {
+            throw new Error('GIF数据损坏');
+        }
+    }
+
+    if (gif.frames.length === 0) throw new Error('GIF中没有图像');
+    return gif;
+}
+
+// LZW 解码为调色板下标；数据提前结束时其余像素保持为 0
+function lzwDecode(data, minCodeSize, pixelCount) {
+    const output = new Uint8Array(pixelCount);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const prefix = new Uint16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const stack = new Uint8Array(4097);
+    for (let i = 0; i < clearCode; i++) suffix[i] = i;
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let prev = -1;
+    let firstByte = 0;
+    let bits = 0, bitCount = 0, pos = 0, out = 0;
+
+    while (out < pixelCount) {
+        while (bitCount < codeSize) {
+            if (pos >= data.length) return output;
+            bits |= data[pos++] << bitCount;
+            bitCount += 8;
+        }
+        const code = bits & ((1 << codeSize) - 1);
+        bits >>>= codeSize;
+        bitCount -= codeSize;
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+            prev = -1;
+            continue;
+        }
+        if (code === endCode) break;
+
+        if (prev === -1) {
+            if (code >= clearCode) break;
+            output[out++] = code;
+            prev = firstByte = code;
+            continue;
+        }
+        if (code > nextCode) break;
+
+        // code 尚未入表时（KwKwK），输出前一串加上它的首字节
+        let top = 0;
+        let current = code;
+        if (code === nextCode) {
+            stack[top++] = firstByte;
+            current = prev;
+        }
+        while (current >= clearCode) {
+            stack[top++] = suffix[current];
+            current = prefix[current];
+        }
+        stack[top++] = current;
+        firstByte = current;
+        while (top > 0 && out < pixelCount) output[out++] = stack[--top];
+
+        if (nextCode < 4096) {
+            prefix[nextCode] = prev;
+            suffix[nextCode] = firstByte;
+            nextCode++;
+            if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        prev = code;
+    }
+    return output;
+}
+
+// LZW 编码调色板下标；码表满时发出清除码重新开始
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const table = new Map();
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+
+    let output = new Uint8Array(Math.max(1024, indices.length));
+    let length = 0;
+    let bits = 0, bitCount = 0;
+    const pushByte = value => {
+        if (length === output.length) {
+            const grown = new Uint8Array(output.length * 2);
+            grown.set(output);
+            output = grown;
+        }
+        output[length++] = value;
+    };
+    const emit = code => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            pushByte(bits & 0xFF);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const value = indices[i];
+        const key = (prefix << 8) | value;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode < 4096) {
+            table.set(key, nextCode++);
+            if (nextCode > 1 << codeSize && codeSize < 12) codeSize++;
+        } else {
+            emit(clearCode);
+            table.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = value;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) pushByte(bits & 0xFF);
+    return output.subarray(0, length);
+}
+
+// 隔行扫描的行顺序：四遍分别从第 0、4、2、1 行开始，步长 8、8、4、2
+function deinterlace(indices, width, height) {
+    const result = new Uint8Array(indices.length);
+    let row = 0;
+    for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+        for (let y = start; y < height; y += step) {
+            result.set(indices.subarray(row * width, (row + 1) * width), y * width);
+            row++;
+        }
+    }
+    return result;
+}
+
+// 解码 GIF：每一帧得到逐行排列的调色板下标 indices
+function decodeGif(bytes) {
+    const gif = parseGif(bytes);
+    for (const frame of gif.frames) {
+        const indices = lzwDecode(frame.lzw, frame.minCodeSize, frame.width * frame.height);
+        frame.indices = frame.flags & 0x40 ? deinterlace(indices, frame.width, frame.height) : indices;
+        frame.lzw = null;
+    }
+    return gif;
+}
+
+// 编码 GIF（GIF89a，不隔行）；comment 写为注释扩展
+function encodeGif(gif, comment) {
+    const builder = new animationDeps.ByteBuilder();
+    builder.ascii('GIF89a').u16le(gif.width).u16le(gif.height).byte(gif.flags, gif.backgroundIndex, gif.aspect);
+    if (gif.globalPalette) builder.bytes(gif.globalPalette);
+
+    if (gif.loopCount !== null) {
+        builder.byte(0x21, 0xFF, 11).ascii('NETSCAPE2.0').byte(3, 1).u16le(gif.loopCount).byte(0);
+    }
+    if (comment) {
+        builder.byte(0x21, 0xFE);
+        writeGifSubBlocks(builder, animationDeps.asciiBytes(comment));
+    }
+
+    for (const frame of gif.frames) {
+        const control = frame.control;
+        if (control) {
+            const packed = (control.disposal << 2) | (control.userInput ? 2 : 0) | (control.transparentIndex !== null ? 1 : 0);
+            builder.byte(0x21, 0xF9, 4, packed).u16le(control.delay).byte(control.transparentIndex || 0, 0);
+        }
+        builder.byte(0x2C).u16le(frame.x).u16le(frame.y).u16le(frame.width).u16le(frame.height).byte(frame.flags & ~0x40);
+        if (frame.palette) builder.bytes(frame.palette);
+        builder.byte(frame.minCodeSize);
+        writeGifSubBlocks(builder, lzwEncode(frame.indices, frame.minCodeSize));
+    }
+
+    builder.byte(0x3B);
+    return builder.toBytes();
+}
+
+// 读取 GIF 注释中以 prefix 开头的文本（不解码图像）
+function readGifComment(bytes, prefix) {
+    try {
+        const comment = parseGif(bytes).comments.find(text => text.startsWith(prefix));
+        return comment ? comment.slice(prefix.length) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ===== APNG =====
+
+// 读取全部数据块；签名不对或数据块被截断时抛出异常
+function readPngChunkList(bytes) {
+    if (!animationDeps.hasPngSignature(bytes)) throw new Error('不是PNG文件');
+    const chunks = animationDeps.pngChunks(bytes);
+    const last = chunks[chunks.length - 1];
+    if (last && last.truncated) throw new Error(`PNG数据块 ${last.type} 被截断`);
+    return chunks;
+}
+
+function writePngChunk(builder, type, data) {
+    builder.bytes(animationDeps.createPngChunk(type, data));
+}
+
+// 还原各行的滤波，返回不含滤波字节的逐行数据
+function unfilterRows(raw, rowBytes, height, bpp) {
+    const rows = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+        const pos = y * (rowBytes + 1);
+        if (pos + 1 + rowBytes > raw.length) throw new Error('PNG图像数据不完整');
+        const row = rows.subarray(y * rowBytes, (y + 1) * rowBytes);
+        row.set(raw.subarray(pos + 1, pos + 1 + rowBytes));
+        const prev = y > 0 ? rows.subarray((y - 1) * rowBytes, y * rowBytes) : null;
+        animationDeps.unfilterScanline(raw[pos], row, prev, bpp);
+    }
+    return rows;
+}
+
+// 逐行数据与逐像素字节互转：位深不足 8 时每个样本展开为一个字节
+function unpackPixels(rows, width, height, header) {
+    if (header.bitDepth >= 8) return rows;
+    const { bitDepth, rowBytes } = header;
+    const perByte = 8 / bitDepth;
+    const mask = (1 << bitDepth) - 1;
+    const pixels = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const byte = rows[y * rowBytes + Math.floor(x / perByte)];
+            pixels[x + y * width] = (byte >> (8 - bitDepth * (x % perByte + 1))) & mask;
+        }
+    }
+    return pixels;
+}
+
+function packPixels(pixels, width, height, header) {
+    if (header.bitDepth >= 8) return pixels;
+    const { bitDepth, rowBytes } = header;
+    const perByte = 8 / bitDepth;
+    const rows = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            rows[y * rowBytes + Math.floor(x / perByte)] |= pixels[x + y * width] << (8 - bitDepth * (x % perByte + 1));
+        }
+    }
+    return rows;
+}
+
+// 每帧的像素格式：每像素字节数、每行字节数、滤波用的字节间距
+function pngFrameHeader(header, width) {
+    const bitsPerPixel = header.channels * header.bitDepth;
+    return {
+        ...header,
+        rowBytes: Math.ceil(width * bitsPerPixel / 8),
+        bpp: Math.max(1, bitsPerPixel >> 3),
+        pixelBytes: Math.max(1, bitsPerPixel >> 3)
+    };
+}
+
+// 解码 APNG：保留所有数据块的顺序，每帧（含不参与动画的默认图像）得到逐像素字节 pixels
+async function decodeApng(bytes) {
+    const chunks = readPngChunkList(bytes);
+    const ihdr = chunks[0];
+    if (!ihdr || ihdr.type !== 'IHDR') throw new Error('PNG缺少IHDR块');
+    const view = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.byteLength);
+    const header = {
+        bitDepth: ihdr.data[8],
+        colorType: ihdr.data[9],
+        channels: (animationDeps.PNG_COLOR_TYPES[ihdr.data[9]] || {}).channels
+    };
+    if (!header.channels) throw new Error(`不支持的PNG颜色类型 ${header.colorType}`);
+    if (ihdr.data[12]) throw new Error('暂不支持隔行扫描的APNG');
+
+    const apng = {
+        format: 'apng',
+        width: view.getUint32(0),
+        height: view.getUint32(4),
+        header,
+        layout: [],   // 输出顺序：{ chunk } 原样写出，{ frame } 写出该帧的 fcTL 和图像数据
+        frames: []
+    };
+
+    let current = null;
+    let defaultImage = null;
+    for (const chunk of chunks) {
+        if (chunk.type === 'IEND') break;
+        if (chunk.type === 'fcTL') {
+            current = { control: chunk.data.slice(), data: [], fromIdat: false };
+            apng.frames.push(current);
+            apng.layout.push({ frame: current });
+        } else if (chunk.type === 'IDAT') {
+            // fcTL 在 IDAT 之前时默认图像就是第一帧，否则是不参与动画的单独图像
+            if (current && apng.frames.length === 1 && (current.fromIdat || current.data.length === 0)) {
+                current.fromIdat = true;
+                current.data.push(chunk.data);
+            } else {
+                if (!defaultImage) {
+                    defaultImage = { control: null, data: [], fromIdat: true };
+                    apng.frames.unshift(defaultImage);
+                    apng.layout.push({ frame: defaultImage });
+                }
+                defaultImage.data.push(chunk.data);
+            }
+        } else if (chunk.type === 'fdAT') {
+            if (current) current.data.push(chunk.data.subarray(4));
+        } else if (chunk.type !== 'tEXt' || animationDeps.readAscii(chunk.data, 0, chunk.data.indexOf(0)) !== animationDeps.METADATA_KEYWORD) {
+            apng.layout.push({ chunk });
+        }
+    }
+
+    for (const frame of apng.frames) {
+        const control = frame.control && new DataView(frame.control.buffer, frame.control.byteOffset, frame.control.byteLength);
+        frame.width = control ? control.getUint32(4) : apng.width;
+        frame.height = control ? control.getUint32(8) : apng.height;
+        const frameHeader = pngFrameHeader(header, frame.width);
+        const raw = await animationDeps.inflateBytes(animationDeps.concatBytes(frame.data));
+        const rows = unfilterRows(raw, frameHeader.rowBytes, frame.height, frameHeader.bpp);
+        frame.pixels = unpackPixels(rows, frame.width, frame.height, frameHeader);
+        frame.pixelBytes = frameHeader.pixelBytes;
+        frame.data = null;
+    }
+    return apng;
+}
+
+// 编码 APNG：按原顺序写出数据块，fcTL / fdAT 的序号重新编排；text 写为紧随 IHDR 的 tEXt 块
+async function encodeApng(apng, text) {
+    const builder = new animationDeps.ByteBuilder().bytes(animationDeps.PNG_SIGNATURE);
+    let sequence = 0;
+    for (const item of apng.layout) {
+        if (item.chunk) {
+            writePngChunk(builder, item.chunk.type, item.chunk.data);
+            if (item.chunk.type === 'IHDR' && text) {
+                writePngChunk(builder, 'tEXt', new animationDeps.ByteBuilder().ascii(animationDeps.METADATA_KEYWORD).byte(0).ascii(text).toBytes());
+            }
+            continue;
+        }
+
+        const frame = item.frame;
+        if (frame.control) {
+            const control = frame.control.slice();
+            new DataView(control.buffer).setUint32(0, sequence++);
+            writePngChunk(builder, 'fcTL', control);
+        }
+        const frameHeader = pngFrameHeader(apng.header, frame.width);
+        const rows = packPixels(frame.pixels, frame.width, frame.height, frameHeader);
+        const compressed = await animationDeps.deflateBytes(animationDeps.filterScanlines(rows, frameHeader.rowBytes, frame.height, frameHeader.bpp));
+        if (frame.fromIdat) {
+            writePngChunk(builder, 'IDAT', compressed);
+        } else {
+            writePngChunk(builder, 'fdAT', new animationDeps.ByteBuilder().u32be(sequence++).bytes(compressed).toBytes());
+        }
+    }
+    writePngChunk(builder, 'IEND', new Uint8Array(0));
+    return builder.toBytes();
+}
+
+// 判断是否为 APNG：IDAT 之前出现 acTL
+function isApng(bytes) {
+    try {
+        for (const chunk of readPngChunkList(bytes)) {
+            if (chunk.type === 'acTL') return true;
+            if (chunk.type === 'IDAT') return false;
+        }
+    } catch (error) {
+        return false;
+    }
+    return false;
+}
+
+// ===== 逐帧重排 =====
+// 每像素 pixelBytes 个字节，按 4 字节一组拆成若干张 RGBA 平面，各平面用相同的参数重排，像素的各字节始终一起移动
+function remapPixels(pixels, pixelBytes, width, height, params, reverse) {
+    const total = width * height;
+    const result = new Uint8Array(pixels.length);
+    for (let start = 0; start < pixelBytes; start += 4) {
+        const span = Math.min(4, pixelBytes - start);
+        const plane = new Uint8ClampedArray(total * 4);
+        for (let p = 0; p < total; p++) {
+            for (let c = 0; c < span; c++) plane[4 * p + c] = pixels[p * pixelBytes + start + c];
+        }
+        const image = { width, height, data: plane };
+        const output = reverse
+            ? animationDeps.deconfuseImageData(image, params)
+            : animationDeps.confuseImageData(image, params);
+        for (let p = 0; p < total; p++) {
+            for (let c = 0; c < span; c++) result[p * pixelBytes + start + c] = output.data[4 * p + c];
+        }
+    }
+    return result;
+}
+
+// 判断是否为动图：多帧 GIF 返回 'gif'，APNG 返回 'apng'，否则返回 null
+function detectAnimation(bytes) {
+    if (animationDeps.readAscii(bytes, 0, 3) === 'GIF') {
+        try {
+            return parseGif(bytes).frames.length > 1 ? 'gif' : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    return isApng(bytes) ? 'apng' : null;
+}
+
+async function decodeAnimation(bytes) {
+    return animationDeps.readAscii(bytes, 0, 3) === 'GIF' ? decodeGif(bytes) : decodeApng(bytes);
+}
+
+// 逐帧重排（原地替换每帧的像素）；帧尺寸各不相同，补边、局部区域、记录中的偏移量和高强度模式都不适用
+// onProgress(stage, fraction) 中 stage 为 'frames'
+function remapAnimation(animation, params, reverse, onProgress) {
+    const frameParams = {
+        ...params,
+        regions: undefined,
+        padTo: 0,
+        offset: undefined,
+        originalWidth: undefined,
+        originalHeight: undefined,
+        strong: false
+    };
+    animation.frames.forEach((frame, i) => {
+        if (onProgress) onProgress('frames', i / animation.frames.length);
+        if (!frame.width || !frame.height) return;
+        if (animation.format === 'gif') {
+            frame.indices = remapPixels(frame.indices, 1, frame.width, frame.height, frameParams, reverse);
+        } else {
+            frame.pixels = remapPixels(frame.pixels, frame.pixelBytes, frame.width, frame.height, frameParams, reverse);
+        }
+    });
+    return { animation: animation.format, frames: animation.frames.length };
+}
+
+// 编码动图，text 为混淆记录（GIF 写入注释，APNG 写入 tEXt）
+async function encodeAnimation(animation, text) {
+    return animation.format === 'gif'
+        ? encodeGif(animation, text && `${animationDeps.METADATA_KEYWORD}:${text}`)
+        : encodeApng(animation, text);
+}
+
+// 读取动图中的混淆记录
+function readAnimationRecord(bytes) {
+    let text;
+    if (animationDeps.readAscii(bytes, 0, 3) === 'GIF') {
+        text = readGifComment(bytes, `${animationDeps.METADATA_KEYWORD}:`);
+    } else {
+        const chunk = readPngChunkList(bytes).find(c => c.type === 'tEXt' &&
+            animationDeps.readAscii(c.data, 0, c.data.indexOf(0)) === animationDeps.METADATA_KEYWORD);
+        text = chunk ? animationDeps.readAscii(chunk.data, chunk.data.indexOf(0) + 1, chunk.data.length) : null;
+    }
+    return text ? animationDeps.parseConfusionRecord(text) : null;
+}
+
+// 动图混淆 / 解混淆：解码、逐帧重排、重新编码；混淆时写入混淆记录
+async function processAnimation(bytes, params, reverse, onProgress) {
+    const animation = await decodeAnimation(bytes);
+    const info = remapAnimation(animation, params, reverse, onProgress);
+    if (onProgress) onProgress('encode', 0);
+    const record = reverse ? null : animationDeps.createConfusionRecord({ ...params, strong: false }, info, animation.width, animation.height);
+    const output = await encodeAnimation(animation, record && JSON.stringify(record));
+    return {
+        bytes: output,
+        mime: animation.format === 'gif' ? 'image/gif' : 'image/png',
+        width: animation.width,
+        height: animation.height,
+        info
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        detectAnimation,
+        decodeAnimation,
+        remapAnimation,
+        encodeAnimation,
+        processAnimation,
+        readAnimationRecord,
+        readGifComment,
+        decodeGif,
+        encodeGif,
+        lzwDecode,
+        lzwEncode
+    };
+}
@@ -0,0 +1,190 @@
+// 性能对比：旧版（坐标数组 + 逐像素 slice）与新版（Uint32Array 下标 + 32 位整像素搬运 + 缓存）
+
+// 旧版 Gilbert 曲线：每个像素生成一个 [x, y] 数组
+function legacyGilbert2d(width, height) {
+    const coordinates = [];
+
+    if (width >= height) {
+        legacyGenerate2d(0, 0, width, 0, 0, height, coordinates);
+    } else {
+        legacyGenerate2d(0, 0, 0, height, width, 0, coordinates);
+    }
+
+    return coordinates;
+}
+
+function legacyGenerate2d(x, y, ax, ay, bx, by, coordinates) {
+    const w = Math.abs(ax + ay);
+    const h = Math.abs(bx + by);
+
+    const dax = Math.sign(ax), day = Math.sign(ay);
+    const dbx = Math.sign(bx), dby = Math.sign(by);
+
+    if (h === 1) {
+        for (let i = 0; i < w; i++) {
+            coordinates.push([x, y]);
+            x += dax;
+            y += day;
+        }
+        return;
+    }
+
+    if (w === 1) {
+        for (let i = 0; i < h; i++) {
+            coordinates.push([x, y]);
+            x += dbx;
+            y += dby;
+        }
+        return;
+    }
+
+    let ax2 = Math.floor(ax / 2), ay2 = Math.floor(ay / 2);
+    let bx2 = Math.floor(bx / 2), by2 = Math.floor(by / 2);
+
+    const w2 = Math.abs(ax2 + ay2);
+    const h2 = Math.abs(bx2 + by2);
+
+    if (2 * w > 3 * h) {
+        if ((w2 % 2) && (w > 2)) {
+            ax2 += dax;
+            ay2 += day;
+        }
+
+        legacyGenerate2d(x, y, ax2, ay2, bx, by, coordinates);
+        legacyGenerate2d(x + ax2, y + ay2, ax - ax2, ay - ay2, bx, by, coordinates);
+
+    } else {
+        if ((h2 % 2) && (h > 2)) {
+            bx2 += dbx;
+            by2 += dby;
+        }
+
+        legacyGenerate2d(x, y, bx2, by2, ax2, ay2, coordinates);
+        legacyGenerate2d(x + bx2, y + by2, ax, ay, bx - bx2, by - by2, coordinates);
+        legacyGenerate2d(x + (ax - dax) + (bx2 - dbx), y + (ay - day) + (by2 - dby),
+            -bx2, -by2, -(ax - ax2), -(ay - ay2), coordinates);
+    }
+}
+
+// 旧版像素重排：每个像素 slice 出一个 4 字节数组再写入
+function legacyRemap(src, dst, width, height, curve) {
+    const offset = Math.round((Math.sqrt(5) - 1) / 2 * width * height);
+    for (let i = 0; i < width * height; i++) {
+        const old_pos = curve[i];
+        const new_pos = curve[(i + offset) % (width * height)];
+        const old_p = 4 * (old_pos[0] + old_pos[1] * width);
+        const new_p = 4 * (new_pos[0] + new_pos[1] * width);
+        dst.set(src.slice(old_p, old_p + 4), new_p);
+    }
+}
+
+// 生成带随机噪声的测试像素
+function createTestPixels(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    const random = sfc32(11, 22, 33, 44);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.floor(random() * 256);
+    }
+    return data;
+}
+
+function sameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+// 对单个尺寸执行一轮对比，返回各阶段耗时（毫秒）
+function benchmarkSize(width, height) {
+    const src = createTestPixels(width, height);
+    const legacyDst = new Uint8ClampedArray(src.length);
+    const dst = new Uint8ClampedArray(src.length);
+    const params = { algorithm: 'gilbert', keyWords: null };
+
+    let start = performance.now();
+    const curve = legacyGilbert2d(width, height);
+    const legacyCurve = performance.now() - start;
+
+    start = performance.now();
+    legacyRemap(src, legacyDst, width, height, curve);
+    const legacyRemapTime = performance.now() - start;
+
+    orderCache.clear();
+    start = performance.now();
+    gilbert2d(width, height);
+    const newCurve = performance.now() - start;
+
+    orderCache.clear();
+    start = performance.now();
+    applyConfusion(src, dst, width, height, params, false);
+    const newFirst = performance.now() - start;
+
+    start = performance.now();
+    applyConfusion(src, dst, width, height, params, false);
+    const newCached = performance.now() - start;
+
+    return {
+        legacyCurve,
+        legacyRemap: legacyRemapTime,
+        legacyTotal: legacyCurve + legacyRemapTime,
+        newCurve,
+        newFirst,
+        newCached,
+        identical: sameBytes(legacyDst, dst)
+    };
+}
+
+function formatMs(ms) {
+    return ms >= 1000 ? (ms / 1000).toFixed(2) + ' s' : ms.toFixed(1) + ' ms';
+}
+
+// 逐个尺寸执行，每轮之间让出主线程以刷新表格
+function runBenchmark() {
+    const button = document.getElementById('runBenchmark');
+    const tbody = document.getElementById('benchmarkResults');
+    const sizes = Array.from(document.querySelectorAll('input[name="benchSize"]:checked'))
+        .map(input => input.value.split('x').map(Number));
+
+    tbody.innerHTML = '';
+    button.disabled = true;
+
+    const next = (index) => {
+        if (index >= sizes.length) {
+            button.disabled = false;
+            return;
+        }
+
+        const [width, height] = sizes[index];
+        const row = document.createElement('tr');
+        row.innerHTML = `<td>${width} × ${height}</td><td colspan="8">测试中...</td>`;
+        tbody.appendChild(row);
+
+        setTimeout(() => {
+            try {
+                const r = benchmarkSize(width, height);
+                row.innerHTML = `
+                    <td>${width} × ${height}</td>
+                    <td>${formatMs(r.legacyCurve)}</td>
+                    <td>${formatMs(r.legacyRemap)}</td>
+                    <td>${formatMs(r.legacyTotal)}</td>
+                    <td>${formatMs(r.newCurve)}</td>
+                    <td>${formatMs(r.newFirst)}</td>
+                    <td>${formatMs(r.newCached)}</td>
+                    <td>${(r.legacyTotal / r.newFirst).toFixed(1)}×</td>
+                    <td>${r.identical ? '✅' : '❌'}</td>
+                `;
+            } catch (error) {
+                row.innerHTML = `<td>${width} × ${height}</td><td colspan="8">失败：${error.message}</td>`;
+            }
+            next(index + 1);
+        }, 50);
+    };
+
+    next(0);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('runBenchmark').addEventListener('click', runBenchmark);
+});
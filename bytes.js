@@ -0,0 +1,321 @@
+// 字节与图片文件结构的共用工具：字节拼接和读写、PNG 的常量、数据块读写和扫描线滤波、
+// JPEG 段、WebP 块和 GIF 块的遍历、zlib 压缩，各模块从这里取，不各自保留一份。不依赖 DOM，页面、Web Worker 和 Node 共用
+
+// Node 中从 core.js 取 CRC 函数；浏览器和 Worker 中它是先加载的 core.js 定义的全局函数
+const bytesDeps = typeof module !== 'undefined' && module.exports ? require('./core.js') : { crc32 };
+
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let pos = 0;
+    for (const part of parts) {
+        result.set(part, pos);
+        pos += part.length;
+    }
+    return result;
+}
+
+// 按 Latin-1 读取 length 个字节为字符串，超出末尾的部分忽略
+function readAscii(bytes, start, length) {
+    let text = '';
+    for (let i = start; i < start + length && i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+    return text;
+}
+
+function asciiBytes(text) {
+    return Uint8Array.from(text, c => c.charCodeAt(0) & 0xFF);
+}
+
+function readUint32be(bytes, pos) {
+    return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+}
+
+function readUint32le(bytes, pos) {
+    return (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0;
+}
+
+function writeUint32be(bytes, pos, value) {
+    bytes[pos] = value >>> 24;
+    bytes[pos + 1] = (value >>> 16) & 0xFF;
+    bytes[pos + 2] = (value >>> 8) & 0xFF;
+    bytes[pos + 3] = value & 0xFF;
+}
+
+// 按顺序收集字节，最后一次性拼接
+class ByteBuilder {
+    constructor() {
+        this.parts = [];
+        this.length = 0;
+    }
+
+    bytes(data) {
+        this.parts.push(data);
+        this.length += data.length;
+        return this;
+    }
+
+    byte(...values) {
+        return this.bytes(Uint8Array.from(values));
+    }
+
+    u16le(value) {
+        return this.byte(value & 0xFF, (value >> 8) & 0xFF);
+    }
+
+    u32be(value) {
+        return this.byte((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+    }
+
+    ascii(text) {
+        return this.bytes(asciiBytes(text));
+    }
+
+    toBytes() {
+        return concatBytes(this.parts);
+    }
+}
+
+// ===== PNG =====
+const PNG_SIGNATURE = Uint8Array.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// 各颜色类型的通道数和允许的位深
+const PNG_COLOR_TYPES = {
+    0: { channels: 1, depths: [1, 2, 4, 8, 16] },
+    2: { channels: 3, depths: [8, 16] },
+    3: { channels: 1, depths: [1, 2, 4, 8] },
+    4: { channels: 2, depths: [8, 16] },
+    6: { channels: 4, depths: [8, 16] }
+};
+
+// Adam7 隔行扫描的七个子图：起点与步长
+const ADAM7_PASSES = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+function hasPngSignature(bytes, pos = 0) {
+    return PNG_SIGNATURE.every((value, i) => bytes[pos + i] === value);
+}
+
+// 从签名之后逐块读取：{ type, start, end, data }，读到 IEND 为止。
+// 数据块超出文件末尾时该块标记 truncated（data 为剩余部分）并停止
+function pngChunks(bytes, start = 0) {
+    const chunks = [];
+    let pos = start + 8;
+    while (pos + 12 <= bytes.length) {
+        const length = readUint32be(bytes, pos);
+        const type = readAscii(bytes, pos + 4, 4);
+        const end = pos + 12 + length;
+        if (end > bytes.length) {
+            chunks.push({ type, start: pos, end: bytes.length, data: bytes.subarray(pos + 8, pos + 8 + length), truncated: true });
+            break;
+        }
+        chunks.push({ type, start: pos, end, data: bytes.subarray(pos + 8, end - 4) });
+        pos = end;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+function pngChunkCrcMatches(bytes, chunk) {
+    return bytesDeps.crc32(bytes.subarray(chunk.start + 4, chunk.end - 4)) === readUint32be(bytes, chunk.end - 4);
+}
+
+// 生成一个完整的数据块：长度、类型、数据和 CRC
+function createPngChunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    writeUint32be(chunk, 0, data.length);
+    chunk.set(asciiBytes(type), 4);
+    chunk.set(data, 8);
+    writeUint32be(chunk, data.length + 8, bytesDeps.crc32(chunk.subarray(4, data.length + 8)));
+    return chunk;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// 原地还原一行的滤波，prev 为已还原的上一行（第一行为 null），bpp 为每像素字节数（不足 1 按 1 计）
+function unfilterScanline(filter, row, prev, bpp) {
+    for (let i = 0; i < row.length; i++) {
+        const left = i >= bpp ? row[i - bpp] : 0;
+        const up = prev ? prev[i] : 0;
+        const upLeft = prev && i >= bpp ? prev[i - bpp] : 0;
+        switch (filter) {
+            case 0: break;
+            case 1: row[i] = (row[i] + left) & 0xFF; break;
+            case 2: row[i] = (row[i] + up) & 0xFF; break;
+            case 3: row[i] = (row[i] + ((left + up) >> 1)) & 0xFF; break;
+            case 4: row[i] = (row[i] + paeth(left, up, upLeft)) & 0xFF; break;
+            default: throw new Error(`未知的PNG滤波类型 ${filter}`);
+        }
+    }
+}
+
+// 逐行数据（不含滤波字节）加上滤波：每行尝试五种滤波，取绝对值和最小的一种（libpng 的常用启发式）
+function filterScanlines(rows, rowBytes, height, bpp) {
+    const out = new Uint8Array((rowBytes + 1) * height);
+    const candidate = new Uint8Array(rowBytes);
+    for (let y = 0; y < height; y++) {
+        const row = rows.subarray(y * rowBytes, (y + 1) * rowBytes);
+        const prev = y > 0 ? rows.subarray((y - 1) * rowBytes, y * rowBytes) : null;
+        let bestScore = Infinity;
+        for (let filter = 0; filter <= 4; filter++) {
+            let score = 0;
+            for (let i = 0; i < rowBytes; i++) {
+                const left = i >= bpp ? row[i - bpp] : 0;
+                const up = prev ? prev[i] : 0;
+                const upLeft = prev && i >= bpp ? prev[i - bpp] : 0;
+                let value;
+                switch (filter) {
+                    case 0: value = row[i]; break;
+                    case 1: value = row[i] - left; break;
+                    case 2: value = row[i] - up; break;
+                    case 3: value = row[i] - ((left + up) >> 1); break;
+                    default: value = row[i] - paeth(left, up, upLeft);
+                }
+                value &= 0xFF;
+                candidate[i] = value;
+                score += value < 128 ? value : 256 - value;
+            }
+            if (score < bestScore) {
+                bestScore = score;
+                out[y * (rowBytes + 1)] = filter;
+                out.set(candidate, y * (rowBytes + 1) + 1);
+            }
+        }
+    }
+    return out;
+}
+
+// ===== JPEG =====
+
+// SOS 之前的各个段：{ marker, start, end, payload }，跳过段之间的填充字节
+function jpegSegments(bytes) {
+    const segments = [];
+    let pos = 2;
+    while (pos + 4 <= bytes.length && bytes[pos] === 0xFF) {
+        const marker = bytes[pos + 1];
+        if (marker === 0xFF) {
+            pos++;
+            continue;
+        }
+        if (marker === 0xDA || marker === 0xD9) break; // 图像数据开始
+        const end = pos + 2 + ((bytes[pos + 2] << 8) | bytes[pos + 3]);
+        if (end > bytes.length) break;
+        segments.push({ marker, start: pos, end, payload: bytes.subarray(pos + 4, end) });
+        pos = end;
+    }
+    return segments;
+}
+
+// ===== WebP =====
+
+// RIFF 头之后的各个块：{ fourcc, start, end, data }，end 含奇数长度的补齐字节
+function webpChunks(bytes) {
+    const chunks = [];
+    let pos = 12;
+    while (pos + 8 <= bytes.length) {
+        const length = readUint32le(bytes, pos + 4);
+        const end = Math.min(bytes.length, pos + 8 + length + (length & 1));
+        chunks.push({ fourcc: readAscii(bytes, pos, 4), start: pos, end, data: bytes.subarray(pos + 8, pos + 8 + length) });
+        pos = end;
+    }
+    return chunks;
+}
+
+// ===== GIF =====
+
+// 文件头之后的各个块：{ type, label, start, end, data }。type 为 header（文件头、逻辑屏幕描述符和全局调色板）、
+// extension、image 或 trailer；label 为扩展块的类型，data 为扩展块各子块拼接后的数据（图像块不拼接）。
+// 读到结束符或无法识别的字节为止；块超出文件末尾时标记 truncated（end 为文件末尾）并停止
+function gifBlocks(bytes, start = 0) {
+    const tableSize = flags => (flags & 0x80) ? 3 << ((flags & 7) + 1) : 0;
+    const headerEnd = start + 13 + tableSize(bytes[start + 10]);
+    if (headerEnd > bytes.length) return [{ type: 'header', start, end: bytes.length, truncated: true }];
+    const blocks = [{ type: 'header', start, end: headerEnd }];
+
+    // 子块序列结束后的位置，没有结束标记时为 -1
+    const subBlocksEnd = pos => {
+        while (pos < bytes.length) {
+            const size = bytes[pos];
+            pos += 1 + size;
+            if (!size) return pos;
+        }
+        return -1;
+    };
+
+    let pos = headerEnd;
+    while (pos < bytes.length) {
+        const block = bytes[pos];
+        if (block === 0x3B) {
+            blocks.push({ type: 'trailer', start: pos, end: pos + 1 });
+            break;
+        }
+        let type, dataStart;
+        if (block === 0x21) {
+            type = 'extension';
+            dataStart = pos + 2;
+        } else if (block === 0x2C) {
+            type = 'image';
+            dataStart = pos + 11 + tableSize(bytes[pos + 9]);
+        } else {
+            break;
+        }
+        const label = type === 'extension' ? bytes[pos + 1] : null;
+        const end = subBlocksEnd(dataStart);
+        if (end < 0) {
+            blocks.push({ type, label, start: pos, end: bytes.length, truncated: true });
+            break;
+        }
+        let data = null;
+        if (type === 'extension') {
+            const parts = [];
+            for (let at = dataStart; bytes[at]; at += 1 + bytes[at]) parts.push(bytes.subarray(at + 1, at + 1 + bytes[at]));
+            data = concatBytes(parts);
+        }
+        blocks.push({ type, label, start: pos, end, data });
+        pos = end;
+    }
+    return blocks;
+}
+
+// ===== zlib =====
+
+// zlib 格式压缩 / 解压，使用浏览器和 Node 18+ 都有的 CompressionStream
+async function deflateBytes(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function inflateBytes(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        concatBytes,
+        readAscii,
+        asciiBytes,
+        readUint32be,
+        readUint32le,
+        writeUint32be,
+        ByteBuilder,
+        PNG_SIGNATURE,
+        PNG_COLOR_TYPES,
+        ADAM7_PASSES,
+        hasPngSignature,
+        pngChunks,
+        pngChunkCrcMatches,
+        createPngChunk,
+        paeth,
+        unfilterScanline,
+        filterScanlines,
+        jpegSegments,
+        webpChunks,
+        gifBlocks,
+        deflateBytes,
+        inflateBytes
+    };
+}
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// 命令行混淆工具：对 PNG 文件或目录执行混淆 / 解混淆 / 反相，GIF 和 APNG 动图逐帧混淆 / 解混淆
+const fs = require('fs');
+const path = require('path');
+const core = require('./core.js');
+const { decodePng, encodePng } = require('./png.js');
+const animation = require('./animation.js');
+
+const USAGE = `用法: node cli.js <confuse|deconfuse|invert|recover> <输入文件或目录> [输出文件或目录] [选项]
+
+选项:
+  --key <密钥>          使用密钥混淆 / 解混淆；兼容方案下为该方案自己的密钥
+  --algorithm <算法>    曲线 gilbert（默认）/ hilbert / peano / morton / serpentine，或 block，
+                        或兼容方案 logistic-row / logistic-rowcol / md5-block / md5-pixel
+  --block-size <像素>   区块打乱的区块大小，默认 32
+  --strength <强度>     区块打乱强度 0.1 ~ 3，默认 1
+  --blocks <横>x<纵>    md5-block 的方块数，默认 32x32
+  --strong              高强度模式（仅曲线算法）：R/G/B 分别重排并加密颜色，有损压缩后无法还原
+  --pad <8|16>          混淆前复制边缘像素补边到 8 或 16 的倍数（JPEG 宏块对齐），解混淆时按记录裁剪
+  --region <x,y,宽,高>  只混淆该矩形区域，可重复；解混淆时按记录中的区域还原
+  --long-edge <像素>    recover 时指定原图长边，可重复
+  -h, --help            显示帮助
+
+未指定输出时，结果写在输入旁边，文件名加 _confused / _restored / _inverted 后缀。
+输入为目录时处理其中所有 .png 和 .gif 文件（不含子目录），输出到指定目录或 <目录>_<操作>。
+GIF 和 APNG 动图逐帧处理，输出保持原格式，帧延时和循环次数不变（不支持反相、缩放恢复、选区和补边）。
+解混淆时优先使用图片中的混淆记录。
+recover 用于被平台缩小过的混淆图片：搜索可能的原图尺寸，放大后解混淆，
+按连贯度输出最好的几个结果，文件名加 _recovered_<宽>x<高> 后缀。`;
+
+const SUFFIXES = { confuse: '_confused', deconfuse: '_restored', invert: '_inverted', recover: '_recovered' };
+
+function parseArgs(argv) {
+    const options = { algorithm: 'gilbert', blockSize: 32, strength: 1, key: null, blocksX: 32, blocksY: 32, padTo: 0, strong: false, longEdges: [], regions: [] };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} 缺少参数值`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--key':
+                options.key = next();
+                break;
+            case '--algorithm':
+                options.algorithm = next();
+                break;
+            case '--block-size':
+                options.blockSize = parseInt(next(), 10);
+                break;
+            case '--strength':
+                options.strength = parseFloat(next());
+                break;
+            case '--strong':
+                options.strong = true;
+                break;
+            case '--pad':
+                options.padTo = parseInt(next(), 10);
+                if (options.padTo !== 8 && options.padTo !== 16) throw new Error('--pad 只能是 8 或 16');
+                break;
+            case '--region': {
+                const match = /^(\d+),(\d+),(\d+),(\d+)$/.exec(next());
+                if (!match) throw new Error('--region 格式应为 <x>,<y>,<宽>,<高>，例如 10,20,100,50');
+                options.regions.push(match.slice(1).map(Number));
+                break;
+            }
+            case '--long-edge': {
+                const edge = parseInt(next(), 10);
+                if (!(edge >= 1)) throw new Error('--long-edge 必须为正整数');
+                options.longEdges.push(edge);
+                break;
+            }
+            case '--blocks': {
+                const match = /^(\d+)x(\d+)$/.exec(next());
+                if (!match) throw new Error('--blocks 格式应为 <横>x<纵>，例如 32x32');
+                options.blocksX = parseInt(match[1], 10);
+                options.blocksY = parseInt(match[2], 10);
+                break;
+            }
+            default:
+                if (arg.startsWith('-')) throw new Error(`未知选项 ${arg}`);
+                positional.push(arg);
+        }
+    }
+
+    if (!core.isKnownAlgorithm(options.algorithm)) {
+        throw new Error(`未知算法 ${options.algorithm}`);
+    }
+    if (!(options.blockSize >= 1)) {
+        throw new Error('区块大小必须为正整数');
+    }
+    if (!(options.strength > 0)) {
+        throw new Error('强度必须大于 0');
+    }
+
+    const [operation, input, output] = positional;
+    return { operation, input, output, options };
+}
+
+// 用图片中的记录确定解混淆参数，与页面上的规则一致
+function paramsFromRecord(record, params, width, height) {
+    if (!core.isKnownAlgorithm(record.algorithm)) {
+        console.warn(`  警告：未知算法 "${record.algorithm}"，按命令行参数解混淆`);
+        return params;
+    }
+    // 兼容方案使用自己的密钥，只需恢复方块数
+    if (core.isCompatScheme(record.algorithm)) {
+        const matched = { ...params, algorithm: record.algorithm, keyWords: null, keyFingerprint: null, regions: record.regions };
+        if (record.blocksX && record.blocksY) {
+            matched.blocksX = record.blocksX;
+            matched.blocksY = record.blocksY;
+        }
+        return matched;
+    }
+
+    if (record.key && !params.keyWords) {
+        throw new Error('该图片使用了密钥混淆，请通过 --key 提供密钥');
+    }
+    if (record.key && record.key !== params.keyFingerprint) {
+        console.warn('  警告：密钥与混淆时不一致，结果可能不正确');
+    }
+
+    // 局部混淆只还原记录中的区域
+    const matched = { ...params, algorithm: record.algorithm, keyWords: record.key ? params.keyWords : null, regions: record.regions, strong: !!record.strong };
+    if (record.algorithm === 'block') {
+        matched.blockSize = record.blockSize;
+        matched.strength = record.strength;
+    } else if (record.width === width && record.height === height) {
+        matched.offset = record.offset;
+    }
+    if (record.width !== width || record.height !== height) {
+        console.warn(`  警告：图片尺寸与混淆时（${record.width} × ${record.height}）不同，可能已被缩放`);
+    }
+    return matched;
+}
+
+// 缩放恢复：按连贯度输出最好的几个候选，返回写出的文件
+function recoverFile(image, record, outputPath, params, longEdges) {
+    const matched = record ? paramsFromRecord(record, params, image.width, image.height) : params;
+    // 记录中的尺寸就是混淆时的尺寸，补过边的按记录裁剪
+    const hints = record && record.width && record.height ? [{
+        width: record.width,
+        height: record.height,
+        label: '混淆记录',
+        originalWidth: record.originalWidth,
+        originalHeight: record.originalHeight
+    }] : [];
+    const { ranked, results } = core.recoverImage(image, matched, { hints, longEdges });
+
+    ranked.slice(0, 5).forEach(candidate => {
+        console.log(`  ${candidate.width} × ${candidate.height}（${candidate.label}）连贯度 ${candidate.score.toFixed(3)}`);
+    });
+    const parsed = path.parse(outputPath);
+    return results.map(result => {
+        const file = path.join(parsed.dir, `${parsed.name}_${result.width}x${result.height}.png`);
+        fs.writeFileSync(file, encodePng(result.image));
+        return file;
+    });
+}
+
+// 动图逐帧混淆 / 解混淆，解混淆时优先使用动图中的混淆记录
+async function processAnimationFile(operation, bytes, outputPath, params) {
+    if (operation !== 'confuse' && operation !== 'deconfuse') {
+        throw new Error('动图只支持混淆和解混淆');
+    }
+    let matched = params;
+    if (operation === 'deconfuse') {
+        const record = animation.readAnimationRecord(bytes);
+        if (record) {
+            const { width, height } = await animation.decodeAnimation(bytes);
+            matched = paramsFromRecord(record, params, width, height);
+        }
+    }
+    const result = await animation.processAnimation(bytes, matched, operation === 'deconfuse');
+    fs.writeFileSync(outputPath, result.bytes);
+    return [outputPath];
+}
+
+// 处理单个文件，返回写出的文件列表
+async function processFile(operation, inputPath, outputPath, params, options = {}) {
+    const bytes = fs.readFileSync(inputPath);
+    // GIF 一律按动图处理（单帧 GIF 也保持 GIF 输出）
+    if (bytes.toString('latin1', 0, 3) === 'GIF' || animation.detectAnimation(bytes)) {
+        return processAnimationFile(operation, new Uint8Array(bytes), outputPath, params);
+    }
+    const image = decodePng(bytes);
+    const text = {};
+    let result;
+
+    if (operation === 'recover') {
+        const recordText = image.text[core.METADATA_KEYWORD];
+        const record = recordText ? core.parseConfusionRecord(recordText) : null;
+        return recoverFile(image, record, outputPath, params, options.longEdges || []);
+    } else if (operation === 'confuse') {
+        result = core.confuseImageData(image, params);
+        text[core.METADATA_KEYWORD] = JSON.stringify(
+            core.createConfusionRecord(params, result.info, result.width, result.height));
+    } else if (operation === 'deconfuse') {
+        const recordText = image.text[core.METADATA_KEYWORD];
+        const record = recordText ? core.parseConfusionRecord(recordText) : null;
+        const matched = { ...(record ? paramsFromRecord(record, params, image.width, image.height) : params) };
+        // 混淆时补过边的图片按记录裁剪回原图尺寸
+        if (record && record.originalWidth && record.width === image.width && record.height === image.height) {
+            matched.originalWidth = record.originalWidth;
+            matched.originalHeight = record.originalHeight;
+        }
+        result = core.deconfuseImageData(image, matched);
+    } else {
+        result = core.invertImageData(image);
+    }
+
+    fs.writeFileSync(outputPath, encodePng(result, text));
+    return [outputPath];
+}
+
+function withSuffix(filePath, operation) {
+    const parsed = path.parse(filePath);
+    const ext = parsed.ext.toLowerCase() === '.gif' ? '.gif' : '.png';
+    return path.join(parsed.dir, `${parsed.name}${SUFFIXES[operation]}${ext}`);
+}
+
+// 列出需要处理的 [输入, 输出] 路径对
+function resolveJobs(operation, input, output) {
+    if (!fs.statSync(input).isDirectory()) {
+        return [[input, output || withSuffix(input, operation)]];
+    }
+
+    const outputDir = output || `${input.replace(/[\\/]+$/, '')}${SUFFIXES[operation]}`;
+    fs.mkdirSync(outputDir, { recursive: true });
+    return fs.readdirSync(input)
+        .filter(name => /\.(png|gif)$/i.test(name))
+        .sort()
+        .map(name => [path.join(input, name), path.join(outputDir, name)]);
+}
+
+async function main(argv) {
+    const { operation, input, output, options } = parseArgs(argv);
+    if (options.help || !operation) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!SUFFIXES[operation]) {
+        throw new Error(`未知操作 ${operation}`);
+    }
+    if (!input) {
+        throw new Error('缺少输入文件或目录');
+    }
+
+    // 兼容方案的密钥原样使用；其余算法的密钥经 PBKDF2 派生
+    const keyWords = options.key && !core.isCompatScheme(options.algorithm) ? await core.deriveKeyWords(options.key) : null;
+    const params = {
+        algorithm: options.algorithm,
+        blockSize: options.blockSize,
+        strength: options.strength,
+        compatKey: options.key || '',
+        padTo: options.padTo,
+        strong: options.strong,
+        blocksX: options.blocksX,
+        blocksY: options.blocksY,
+        regions: options.regions,
+        keyWords,
+        keyFingerprint: keyWords ? await core.keyFingerprint(keyWords) : null
+    };
+
+    const jobs = resolveJobs(operation, input, output);
+    if (jobs.length === 0) {
+        console.warn('没有找到PNG或GIF文件');
+        return 0;
+    }
+
+    let failed = 0;
+    for (const [inputPath, outputPath] of jobs) {
+        try {
+            const written = await processFile(operation, inputPath, outputPath, params, options);
+            console.log(`${inputPath} -> ${written.join(', ')}`);
+        } catch (error) {
+            failed++;
+            console.error(`${inputPath}: ${error.message}`);
+        }
+    }
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseArgs };
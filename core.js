@@ -0,0 +1,1969 @@
+// 图片混淆核心算法：不依赖 DOM，页面、Web Worker 和 Node 命令行共用
+// 像素数据统一为 { width, height, data }，data 为 RGBA 字节数组（与 ImageData 相同）
+
+// Gilbert 2D 空间填充曲线算法
+function gilbert2d(width, height, onProgress) {
+    /**
+     * Generalized Hilbert ('gilbert') space-filling curve for arbitrary-sized
+     * 2D rectangular grids. Generates the linear pixel indices (x + y * width)
+     * of a rectangle of size (width x height) in curve order.
+     * onProgress(fraction) is called periodically while the curve is generated.
+     */
+    const indices = new Uint32Array(width * height);
+    gilbertRange(width, height, 0, indices, onProgress);
+    return indices;
+}
+
+// 只生成曲线上从第 start 个点起的 out.length 个点：与所需范围不相交的子矩形整个跳过，
+// 分段读取时不必生成整条曲线
+function gilbertRange(width, height, start, out, onProgress) {
+    const curve = {
+        indices: out,
+        position: 0, // 下一个子矩形在曲线上的起点
+        start,
+        end: start + out.length,
+        width,
+        progress: onProgress ? { total: out.length, next: PROGRESS_STEP, onProgress } : null
+    };
+
+    if (width >= height) {
+        generate2d(0, 0, width, 0, 0, height, curve);
+    } else {
+        generate2d(0, 0, 0, height, width, 0, curve);
+    }
+}
+
+function generate2d(x, y, ax, ay, bx, by, curve) {
+    const w = Math.abs(ax + ay);
+    const h = Math.abs(bx + by);
+
+    // 子矩形覆盖曲线上 [position, position + w * h) 这一段
+    if (curve.position >= curve.end || curve.position + w * h <= curve.start) {
+        curve.position += w * h;
+        return;
+    }
+
+    const dax = Math.sign(ax), day = Math.sign(ay); // unit major direction
+    const dbx = Math.sign(bx), dby = Math.sign(by); // unit orthogonal direction
+
+    if (h === 1) {
+        // trivial row fill
+        fillCurveRun(curve, x + y * curve.width, dax + day * curve.width, w);
+        return;
+    }
+
+    if (w === 1) {
+        // trivial column fill
+        fillCurveRun(curve, x + y * curve.width, dbx + dby * curve.width, h);
+        return;
+    }
+
+    let ax2 = Math.floor(ax / 2), ay2 = Math.floor(ay / 2);
+    let bx2 = Math.floor(bx / 2), by2 = Math.floor(by / 2);
+
+    const w2 = Math.abs(ax2 + ay2);
+    const h2 = Math.abs(bx2 + by2);
+
+    if (2 * w > 3 * h) {
+        if ((w2 % 2) && (w > 2)) {
+            // prefer even steps
+            ax2 += dax;
+            ay2 += day;
+        }
+
+        // long case: split in two parts only
+        generate2d(x, y, ax2, ay2, bx, by, curve);
+        generate2d(x + ax2, y + ay2, ax - ax2, ay - ay2, bx, by, curve);
+
+    } else {
+        if ((h2 % 2) && (h > 2)) {
+            // prefer even steps
+            bx2 += dbx;
+            by2 += dby;
+        }
+
+        // standard case: one step up, one long horizontal, one step down
+        generate2d(x, y, bx2, by2, ax2, ay2, curve);
+        generate2d(x + bx2, y + by2, ax, ay, bx - bx2, by - by2, curve);
+        generate2d(x + (ax - dax) + (bx2 - dbx), y + (ay - day) + (by2 - dby),
+            -bx2, -by2, -(ax - ax2), -(ay - ay2), curve);
+    }
+}
+
+// 写出一段等步长的点，只保留落在所需范围内的部分
+function fillCurveRun(curve, p, step, count) {
+    const from = Math.max(0, curve.start - curve.position);
+    const to = Math.min(count, curve.end - curve.position);
+    let at = curve.position + from - curve.start;
+    p += from * step;
+    for (let i = from; i < to; i++) {
+        curve.indices[at++] = p;
+        p += step;
+    }
+    curve.position += count;
+    reportCurveProgress(curve);
+}
+
+// 进度回报间隔（像素数）
+const PROGRESS_STEP = 1 << 18;
+
+function reportCurveProgress(curve) {
+    const progress = curve.progress;
+    if (progress && curve.position >= progress.next) {
+        progress.onProgress(curve.position / progress.total);
+        progress.next += PROGRESS_STEP;
+    }
+}
+
+// Hilbert / Morton / Peano 只定义在边长为 2 或 3 的幂的正方形上：
+// 在补齐后的正方形上按曲线顺序遍历，跳过落在图片外的点
+// 曲线上连续的 base^(2m) 个点恰好覆盖一个对齐的 base^m 方格，整格在图片外时直接跳过；
+// 这些曲线自相似，每个方格内的走法都是同一条小曲线经过旋转/翻转，只需按方格确定变换
+function paddedCurve(width, height, base, d2xy, onProgress) {
+    const plan = paddedCurvePlan(width, height, base, d2xy);
+    const total = width * height;
+    const indices = new Uint32Array(total);
+    let length = 0;
+    let next = PROGRESS_STEP;
+
+    for (let b = 0; b < plan.count; b++) {
+        length = emitPaddedBlock(plan, b, 0, indices, length);
+        if (onProgress && length >= next) {
+            onProgress(length / total);
+            next += PROGRESS_STEP;
+        }
+    }
+
+    return indices;
+}
+
+// 补齐曲线的方格划分：与图片相交的各方格的位置、变换和第一个点在曲线上的位置
+function paddedCurvePlan(width, height, base, d2xy) {
+    let side = 1;
+    while (side < width || side < height) side *= base;
+    let blockSide = 1;
+    while (blockSide * base <= side && blockSide * base <= 64) blockSide *= base;
+    const blockLength = blockSide * blockSide;
+
+    // 小曲线的坐标
+    const point = [0, 0];
+    const localX = new Uint8Array(blockLength);
+    const localY = new Uint8Array(blockLength);
+    for (let d = 0; d < blockLength; d++) {
+        d2xy(d, blockSide, point);
+        localX[d] = point[0];
+        localY[d] = point[1];
+    }
+    const probes = [0, Math.min(1, blockLength - 1), blockLength - 1];
+    const probeX = new Int32Array(3), probeY = new Int32Array(3);
+
+    const blocks = [];
+    let position = 0;
+    for (let start = 0; start < side * side; start += blockLength) {
+        d2xy(start, side, point);
+        const bx = point[0] - point[0] % blockSide;
+        const by = point[1] - point[1] % blockSide;
+        if (bx >= width || by >= height) continue;
+
+        // 用首、次、末三个点确定小曲线到该方格的变换：bit0 翻转 x，bit1 翻转 y，bit2 交换 x/y
+        for (let k = 0; k < 3; k++) {
+            d2xy(start + probes[k], side, point);
+            probeX[k] = point[0] - bx;
+            probeY[k] = point[1] - by;
+        }
+        let transform = -1;
+        for (let t = 0; t < 8 && transform < 0; t++) {
+            let match = true;
+            for (let k = 0; k < 3 && match; k++) {
+                let x = t & 4 ? localY[probes[k]] : localX[probes[k]];
+                let y = t & 4 ? localX[probes[k]] : localY[probes[k]];
+                if (t & 1) x = blockSide - 1 - x;
+                if (t & 2) y = blockSide - 1 - y;
+                match = x === probeX[k] && y === probeY[k];
+            }
+            if (match) transform = t;
+        }
+
+        blocks.push({ start, bx, by, transform, position });
+        // 方格中落在图片内的点数
+        position += (Math.min(bx + blockSide, width) - bx) * (Math.min(by + blockSide, height) - by);
+    }
+
+    return { width, height, side, blockSide, blockLength, localX, localY, d2xy, blocks, count: blocks.length };
+}
+
+// 按曲线顺序写出第 b 个方格中落在图片内的点：跳过前 skip 个，写到 out 的 at 处直到写满，返回新的 at
+function emitPaddedBlock(plan, b, skip, out, at) {
+    const { width, height, side, blockSide, blockLength, localX, localY } = plan;
+    const { start, bx, by, transform } = plan.blocks[b];
+    const point = [0, 0];
+
+    for (let d = 0; d < blockLength && at < out.length; d++) {
+        let x, y;
+        if (transform >= 0) {
+            x = transform & 4 ? localY[d] : localX[d];
+            y = transform & 4 ? localX[d] : localY[d];
+            if (transform & 1) x = blockSide - 1 - x;
+            if (transform & 2) y = blockSide - 1 - y;
+            x += bx;
+            y += by;
+        } else {
+            plan.d2xy(start + d, side, point);
+            x = point[0];
+            y = point[1];
+        }
+        if (x < width && y < height) {
+            if (skip > 0) {
+                skip--;
+            } else {
+                out[at++] = x + y * width;
+            }
+        }
+    }
+
+    return at;
+}
+
+// 分段读取补齐曲线：二分找到第 start 个点所在的方格，从那里开始写
+function paddedCurveRange(plan, start, out) {
+    const { blocks } = plan;
+    let low = 0, high = blocks.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (blocks[mid].position <= start) low = mid;
+        else high = mid - 1;
+    }
+    let at = emitPaddedBlock(plan, low, start - blocks[low].position, out, 0);
+    for (let b = low + 1; at < out.length && b < blocks.length; b++) {
+        at = emitPaddedBlock(plan, b, 0, out, at);
+    }
+}
+
+// 经典 Hilbert 曲线：第 d 个点的坐标
+function hilbertD2xy(d, side, point) {
+    let x = 0, y = 0, t = d;
+    for (let s = 1; s < side; s *= 2) {
+        const rx = 1 & (t >>> 1);
+        const ry = 1 & (t ^ rx);
+        if (ry === 0) {
+            if (rx === 1) {
+                x = s - 1 - x;
+                y = s - 1 - y;
+            }
+            const tmp = x;
+            x = y;
+            y = tmp;
+        }
+        x += s * rx;
+        y += s * ry;
+        t >>>= 2;
+    }
+    point[0] = x;
+    point[1] = y;
+}
+
+// Z 序（Morton）：下标的奇偶位分别为 x、y
+function mortonD2xy(d, side, point) {
+    let x = 0, y = 0;
+    for (let bit = 0, t = d; t > 0; bit++, t >>>= 2) {
+        x |= (t & 1) << bit;
+        y |= ((t >>> 1) & 1) << bit;
+    }
+    point[0] = x;
+    point[1] = y;
+}
+
+// Peano 曲线：每层 3×3 方格按列蛇形遍历，子方格按所在行列的奇偶翻转
+function peanoD2xy(d, side, point) {
+    let x = 0, y = 0;
+    let flipX = false, flipY = false;
+    let scale = side / 3;
+    let rest = d;
+    let levelSize = (side * side) / 9;
+    while (scale >= 1) {
+        const digit = Math.floor(rest / levelSize);
+        rest -= digit * levelSize;
+        const column = Math.floor(digit / 3);
+        const row = column % 2 ? 2 - digit % 3 : digit % 3;
+        x += (flipX ? 2 - column : column) * scale;
+        y += (flipY ? 2 - row : row) * scale;
+        if (row % 2) flipX = !flipX;
+        if (column % 2) flipY = !flipY;
+        scale /= 3;
+        levelSize /= 9;
+    }
+    point[0] = x;
+    point[1] = y;
+}
+
+// 蛇形扫描：逐行往返
+function serpentineCurve(width, height) {
+    const indices = new Uint32Array(width * height);
+    let length = 0;
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * width;
+        if (y % 2) {
+            for (let x = width - 1; x >= 0; x--) indices[length++] = rowStart + x;
+        } else {
+            for (let x = 0; x < width; x++) indices[length++] = rowStart + x;
+        }
+    }
+    return indices;
+}
+
+function serpentineRange(width, start, out) {
+    for (let k = 0; k < out.length; k++) {
+        const d = start + k;
+        const y = Math.floor(d / width);
+        const x = d - y * width;
+        out[k] = y * width + (y % 2 ? width - 1 - x : x);
+    }
+}
+
+// 可选的像素遍历曲线：build(width, height, onProgress) 返回覆盖每个像素恰好一次的线性下标
+// range(width, height) 返回 read(start, out)，只读取曲线上从 start 起的 out.length 个下标，供分条处理使用
+// 越连续的曲线混淆后越容易压缩，跳跃越多的曲线混淆后越难辨认
+const CURVES = {
+    gilbert: {
+        label: 'Gilbert曲线',
+        build: gilbert2d,
+        range: (width, height) => (start, out) => gilbertRange(width, height, start, out)
+    },
+    hilbert: {
+        label: 'Hilbert曲线',
+        build: (width, height, onProgress) => paddedCurve(width, height, 2, hilbertD2xy, onProgress),
+        range: (width, height) => paddedCurveRange.bind(null, paddedCurvePlan(width, height, 2, hilbertD2xy))
+    },
+    peano: {
+        label: 'Peano曲线',
+        build: (width, height, onProgress) => paddedCurve(width, height, 3, peanoD2xy, onProgress),
+        range: (width, height) => paddedCurveRange.bind(null, paddedCurvePlan(width, height, 3, peanoD2xy))
+    },
+    morton: {
+        label: 'Z序（Morton）曲线',
+        build: (width, height, onProgress) => paddedCurve(width, height, 2, mortonD2xy, onProgress),
+        range: (width, height) => paddedCurveRange.bind(null, paddedCurvePlan(width, height, 2, mortonD2xy))
+    },
+    serpentine: {
+        label: '蛇形扫描',
+        build: serpentineCurve,
+        range: width => (start, out) => serpentineRange(width, start, out)
+    }
+};
+
+// 算法名称：曲线名、'block' 或兼容方案名
+function isCompatScheme(algorithm) {
+    return Object.prototype.hasOwnProperty.call(COMPAT_SCHEMES, algorithm);
+}
+
+function isKnownAlgorithm(algorithm) {
+    return algorithm === 'block' || Object.prototype.hasOwnProperty.call(CURVES, algorithm) || isCompatScheme(algorithm);
+}
+
+function algorithmLabel(algorithm) {
+    if (algorithm === 'block') return '区块打乱';
+    if (CURVES[algorithm]) return CURVES[algorithm].label;
+    if (isCompatScheme(algorithm)) return COMPAT_SCHEMES[algorithm].label;
+    return algorithm;
+}
+
+// 排列缓存：同一尺寸（及密钥）重复操作时不再重新生成曲线，按最近使用淘汰
+const ORDER_CACHE_LIMIT = 4;
+const orderCache = new Map();
+
+function cachedOrder(cacheKey, build) {
+    if (orderCache.has(cacheKey)) {
+        const value = orderCache.get(cacheKey);
+        orderCache.delete(cacheKey);
+        orderCache.set(cacheKey, value);
+        return value;
+    }
+
+    const value = build();
+    orderCache.set(cacheKey, value);
+    if (orderCache.size > ORDER_CACHE_LIMIT) {
+        orderCache.delete(orderCache.keys().next().value);
+    }
+    return value;
+}
+
+// 密钥派生参数（修改会导致旧密钥混淆的图片无法还原）
+const KEY_SALT = 'LX_IMG_Confusion';
+const KEY_ITERATIONS = 100000;
+const KEY_SEGMENT_LENGTH = 64; // 带密钥时曲线按段打乱，每段像素数
+
+// 使用 PBKDF2-SHA256 拉伸密钥，返回 8 个 32 位无符号整数
+async function deriveKeyWords(passphrase) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error('当前环境不支持WebCrypto，无法使用密钥');
+    }
+
+    const encoder = new TextEncoder();
+    const baseKey = await crypto.subtle.importKey(
+        'raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits({
+        name: 'PBKDF2',
+        salt: encoder.encode(KEY_SALT),
+        iterations: KEY_ITERATIONS,
+        hash: 'SHA-256'
+    }, baseKey, 256);
+
+    return new Uint32Array(bits);
+}
+
+// sfc32 伪随机数生成器，返回 [0, 1) 之间的数
+function sfc32(a, b, c, d) {
+    return function () {
+        a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+        let t = (a + b) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        d = (d + 1) | 0;
+        t = (t + d) | 0;
+        c = (c + t) | 0;
+        return (t >>> 0) / 4294967296;
+    };
+}
+
+// 曲线上的偏移量：不带密钥时为黄金分割；带密钥时由密钥决定，且避开 0（0 等于不混淆）
+function confusionOffset(total, keyWords) {
+    if (!keyWords) return Math.round((Math.sqrt(5) - 1) / 2 * total);
+    return total > 1 ? 1 + Math.floor(keyWords[0] / 4294967296 * (total - 1)) : 0;
+}
+
+// 带密钥时曲线分段的排列：遍历顺序中的第 k 段是曲线上的第 segments[k] 段
+function keyedSegments(total, keyWords) {
+    const random = sfc32(keyWords[1], keyWords[2], keyWords[3], keyWords[4]);
+    const segmentCount = Math.ceil(total / KEY_SEGMENT_LENGTH);
+    const segments = new Uint32Array(segmentCount);
+    for (let i = 0; i < segmentCount; i++) {
+        segments[i] = i;
+    }
+    for (let i = segmentCount - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const tmp = segments[i];
+        segments[i] = segments[j];
+        segments[j] = tmp;
+    }
+    return segments;
+}
+
+// 生成混淆所需的像素遍历顺序（线性下标）与偏移量
+// 不带密钥且使用 Gilbert 曲线时与原算法完全一致：Gilbert曲线 + 黄金分割偏移
+function buildConfusionOrder(width, height, curveName, keyWords, onProgress) {
+    const curveDef = CURVES[curveName];
+    if (!curveDef) {
+        throw new Error(`未知的曲线 ${curveName}`);
+    }
+
+    const total = width * height;
+    const sizeKey = `${curveName}:${width}x${height}`;
+    const curve = cachedOrder(sizeKey, () => curveDef.build(width, height, onProgress));
+    if (onProgress) onProgress(1);
+
+    const offset = confusionOffset(total, keyWords);
+    if (!keyWords) {
+        return { order: curve, offset };
+    }
+
+    // 将曲线切成若干段，用密钥打乱段的顺序，段内保持曲线连续性
+    const order = cachedOrder(`${sizeKey}:${keyWords.join(',')}`, () => {
+        const segments = keyedSegments(total, keyWords);
+        const keyed = new Uint32Array(total);
+        let length = 0;
+        for (const segment of segments) {
+            const start = segment * KEY_SEGMENT_LENGTH;
+            const end = Math.min(start + KEY_SEGMENT_LENGTH, total);
+            keyed.set(curve.subarray(start, end), length);
+            length += end - start;
+        }
+        return keyed;
+    });
+
+    return { order, offset };
+}
+
+// 区块打乱的默认随机种子（未填写密钥时使用）
+const BLOCK_DEFAULT_SEED = [0x9E3779B9, 0x243F6A88, 0xB7E15162, 0x6A09E667];
+
+// 生成区块打乱方案：每个完整区块的目标位置与变换
+// 强度 < 1 时只有该比例的区块参与打乱；>= 1 时全部打乱并随机翻转；>= 2 时再加随机旋转
+function buildBlockPlan(width, height, blockSize, strength, keyWords) {
+    const cols = Math.floor(width / blockSize);
+    const rows = Math.floor(height / blockSize);
+    const count = cols * rows;
+    const seed = keyWords ? [keyWords[5], keyWords[6], keyWords[7], keyWords[0]] : BLOCK_DEFAULT_SEED;
+    const random = sfc32(seed[0], seed[1], seed[2], seed[3]);
+
+    // 选出参与打乱的区块，并在它们之间做 Fisher-Yates 洗牌
+    const shuffleRatio = Math.min(1, strength);
+    const selected = [];
+    for (let i = 0; i < count; i++) {
+        if (random() < shuffleRatio) {
+            selected.push(i);
+        }
+    }
+    const shuffled = selected.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    const targets = [];
+    for (let i = 0; i < count; i++) {
+        targets.push(i);
+    }
+    selected.forEach((tile, i) => {
+        targets[tile] = shuffled[i];
+    });
+
+    // 变换编号：低两位为顺时针旋转次数，第三位为水平翻转
+    const transforms = [];
+    for (let i = 0; i < count; i++) {
+        const flip = strength >= 1 && random() < 0.5 ? 4 : 0;
+        const rotate = strength >= 2 ? Math.floor(random() * 4) : 0;
+        transforms.push(flip | rotate);
+    }
+
+    return { cols, rows, targets, transforms };
+}
+
+// 区块打乱 / 还原，边缘不足一个区块的像素保持原位
+function blockShuffleRemap(src, dst, width, height, blockSize, strength, keyWords, reverse, onProgress) {
+    const filler = blockStripFiller(pixelView(src), width, height, { blockSize, strength, keyWords }, reverse);
+    filler.fill(0, width * height, dst, onProgress);
+    return filler.info.tiles;
+}
+
+// 计算区块打乱结果中从第 first 个像素起的 count 个像素（整行），只处理写入位置与这一段相交的区块
+function blockStripFiller(src32, width, height, params, reverse) {
+    const { blockSize } = params;
+    const { cols, targets, transforms } = buildBlockPlan(width, height, blockSize, params.strength, params.keyWords);
+
+    const fill = (first, count, strip, onProgress) => {
+        const strip32 = pixelView(strip);
+        strip32.set(src32.subarray(first, first + count));
+        const top = first / width;
+        const bottom = top + count / width;
+
+        for (let tile = 0; tile < targets.length; tile++) {
+            const sx = (tile % cols) * blockSize;
+            const sy = Math.floor(tile / cols) * blockSize;
+            const tx = (targets[tile] % cols) * blockSize;
+            const ty = Math.floor(targets[tile] / cols) * blockSize;
+            const transform = transforms[tile];
+            const writeTop = reverse ? sy : ty;
+            if (writeTop >= bottom || writeTop + blockSize <= top) continue;
+
+            for (let v = 0; v < blockSize; v++) {
+                for (let u = 0; u < blockSize; u++) {
+                    // 先水平翻转，再顺时针旋转
+                    let x = transform & 4 ? blockSize - 1 - u : u;
+                    let y = v;
+                    for (let r = 0; r < (transform & 3); r++) {
+                        [x, y] = [blockSize - 1 - y, x];
+                    }
+
+                    const from = (sx + u) + (sy + v) * width;
+                    const to = (tx + x) + (ty + y) * width;
+                    const target = (reverse ? from : to) - first;
+                    if (target >= 0 && target < count) {
+                        strip32[target] = src32[reverse ? to : from];
+                    }
+                }
+            }
+
+            if (onProgress && tile % 256 === 255) {
+                onProgress(tile / targets.length);
+            }
+        }
+    };
+
+    return { info: { tiles: targets.length }, fill };
+}
+
+// ===== 兼容其他图片混淆工具 =====
+// 这些方案都可以表示为一张"取像素表"：混淆后第 i 个像素取自原图第 map[i] 个像素
+
+// MD5（输入按 UTF-8 编码），返回 32 位十六进制字符串
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 4294967296) >>> 0);
+
+function md5(text) {
+    const bytes = new TextEncoder().encode(text);
+    const paddedLength = (((bytes.length + 8) >> 6) + 1) << 6;
+    const buffer = new Uint8Array(paddedLength);
+    buffer.set(bytes);
+    buffer[bytes.length] = 0x80;
+    const view = new DataView(buffer.buffer);
+    view.setUint32(paddedLength - 8, (bytes.length << 3) >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(bytes.length / 0x20000000), true);
+
+    let a0 = 0x67452301, b0 = 0xEFCDAB89, c0 = 0x98BADCFE, d0 = 0x10325476;
+    const words = new Uint32Array(16);
+    for (let chunk = 0; chunk < paddedLength; chunk += 64) {
+        for (let i = 0; i < 16; i++) {
+            words[i] = view.getUint32(chunk + 4 * i, true);
+        }
+        let a = a0, b = b0, c = c0, d = d0;
+        for (let i = 0; i < 64; i++) {
+            const round = i >> 4;
+            let f, g;
+            if (round === 0) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (round === 1) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) & 15;
+            } else if (round === 2) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) & 15;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) & 15;
+            }
+            const shift = MD5_SHIFTS[(round << 2) | (i & 3)];
+            const sum = (a + f + MD5_CONSTANTS[i] + words[g]) | 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+        }
+        a0 = (a0 + a) | 0;
+        b0 = (b0 + b) | 0;
+        c0 = (c0 + c) | 0;
+        d0 = (d0 + d) | 0;
+    }
+
+    let hex = '';
+    for (const word of [a0, b0, c0, d0]) {
+        for (let i = 0; i < 4; i++) {
+            hex += ((word >>> (8 * i)) & 0xFF).toString(16).padStart(2, '0');
+        }
+    }
+    return hex;
+}
+
+// 用 MD5(密钥 + 下标) 驱动的 Fisher-Yates 洗牌，返回 0 ~ length-1 的排列
+function md5Shuffle(length, key) {
+    const order = new Uint32Array(length);
+    for (let i = 0; i < length; i++) {
+        order[i] = i;
+    }
+    for (let i = length - 1; i > 0; i--) {
+        const j = parseInt(md5(key + i).slice(0, 7), 16) % (i + 1);
+        const tmp = order[i];
+        order[i] = order[j];
+        order[j] = tmp;
+    }
+    return order;
+}
+
+// 方块 / 逐像素混淆：把图片分成 blocksX × blocksY 个方块，
+// 按洗牌结果先错位再换位，列方向和行方向各做一次；不能整除的右侧和底部像素保持原位
+function md5BlockMap(width, height, key, blocksX, blocksY) {
+    const map = new Uint32Array(width * height);
+    for (let i = 0; i < map.length; i++) {
+        map[i] = i;
+    }
+
+    const blockWidth = Math.floor(width / blocksX);
+    const blockHeight = Math.floor(height / blocksY);
+    if (!blockWidth || !blockHeight) return map;
+
+    const regionWidth = blocksX * blockWidth;
+    const regionHeight = blocksY * blockHeight;
+    const xOrder = md5Shuffle(blocksX, key);
+    const yOrder = md5Shuffle(blocksY, key);
+
+    for (let y = 0; y < regionHeight; y++) {
+        for (let x = 0; x < regionWidth; x++) {
+            let m = (xOrder[Math.floor(y / blockHeight) % blocksX] * blockWidth + x) % regionWidth;
+            m = xOrder[Math.floor(m / blockWidth)] * blockWidth + m % blockWidth;
+            let n = (yOrder[Math.floor(m / blockWidth) % blocksY] * blockHeight + y) % regionHeight;
+            n = yOrder[Math.floor(n / blockHeight)] * blockHeight + n % blockHeight;
+            map[x + y * width] = m + n * width;
+        }
+    }
+    return map;
+}
+
+// Logistic 映射 x ← μx(1-x) 生成的序列，按大小排序后的下标即为一行（列）的取像素顺序
+const LOGISTIC_MU = 3.9999999;
+
+function parseLogisticKey(key) {
+    const x0 = Number(key);
+    if (!(x0 > 0 && x0 < 1)) {
+        throw new Error('Logistic 密钥必须是 0 到 1 之间的小数，例如 0.666');
+    }
+    return x0;
+}
+
+// 按值从小到大排列的下标（相等时下标小的在前）
+// 带比较函数的排序很慢，这里先对数值本身排序，再二分查找每个值的名次
+function logisticOrder(state, length) {
+    const values = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+        state.x = LOGISTIC_MU * state.x * (1 - state.x);
+        values[i] = state.x;
+    }
+    const sorted = values.slice().sort();
+    const order = new Uint32Array(length);
+    const filled = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        let lo = 0, hi = length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] < values[i]) lo = mid + 1;
+            else hi = mid;
+        }
+        while (filled[lo]) lo++;
+        filled[lo] = 1;
+        order[lo] = i;
+    }
+    return order;
+}
+
+// 行像素混淆：每行单独打乱，序列在行与行之间连续迭代
+function logisticRowMap(width, height, key, onProgress) {
+    const state = { x: parseLogisticKey(key) };
+    const map = new Uint32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const order = logisticOrder(state, width);
+        for (let x = 0; x < width; x++) {
+            map[x + y * width] = order[x] + y * width;
+        }
+        if (onProgress && y % 64 === 63) onProgress(y / height);
+    }
+    return { map, state };
+}
+
+// 行 + 列像素混淆：先按行打乱，再接着同一序列按列打乱
+function logisticRowColumnMap(width, height, key, onProgress) {
+    const { map: rowMap, state } = logisticRowMap(width, height, key,
+        onProgress && (fraction => onProgress(fraction / 2)));
+    const map = new Uint32Array(width * height);
+    for (let x = 0; x < width; x++) {
+        const order = logisticOrder(state, height);
+        for (let y = 0; y < height; y++) {
+            map[x + y * width] = rowMap[x + order[y] * width];
+        }
+        if (onProgress && x % 64 === 63) onProgress(0.5 + x / width / 2);
+    }
+    return map;
+}
+
+// 兼容方案：params.compatKey 为方案自己的密钥（不经过 PBKDF2），留空时使用 defaultKey
+// md5-block 另需 params.blocksX / params.blocksY（横向、纵向方块数）
+const COMPAT_SCHEMES = {
+    'logistic-row': {
+        label: '行像素混淆（Logistic）',
+        defaultKey: '0.666',
+        buildMap: (width, height, key, params, onProgress) => logisticRowMap(width, height, key, onProgress).map
+    },
+    'logistic-rowcol': {
+        label: '行+列像素混淆（Logistic）',
+        defaultKey: '0.666',
+        buildMap: (width, height, key, params, onProgress) => logisticRowColumnMap(width, height, key, onProgress)
+    },
+    'md5-block': {
+        label: '方块混淆（MD5）',
+        defaultKey: '0.666',
+        usesBlocks: true,
+        buildMap: (width, height, key, params) => md5BlockMap(width, height, key, params.blocksX, params.blocksY)
+    },
+    'md5-pixel': {
+        label: '逐像素混淆（MD5）',
+        defaultKey: '0.666',
+        buildMap: (width, height, key) => md5BlockMap(width, height, key, width, height)
+    }
+};
+
+// 兼容方案的取像素表，同一尺寸和参数重复使用时走缓存
+function buildCompatMap(width, height, params, onProgress) {
+    const scheme = COMPAT_SCHEMES[params.algorithm];
+    const key = params.compatKey || scheme.defaultKey;
+    const blocks = scheme.usesBlocks ? `:${params.blocksX}x${params.blocksY}` : '';
+    return cachedOrder(`${params.algorithm}:${width}x${height}${blocks}:${key}`,
+        () => scheme.buildMap(width, height, key, params, onProgress));
+}
+
+// 把 RGBA 字节数组看作每像素一个 32 位整数，整像素搬运时无需逐字节复制
+function pixelView(data) {
+    return new Uint32Array(data.buffer, data.byteOffset, data.byteLength >> 2);
+}
+
+// 高强度模式的默认随机种子（未填写密钥时使用）
+const STRONG_DEFAULT_SEED = [0x3C6EF372, 0xA54FF53A, 0x510E527F, 0x9B05688C];
+
+// 高强度模式方案：G、B 相对 R 的额外偏移，以及颜色密钥流的种子
+function buildStrongPlan(total, keyWords) {
+    const seed = keyWords ? [keyWords[2], keyWords[3], keyWords[6], keyWords[7]] : STRONG_DEFAULT_SEED;
+    const random = sfc32(seed[0], seed[1], seed[2], seed[3]);
+    const shift = () => total > 1 ? 1 + Math.floor(random() * (total - 1)) : 0;
+    const shifts = [shift(), shift()];
+    // 密钥流与偏移使用不同的种子序列
+    return { shifts, streamSeed: [random() * 4294967296 >>> 0, seed[1] ^ seed[2], seed[3], seed[0]] };
+}
+
+// 颜色密钥流：每个像素的 R、G、B 按字节模 256 加上（sign 为 -1 时减去）伪随机数，Alpha 不变
+// random 为以 streamSeed 初始化的 sfc32，分条处理时按顺序处理各条即可接续
+function applyKeystream(data, random, sign) {
+    for (let i = 0; i < data.length; i += 4) {
+        const k = random() * 4294967296 >>> 0;
+        data[i] = (data[i] + sign * (k & 255)) & 255;
+        data[i + 1] = (data[i + 1] + sign * ((k >>> 8) & 255)) & 255;
+        data[i + 2] = (data[i + 2] + sign * ((k >>> 16) & 255)) & 255;
+    }
+}
+
+// 高强度模式：R、G、B 各自沿曲线按不同偏移移动（Alpha 跟随 R），再叠加颜色密钥流
+// 颜色直方图不再保留，但有损压缩带来的误差会被放大成彩色噪点，只适合无损保存
+function strongRemap(src, dst, order, offset, keyWords, reverse, onProgress) {
+    const total = order.length;
+    const { shifts, streamSeed } = buildStrongPlan(total, keyWords);
+    const offsets = [offset % total, (offset + shifts[0]) % total, (offset + shifts[1]) % total, offset % total];
+
+    let input = src;
+    if (reverse) {
+        input = new Uint8ClampedArray(src);
+        applyKeystream(input, sfc32(...streamSeed), -1);
+    }
+    for (let channel = 0; channel < 4; channel++) {
+        if (onProgress) onProgress('remap', channel / 4);
+        let j = offsets[channel];
+        for (let i = 0; i < total; i++) {
+            if (reverse) {
+                dst[4 * order[i] + channel] = input[4 * order[j] + channel];
+            } else {
+                dst[4 * order[j] + channel] = input[4 * order[i] + channel];
+            }
+            if (++j === total) j = 0;
+        }
+    }
+    if (!reverse) {
+        applyKeystream(dst, sfc32(...streamSeed), 1);
+    }
+}
+
+// 按参数执行混淆，reverse 为 true 时解混淆；返回用于日志和元数据的参数摘要
+// params.algorithm 为 CURVES 中的曲线名、'block' 或 COMPAT_SCHEMES 中的方案名；params.strong 为 true 时曲线使用高强度模式
+// onProgress(stage, fraction) 中 stage 为 'curve'（曲线生成）或 'remap'（像素重排）
+function applyConfusion(src, dst, width, height, params, reverse, onProgress) {
+    if (params.algorithm === 'block') {
+        const tiles = blockShuffleRemap(src, dst, width, height, params.blockSize, params.strength, params.keyWords, reverse,
+            onProgress && (fraction => onProgress('remap', fraction)));
+        return { tiles };
+    }
+
+    if (isCompatScheme(params.algorithm)) {
+        const map = buildCompatMap(width, height, params, onProgress && (fraction => onProgress('curve', fraction)));
+        if (onProgress) onProgress('remap', 0);
+        const src32 = pixelView(src);
+        const dst32 = pixelView(dst);
+        if (reverse) {
+            for (let i = 0; i < map.length; i++) dst32[map[i]] = src32[i];
+        } else {
+            for (let i = 0; i < map.length; i++) dst32[i] = src32[map[i]];
+        }
+        return {};
+    }
+
+    const { order, offset: derivedOffset } = buildConfusionOrder(width, height, params.algorithm, params.keyWords,
+        onProgress && (fraction => onProgress('curve', fraction)));
+    const offset = params.offset !== undefined ? params.offset : derivedOffset;
+    if (params.strong) {
+        strongRemap(src, dst, order, offset, params.keyWords, reverse, onProgress);
+        return { offset, strong: true };
+    }
+
+    const total = width * height;
+    const src32 = pixelView(src);
+    const dst32 = pixelView(dst);
+
+    // 曲线上第 i 个像素移动到第 i + offset 个位置
+    for (let start = 0; start < total; start += PROGRESS_STEP) {
+        if (onProgress) onProgress('remap', start / total);
+        const end = Math.min(start + PROGRESS_STEP, total);
+        let j = (start + offset) % total;
+        if (reverse) {
+            for (let i = start; i < end; i++) {
+                dst32[order[i]] = src32[order[j]];
+                if (++j === total) j = 0;
+            }
+        } else {
+            for (let i = start; i < end; i++) {
+                dst32[order[j]] = src32[order[i]];
+                if (++j === total) j = 0;
+            }
+        }
+    }
+
+    return { offset };
+}
+
+// ===== 分条处理：超大图片不生成整幅的遍历顺序和结果副本 =====
+
+// 超过该像素数的图片由页面和后台线程分条处理
+const LARGE_IMAGE_PIXELS = 1 << 24;
+// 每条结果的像素数上限（16M 像素，64MB）
+const STRIP_PIXELS = 1 << 24;
+// 按曲线顺序每次读取的像素数
+const STRIP_CHUNK = 1 << 16;
+
+// 兼容方案的取像素表本身就是整幅的，按表取出这一段即可
+function compatStripFiller(src32, width, height, params, reverse, onProgress) {
+    const map = buildCompatMap(width, height, params, onProgress && (fraction => onProgress('curve', fraction)));
+
+    const fill = (first, count, strip) => {
+        const strip32 = pixelView(strip);
+        if (reverse) {
+            for (let i = 0; i < map.length; i++) {
+                const target = map[i] - first;
+                if (target >= 0 && target < count) strip32[target] = src32[i];
+            }
+        } else {
+            for (let k = 0; k < count; k++) strip32[k] = src32[map[first + k]];
+        }
+    };
+
+    return { info: {}, fill };
+}
+
+// 曲线算法：按曲线顺序分块读取目标位置，只为落在这一段内的目标读取对应的源位置；
+// 带密钥时遍历顺序由 64 像素的曲线段打乱而成，按段换算出在遍历顺序中的位置
+// 第一条处理完后记下每块目标位置的范围，后面各条跳过不相交的块
+function curveStripFiller(data, width, height, params, reverse, onProgress) {
+    const curveDef = CURVES[params.algorithm];
+    if (!curveDef) {
+        throw new Error(`未知的曲线 ${params.algorithm}`);
+    }
+    const total = width * height;
+    const readCurve = curveDef.range(width, height);
+    if (onProgress) onProgress('curve', 1);
+
+    const { keyWords } = params;
+    const offset = params.offset !== undefined ? params.offset : confusionOffset(total, keyWords);
+
+    // 带密钥时：第 g 段曲线位于遍历顺序的第 slotOf[g] 段，只有最后一段可能不足 64 像素
+    const segments = keyWords ? keyedSegments(total, keyWords) : null;
+    const segmentLength = segments ? KEY_SEGMENT_LENGTH : STRIP_CHUNK;
+    let slotOf = null, shortSlot = 0, shortLength = 0;
+    if (segments) {
+        slotOf = new Uint32Array(segments.length);
+        segments.forEach((segment, slot) => { slotOf[segment] = slot; });
+        shortSlot = slotOf[segments.length - 1];
+        shortLength = total - (segments.length - 1) * KEY_SEGMENT_LENGTH;
+    }
+    const slotStart = slot => slot * KEY_SEGMENT_LENGTH - (slot > shortSlot ? KEY_SEGMENT_LENGTH - shortLength : 0);
+
+    // 读取遍历顺序 order[(start + k) mod total]
+    const readOrder = (start, out) => {
+        let position = ((start % total) + total) % total;
+        for (let k = 0; k < out.length;) {
+            let n, curveStart;
+            if (!segments) {
+                n = Math.min(out.length - k, total - position);
+                curveStart = position;
+            } else {
+                const shortStart = shortSlot * KEY_SEGMENT_LENGTH;
+                let slot, within;
+                if (position < shortStart) {
+                    slot = Math.floor(position / KEY_SEGMENT_LENGTH);
+                    within = position % KEY_SEGMENT_LENGTH;
+                } else if (position < shortStart + shortLength) {
+                    slot = shortSlot;
+                    within = position - shortStart;
+                } else {
+                    const rest = position - shortStart - shortLength;
+                    slot = shortSlot + 1 + Math.floor(rest / KEY_SEGMENT_LENGTH);
+                    within = rest % KEY_SEGMENT_LENGTH;
+                }
+                const length = slot === shortSlot ? shortLength : KEY_SEGMENT_LENGTH;
+                n = Math.min(out.length - k, length - within);
+                curveStart = segments[slot] * KEY_SEGMENT_LENGTH + within;
+            }
+            readCurve(curveStart, out.subarray(k, k + n));
+            k += n;
+            position = (position + n) % total;
+        }
+    };
+
+    // 高强度模式：R、G、B 各自按不同偏移移动（Alpha 跟随 R），解混淆前先减去颜色密钥流
+    let passes = [{ offset, channel: -1 }];
+    let keystream = null;
+    if (params.strong) {
+        const { shifts, streamSeed } = buildStrongPlan(total, keyWords);
+        passes = [offset, offset + shifts[0], offset + shifts[1], offset].map((o, channel) => ({ offset: o % total, channel }));
+        if (reverse) {
+            applyKeystream(data, sfc32(...streamSeed), -1);
+        } else {
+            keystream = sfc32(...streamSeed);
+        }
+    }
+
+    const src32 = pixelView(data);
+    const chunkCount = Math.ceil(total / STRIP_CHUNK);
+    const chunkMin = new Float64Array(chunkCount).fill(-1);
+    const chunkMax = new Float64Array(chunkCount);
+    const targets = new Uint32Array(STRIP_CHUNK);
+    const sources = new Uint32Array(segmentLength);
+
+    const fill = (first, count, strip, report) => {
+        const strip32 = pixelView(strip);
+        const last = first + count;
+
+        for (let chunk = 0; chunk < chunkCount; chunk++) {
+            if (chunkMin[chunk] >= 0 && (chunkMin[chunk] >= last || chunkMax[chunk] < first)) continue;
+            const chunkStart = chunk * STRIP_CHUNK;
+            const chunkTargets = targets.subarray(0, Math.min(STRIP_CHUNK, total - chunkStart));
+            readCurve(chunkStart, chunkTargets);
+            if (chunkMin[chunk] < 0) {
+                let min = total, max = 0;
+                for (let k = 0; k < chunkTargets.length; k++) {
+                    if (chunkTargets[k] < min) min = chunkTargets[k];
+                    if (chunkTargets[k] > max) max = chunkTargets[k];
+                }
+                chunkMin[chunk] = min;
+                chunkMax[chunk] = max;
+                if (min >= last || max < first) continue;
+            }
+
+            // 曲线上连续的一段在遍历顺序中也连续：不带密钥时是整块，带密钥时是一段
+            for (let runStart = 0; runStart < chunkTargets.length; runStart += segmentLength) {
+                const run = chunkTargets.subarray(runStart, runStart + segmentLength);
+                let hit = false;
+                for (let k = 0; k < run.length && !hit; k++) {
+                    hit = run[k] >= first && run[k] < last;
+                }
+                if (!hit) continue;
+
+                const curveIndex = chunkStart + runStart;
+                const position = segments
+                    ? slotStart(slotOf[curveIndex / KEY_SEGMENT_LENGTH])
+                    : curveIndex;
+                const runSources = sources.subarray(0, run.length);
+                for (const pass of passes) {
+                    // 混淆时遍历顺序第 i 个像素移到第 i + offset 个位置，解混淆时反过来
+                    readOrder(reverse ? position + pass.offset : position - pass.offset, runSources);
+                    const channel = pass.channel;
+                    for (let k = 0; k < run.length; k++) {
+                        const target = run[k] - first;
+                        if (target < 0 || target >= count) continue;
+                        if (channel < 0) {
+                            strip32[target] = src32[runSources[k]];
+                        } else {
+                            strip[4 * target + channel] = data[4 * runSources[k] + channel];
+                        }
+                    }
+                }
+            }
+
+            if (report && chunk % 16 === 15) report(chunk / chunkCount);
+        }
+
+        if (keystream) applyKeystream(strip, keystream, 1);
+    };
+
+    return { info: params.strong ? { offset, strong: true } : { offset }, fill };
+}
+
+// 按条计算混淆 / 解混淆结果，与 applyConfusion 逐字节一致（补边、裁剪和局部区域由调用方处理）
+// 像素可能移动到图中任意位置，源图需要完整保留；遍历顺序按块读取，结果每次只分配一条
+// options.writeStrip(y, strip) 按顺序收到从第 y 行起的一条结果（RGBA，宽度同原图），返回后缓冲区会被复用
+// options.stripRows 指定每条的行数；options.onProgress(stage, fraction) 的 stage 为 'curve' 或 'remap'
+// 高强度模式解混淆时会原地修改 image.data
+function applyConfusionInStrips(image, params, reverse, options = {}) {
+    const { width, height, data } = image;
+    const { writeStrip, onProgress } = options;
+    const rows = Math.min(height, options.stripRows || Math.max(1, Math.floor(STRIP_PIXELS / width)));
+
+    let filler;
+    if (params.algorithm === 'block') {
+        filler = blockStripFiller(pixelView(data), width, height, params, reverse);
+    } else if (isCompatScheme(params.algorithm)) {
+        filler = compatStripFiller(pixelView(data), width, height, params, reverse, onProgress);
+    } else {
+        filler = curveStripFiller(data, width, height, params, reverse, onProgress);
+    }
+
+    const strip = new Uint8ClampedArray(rows * width * 4);
+    const stripCount = Math.ceil(height / rows);
+    for (let n = 0; n < stripCount; n++) {
+        const y = n * rows;
+        const count = Math.min(rows, height - y) * width;
+        const out = strip.subarray(0, count * 4);
+        filler.fill(y * width, count, out, onProgress && (fraction => onProgress('remap', (n + fraction) / stripCount)));
+        writeStrip(y, out);
+    }
+    if (onProgress) onProgress('remap', 1);
+
+    return filler.info;
+}
+
+// 是否按条处理：超大图片且不是局部混淆（局部混淆只复制选区，本来就不占多少内存）
+function needsStripProcessing(width, height, params) {
+    return width * height > LARGE_IMAGE_PIXELS && !(params.regions && params.regions.length);
+}
+
+// 画布超出浏览器上限时创建不会报错，但无法绘制：在右下角画一个点再读回来检查
+function canvasUsable(canvas) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return false;
+    ctx.fillRect(canvas.width - 1, canvas.height - 1, 1, 1);
+    const usable = ctx.getImageData(canvas.width - 1, canvas.height - 1, 1, 1).data[3] === 255;
+    ctx.clearRect(canvas.width - 1, canvas.height - 1, 1, 1);
+    return usable;
+}
+
+// 常见的画布面积上限对应的正方形边长（如桌面版 Chrome 约 2.68 亿像素，iOS Safari 约 1678 万像素）
+const CANVAS_PROBE_SIDES = [16384, 11585, 8192, 5793, 4096, 2048];
+
+function tryCreateCanvas(createCanvas, width, height) {
+    try {
+        const canvas = createCanvas(width, height);
+        if (canvasUsable(canvas)) return canvas;
+        canvas.width = canvas.height = 0;
+    } catch (error) {
+        // 部分浏览器直接抛出异常
+    }
+    return null;
+}
+
+// 创建指定尺寸的画布；createCanvas(width, height) 由调用方提供（页面用 <canvas>，后台线程用 OffscreenCanvas）
+// 超出浏览器上限时估计上限并抛出说明错误
+function createUsableCanvas(createCanvas, width, height) {
+    const canvas = tryCreateCanvas(createCanvas, width, height);
+    if (canvas) return canvas;
+
+    let limit = 0;
+    for (const side of CANVAS_PROBE_SIDES) {
+        if (side * side >= width * height) continue;
+        const probe = tryCreateCanvas(createCanvas, side, side);
+        if (probe) {
+            probe.width = probe.height = 0;
+            limit = side * side;
+            break;
+        }
+    }
+    const megapixels = pixels => `${Math.round(pixels / 10000)} 万像素`;
+    throw new Error(`图片尺寸 ${width} × ${height}（${megapixels(width * height)}）超出了浏览器的画布上限` +
+        (limit ? `（约 ${megapixels(limit)}）` : '') + '，无法处理；请先裁剪或缩小图片，或使用命令行工具处理 PNG');
+}
+
+// 超大图片混淆 / 解混淆：源图（ImageBitmap 或 <img>）按条画到小画布上读出，结果按条写入结果画布，
+// 全程只保留一份完整的源像素；补边、裁剪与 confuseImageData / deconfuseImageData 一致
+// output 为 { mime, auto, matte }，输出 JPEG 时逐条按底色合成透明像素；返回 { canvas, mime, info, width, height }
+function confuseLargeImage(source, width, height, params, reverse, output, createCanvas, onProgress) {
+    const multiple = !reverse && params.padTo > 1 ? params.padTo : 1;
+    const paddedWidth = Math.ceil(width / multiple) * multiple;
+    const paddedHeight = Math.ceil(height / multiple) * multiple;
+    const size = reverse ? restoredSize(params, width, height) : { width: paddedWidth, height: paddedHeight };
+
+    // 先创建结果画布，超出上限时不必再读入源图
+    const canvas = createUsableCanvas(createCanvas, size.width, size.height);
+    const ctx = canvas.getContext('2d');
+
+    const data = new Uint8ClampedArray(paddedWidth * paddedHeight * 4);
+    const rows = Math.min(height, Math.max(1, Math.floor(STRIP_PIXELS / width)));
+    const reader = createCanvas(width, rows);
+    const readerCtx = reader.getContext('2d', { willReadFrequently: true });
+    for (let y = 0; y < height; y += rows) {
+        const count = Math.min(rows, height - y);
+        readerCtx.clearRect(0, 0, width, count);
+        readerCtx.drawImage(source, 0, y, width, count, 0, 0, width, count);
+        const strip = readerCtx.getImageData(0, 0, width, count).data;
+        for (let r = 0; r < count; r++) {
+            data.set(strip.subarray(r * width * 4, (r + 1) * width * 4), (y + r) * paddedWidth * 4);
+        }
+    }
+    reader.width = reader.height = 0;
+    fillPadding(data, width, height, paddedWidth, paddedHeight);
+
+    // 重排不改变 Alpha 的分布，按源图判断是否透明
+    const mime = chooseOutputMime(hasTransparency(data), output);
+    let imageData = null;
+    const info = applyConfusionInStrips({ width: paddedWidth, height: paddedHeight, data }, params, reverse, {
+        onProgress,
+        writeStrip: (y, strip) => {
+            if (y >= size.height) return;
+            if (mime === 'image/jpeg') flattenAlpha(strip, output.matte || [255, 255, 255]);
+            const stripRows = strip.length / 4 / paddedWidth;
+            if (!imageData || imageData.height !== stripRows) {
+                imageData = ctx.createImageData(paddedWidth, stripRows);
+            }
+            imageData.data.set(strip);
+            // 超出结果画布的部分（解混淆时裁掉的补边）被自动裁剪
+            ctx.putImageData(imageData, 0, y);
+        }
+    });
+
+    if (paddedWidth !== width || paddedHeight !== height) {
+        info.originalWidth = width;
+        info.originalHeight = height;
+    }
+    return { canvas, mime, info, width: size.width, height: size.height };
+}
+
+// 混淆检测：在缩略图采样点上比较解混淆前后的连贯度
+const ANALYZE_SAMPLE_PIXELS = 128 * 128;
+const ANALYZE_THRESHOLD = 0.02;
+
+// 连贯度：1 - 相邻像素亮度差 / 随机像素对亮度差，越接近 1 越像正常图片
+function coherenceScore(data, width, height) {
+    const total = width * height;
+    const luma = new Float32Array(total);
+    for (let i = 0; i < total; i++) {
+        luma[i] = 0.299 * data[4 * i] + 0.587 * data[4 * i + 1] + 0.114 * data[4 * i + 2];
+    }
+
+    let neighbourDiff = 0, neighbourCount = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = x + y * width;
+            if (x + 1 < width) {
+                neighbourDiff += Math.abs(luma[i] - luma[i + 1]);
+                neighbourCount++;
+            }
+            if (y + 1 < height) {
+                neighbourDiff += Math.abs(luma[i] - luma[i + width]);
+                neighbourCount++;
+            }
+        }
+    }
+
+    // 固定种子的随机像素对，保证同一图片结果稳定
+    const random = sfc32(1, 2, 3, 4);
+    const pairs = Math.min(20000, total * 4);
+    let randomDiff = 0;
+    for (let k = 0; k < pairs; k++) {
+        randomDiff += Math.abs(luma[Math.floor(random() * total)] - luma[Math.floor(random() * total)]);
+    }
+
+    if (!neighbourCount || !randomDiff) return 1;
+    return 1 - (neighbourDiff / neighbourCount) / (randomDiff / pairs);
+}
+
+// 缩略图采样点：每个格子取中心像素的线性下标
+function samplePositions(width, height) {
+    const scale = Math.min(1, Math.sqrt(ANALYZE_SAMPLE_PIXELS / (width * height)));
+    const sampleWidth = Math.max(1, Math.round(width * scale));
+    const sampleHeight = Math.max(1, Math.round(height * scale));
+    const positions = new Uint32Array(sampleWidth * sampleHeight);
+    for (let y = 0; y < sampleHeight; y++) {
+        const sy = Math.floor((y + 0.5) * height / sampleHeight);
+        for (let x = 0; x < sampleWidth; x++) {
+            const sx = Math.floor((x + 0.5) * width / sampleWidth);
+            positions[x + y * sampleWidth] = sx + sy * width;
+        }
+    }
+    return { sampleWidth, sampleHeight, positions };
+}
+
+function gatherSamples(data, positions) {
+    const samples = new Uint8ClampedArray(positions.length * 4);
+    for (let k = 0; k < positions.length; k++) {
+        samples.set(data.subarray(4 * positions[k], 4 * positions[k] + 4), 4 * k);
+    }
+    return samples;
+}
+
+// 解混淆后，给定位置上的像素来自原图的哪个位置（无需生成完整的解混淆图）
+function deconfusedSourcePositions(width, height, params, positions) {
+    const sources = new Uint32Array(positions.length);
+
+    if (params.algorithm === 'block') {
+        const { blockSize } = params;
+        const { cols, rows, targets, transforms } = buildBlockPlan(width, height, blockSize, params.strength, params.keyWords);
+        positions.forEach((p, k) => {
+            const px = p % width, py = Math.floor(p / width);
+            const col = Math.floor(px / blockSize), row = Math.floor(py / blockSize);
+            if (col >= cols || row >= rows) {
+                sources[k] = p;
+                return;
+            }
+            const tile = col + row * cols;
+            const transform = transforms[tile];
+            const u = px - col * blockSize, v = py - row * blockSize;
+            let x = transform & 4 ? blockSize - 1 - u : u;
+            let y = v;
+            for (let r = 0; r < (transform & 3); r++) {
+                [x, y] = [blockSize - 1 - y, x];
+            }
+            const tx = (targets[tile] % cols) * blockSize;
+            const ty = Math.floor(targets[tile] / cols) * blockSize;
+            sources[k] = (tx + x) + (ty + y) * width;
+        });
+        return sources;
+    }
+
+    if (isCompatScheme(params.algorithm)) {
+        const map = buildCompatMap(width, height, params);
+        const inverse = new Uint32Array(map.length);
+        for (let i = 0; i < map.length; i++) {
+            inverse[map[i]] = i;
+        }
+        positions.forEach((p, k) => {
+            sources[k] = inverse[p];
+        });
+        return sources;
+    }
+
+    const total = width * height;
+    const { order, offset: derivedOffset } = buildConfusionOrder(width, height, params.algorithm, params.keyWords);
+    const offset = params.offset !== undefined ? params.offset : derivedOffset;
+    const rank = new Uint32Array(total);
+    for (let i = 0; i < total; i++) {
+        rank[order[i]] = i;
+    }
+    positions.forEach((p, k) => {
+        sources[k] = order[(rank[p] + offset) % total];
+    });
+    return sources;
+}
+
+// 判断图片是否已被混淆：试解混淆后连贯度明显上升则认为已混淆，明显下降则认为是正常图片
+function analyzeConfusion(data, width, height, params) {
+    const { sampleWidth, sampleHeight, positions } = samplePositions(width, height);
+    const before = coherenceScore(gatherSamples(data, positions), sampleWidth, sampleHeight);
+    const sources = deconfusedSourcePositions(width, height, params, positions);
+    const after = coherenceScore(gatherSamples(data, sources), sampleWidth, sampleHeight);
+
+    let verdict = 'unknown';
+    if (after - before > ANALYZE_THRESHOLD) {
+        verdict = 'confused';
+    } else if (before - after > ANALYZE_THRESHOLD) {
+        verdict = 'normal';
+    }
+    return { verdict, before, after };
+}
+
+// ===== 缩放恢复：图片被平台缩小后，搜索混淆时的原始尺寸 =====
+// 常见的原图长边：网页、手机截图和相机的常用尺寸
+const COMMON_LONG_EDGES = [
+    1280, 1334, 1440, 1600, 1792, 1920, 2048, 2208, 2340, 2400, 2436, 2532, 2560, 2688,
+    2778, 2796, 3000, 3024, 3264, 3840, 4000, 4032, 4096, 4608, 5472, 6000
+];
+const RECOVERY_SCALES = [1.25, 1.5, 2, 2.5, 3, 4];
+const RECOVERY_MAX_SCALE = 6;               // 只搜索当前尺寸 6 倍以内的原图
+const RECOVERY_MAX_PIXELS = 36 * 1000 * 1000;
+const RECOVERY_MAX_CANDIDATES = 100;
+const RECOVERY_RESULTS = 3;
+
+// 列出可能的原图尺寸，按优先级排列：
+// 提示（混淆记录等）→ 当前尺寸 → 常见缩放倍数 → 常见原图长边 → 手动指定的长边
+// 缩小时短边会四舍五入，所以每个长边对应的短边是一个范围，逐个列出
+function recoveryCandidates(width, height, options = {}) {
+    const { hints = [], longEdges = [] } = options;
+    const candidates = [];
+    const seen = new Set();
+    const add = (w, h, label, extra) => {
+        const key = `${w}x${h}`;
+        if (w < 1 || h < 1 || seen.has(key) || w * h > RECOVERY_MAX_PIXELS) return;
+        seen.add(key);
+        candidates.push({ width: w, height: h, label, ...extra });
+    };
+
+    const landscape = width >= height;
+    const long = Math.max(width, height);
+    const short = Math.min(width, height);
+    const addLongEdge = (edge, label, maxScale) => {
+        if (edge <= long || edge > long * maxScale) return;
+        const from = Math.max(1, Math.ceil((short - 0.5) * edge / long));
+        const to = Math.floor((short + 0.5) * edge / long);
+        for (let s = from; s <= to; s++) {
+            add(landscape ? edge : s, landscape ? s : edge, label);
+        }
+    };
+
+    // 手动指定的长边优先级最高，不受倍数限制
+    longEdges.forEach(edge => addLongEdge(edge, '指定长边', Infinity));
+    hints.forEach(hint => add(hint.width, hint.height, hint.label || '提示', hint));
+    add(width, height, '当前尺寸');
+    RECOVERY_SCALES.forEach(scale => addLongEdge(Math.round(long * scale), `放大 ${scale} 倍`, RECOVERY_MAX_SCALE));
+    COMMON_LONG_EDGES.forEach(edge => addLongEdge(edge, '常见尺寸', RECOVERY_MAX_SCALE));
+
+    return candidates.slice(0, RECOVERY_MAX_CANDIDATES);
+}
+
+// 假设原图为 candidateWidth × candidateHeight，把当前图片放大回去再解混淆后的连贯度
+// 只计算采样点：放大后的像素按最近邻取自当前图片
+function scoreRecoveryCandidate(data, width, height, candidateWidth, candidateHeight, params) {
+    const { sampleWidth, sampleHeight, positions } = samplePositions(candidateWidth, candidateHeight);
+    const sources = deconfusedSourcePositions(candidateWidth, candidateHeight, params, positions);
+    const samples = new Uint8ClampedArray(positions.length * 4);
+    sources.forEach((q, k) => {
+        const x = Math.min(width - 1, Math.floor(((q % candidateWidth) + 0.5) * width / candidateWidth));
+        const y = Math.min(height - 1, Math.floor((Math.floor(q / candidateWidth) + 0.5) * height / candidateHeight));
+        const o = 4 * (x + y * width);
+        samples.set(data.subarray(o, o + 4), 4 * k);
+    });
+    return coherenceScore(samples, sampleWidth, sampleHeight);
+}
+
+// 双线性缩放（用于把缩小后的图片放大回候选尺寸）
+function resizeImageData(image, width, height) {
+    if (width === image.width && height === image.height) return image;
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    const src = image.data;
+    const xScale = image.width / width;
+    const yScale = image.height / height;
+    for (let y = 0; y < height; y++) {
+        const sy = Math.max(0, Math.min(image.height - 1, (y + 0.5) * yScale - 0.5));
+        const y0 = Math.floor(sy), y1 = Math.min(image.height - 1, y0 + 1), fy = sy - y0;
+        for (let x = 0; x < width; x++) {
+            const sx = Math.max(0, Math.min(image.width - 1, (x + 0.5) * xScale - 0.5));
+            const x0 = Math.floor(sx), x1 = Math.min(image.width - 1, x0 + 1), fx = sx - x0;
+            const a = 4 * (x0 + y0 * image.width), b = 4 * (x1 + y0 * image.width);
+            const c = 4 * (x0 + y1 * image.width), d = 4 * (x1 + y1 * image.width);
+            const o = 4 * (x + y * width);
+            for (let ch = 0; ch < 4; ch++) {
+                const top = src[a + ch] + (src[b + ch] - src[a + ch]) * fx;
+                const bottom = src[c + ch] + (src[d + ch] - src[c + ch]) * fx;
+                data[o + ch] = top + (bottom - top) * fy;
+            }
+        }
+    }
+    return { width, height, data };
+}
+
+// 为每个候选尺寸打分，取最好的几个完整解混淆
+// onProgress(stage, fraction) 中 stage 为 'search'（打分）或 'render'（生成结果）
+// 返回 { ranked: 全部候选按分数从高到低, results: [{ ...候选, image }] }
+function recoverImage(image, params, options, onProgress) {
+    // 偏移量与尺寸有关，按候选尺寸重新计算
+    const searchParams = { ...params, offset: undefined, originalWidth: undefined, originalHeight: undefined };
+    const candidates = recoveryCandidates(image.width, image.height, options);
+
+    candidates.forEach((candidate, i) => {
+        if (onProgress) onProgress('search', i / candidates.length);
+        candidate.score = scoreRecoveryCandidate(image.data, image.width, image.height,
+            candidate.width, candidate.height, searchParams);
+    });
+    const ranked = candidates.slice().sort((a, b) => b.score - a.score);
+
+    const results = ranked.slice(0, RECOVERY_RESULTS).map((candidate, i) => {
+        if (onProgress) onProgress('render', i / RECOVERY_RESULTS);
+        const resized = resizeImageData(image, candidate.width, candidate.height);
+        const restored = deconfuseImageData(resized, {
+            ...searchParams,
+            originalWidth: candidate.originalWidth,
+            originalHeight: candidate.originalHeight
+        });
+        return { ...candidate, image: restored };
+    });
+
+    return { ranked, results };
+}
+
+// 密钥指纹：派生结果的 SHA-256 前 4 字节，用于校验而不泄露密钥
+async function keyFingerprint(keyWords) {
+    const digest = await crypto.subtle.digest('SHA-256', keyWords);
+    return Array.from(new Uint8Array(digest).slice(0, 4))
+        .map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// 反相 RGB，Alpha 通道保持不变
+function invertPixels(data) {
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = 255 - data[i];         // R
+        data[i + 1] = 255 - data[i + 1]; // G
+        data[i + 2] = 255 - data[i + 2]; // B
+    }
+}
+
+// 是否含有透明或半透明像素
+function hasTransparency(data) {
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] < 255) return true;
+    }
+    return false;
+}
+
+// 解析 #rrggbb 形式的底色，无效时使用白色
+function parseMatteColor(color) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+    return match ? match.slice(1).map(hex => parseInt(hex, 16)) : [255, 255, 255];
+}
+
+// 把透明像素合成到底色 [r, g, b] 上（原地修改），用于不支持透明度的 JPEG
+function flattenAlpha(data, matte) {
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        if (alpha === 1) continue;
+        data[i] = data[i] * alpha + matte[0] * (1 - alpha);
+        data[i + 1] = data[i + 1] * alpha + matte[1] * (1 - alpha);
+        data[i + 2] = data[i + 2] * alpha + matte[2] * (1 - alpha);
+        data[i + 3] = 255;
+    }
+}
+
+// 自动格式下有透明像素用 PNG，否则用 JPEG；其余格式按设置
+function chooseOutputMime(transparent, output) {
+    return output.auto ? (transparent ? 'image/png' : 'image/jpeg') : output.mime;
+}
+
+// 按图片内容确定实际输出格式：自动格式下有透明像素用 PNG，否则用 JPEG；
+// 输出 JPEG 时按 output.matte 合成透明像素（原地修改 data），flattened 表示是否改动过像素
+function resolveOutputMime(data, output) {
+    const transparent = hasTransparency(data);
+    const mime = chooseOutputMime(transparent, output);
+    const flattened = mime === 'image/jpeg' && transparent;
+    if (flattened) flattenAlpha(data, output.matte || [255, 255, 255]);
+    return { mime, flattened };
+}
+
+// 补边到 multiple 的倍数：补出的部分复制最右列 / 最下行像素，压缩后几乎不占体积
+// JPEG 按 8×8 或 16×16 宏块压缩，对齐后边缘宏块不再横跨图片边界
+function padImageData(image, multiple) {
+    const width = Math.ceil(image.width / multiple) * multiple;
+    const height = Math.ceil(image.height / multiple) * multiple;
+    if (width === image.width && height === image.height) return image;
+
+    const src32 = pixelView(image.data);
+    const data = new Uint8ClampedArray(width * height * 4);
+    const dst32 = pixelView(data);
+    for (let y = 0; y < image.height; y++) {
+        dst32.set(src32.subarray(y * image.width, (y + 1) * image.width), y * width);
+    }
+    fillPadding(data, image.width, image.height, width, height);
+    return { width, height, data };
+}
+
+// 原图已按补边后的宽度放在左上角：用最右列 / 最下行像素填满补边区域（原地修改）
+function fillPadding(data, width, height, paddedWidth, paddedHeight) {
+    const data32 = pixelView(data);
+    for (let y = 0; y < paddedHeight; y++) {
+        const row = y * paddedWidth;
+        if (y < height) {
+            data32.fill(data32[row + width - 1], row + width, row + paddedWidth);
+        } else {
+            data32.copyWithin(row, (height - 1) * paddedWidth, height * paddedWidth);
+        }
+    }
+}
+
+// 裁剪左上角 width × height 的区域
+function cropImageData(image, width, height) {
+    if (width === image.width && height === image.height) return image;
+
+    const src32 = pixelView(image.data);
+    const data = new Uint8ClampedArray(width * height * 4);
+    const dst32 = pixelView(data);
+    for (let y = 0; y < height; y++) {
+        dst32.set(src32.subarray(y * image.width, y * image.width + width), y * width);
+    }
+    return { width, height, data };
+}
+
+// ===== 局部混淆：只处理指定的矩形区域 =====
+// 规范化区域：接受 { x, y, width, height } 或 [x, y, width, height]，取整并裁剪到图片范围内，丢弃空区域
+function normalizeRegions(regions, width, height) {
+    return (regions || []).map(region => {
+        const [x, y, w, h] = Array.isArray(region) ? region : [region.x, region.y, region.width, region.height];
+        const left = Math.max(0, Math.round(x));
+        const top = Math.max(0, Math.round(y));
+        const right = Math.min(width, Math.round(x + w));
+        const bottom = Math.min(height, Math.round(y + h));
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }).filter(region => region.width > 0 && region.height > 0);
+}
+
+// 把画笔蒙版转换为按 cell 对齐的矩形：每行相邻的格子合并为一段，上下相同的段再合并
+// mask 为 width × height 的数组，非 0 表示选中
+function maskToRegions(mask, width, height, cell = 16) {
+    const columns = Math.ceil(width / cell);
+    const rows = Math.ceil(height / cell);
+    const regions = [];
+    let open = new Map(); // "起始列:结束列" -> 向下延伸中的矩形
+
+    for (let row = 0; row < rows; row++) {
+        const y0 = row * cell;
+        const y1 = Math.min(height, y0 + cell);
+        const covered = new Uint8Array(columns);
+        for (let y = y0; y < y1; y++) {
+            for (let x = 0; x < width; x++) {
+                if (mask[x + y * width]) covered[Math.floor(x / cell)] = 1;
+            }
+        }
+
+        const next = new Map();
+        for (let col = 0; col < columns; col++) {
+            if (!covered[col]) continue;
+            let end = col;
+            while (end + 1 < columns && covered[end + 1]) end++;
+            const key = `${col}:${end}`;
+            const region = open.get(key);
+            if (region) {
+                region.height = y1 - region.y;
+                open.delete(key);
+            } else {
+                const x0 = col * cell;
+                regions.push({ x: x0, y: y0, width: Math.min(width, (end + 1) * cell) - x0, height: y1 - y0 });
+            }
+            next.set(key, region || regions[regions.length - 1]);
+            col = end;
+        }
+        open = next;
+    }
+    return regions;
+}
+
+function extractRegion(image, region) {
+    const data = new Uint8ClampedArray(region.width * region.height * 4);
+    for (let y = 0; y < region.height; y++) {
+        const from = 4 * (region.x + (region.y + y) * image.width);
+        data.set(image.data.subarray(from, from + 4 * region.width), 4 * y * region.width);
+    }
+    return { width: region.width, height: region.height, data };
+}
+
+function putRegion(image, region, source) {
+    for (let y = 0; y < region.height; y++) {
+        const row = source.data.subarray(4 * y * region.width, 4 * (y + 1) * region.width);
+        image.data.set(row, 4 * (region.x + (region.y + y) * image.width));
+    }
+}
+
+// 逐个区域混淆 / 解混淆，曲线在每个区域内单独生成；区域可以重叠，解混淆时倒序处理即可精确还原
+// 偏移量随区域尺寸而定，补边与裁剪不适用
+function applyRegions(image, params, reverse, onProgress) {
+    const regions = normalizeRegions(params.regions, image.width, image.height);
+    const result = { width: image.width, height: image.height, data: new Uint8ClampedArray(image.data) };
+    const regionParams = {
+        ...params,
+        regions: undefined,
+        padTo: 0,
+        offset: undefined,
+        originalWidth: undefined,
+        originalHeight: undefined
+    };
+
+    const order = reverse ? regions.slice().reverse() : regions;
+    order.forEach((region, i) => {
+        const report = onProgress ? (stage, fraction) => onProgress('remap', (i + fraction) / order.length) : undefined;
+        const source = extractRegion(result, region);
+        const output = reverse
+            ? deconfuseImageData(source, regionParams, report)
+            : confuseImageData(source, regionParams, report);
+        putRegion(result, region, output);
+    });
+    return { ...result, info: { regions } };
+}
+
+// 以下三个函数不修改输入，返回新的 { width, height, data, info }
+// 混淆时 params.padTo 大于 1 则先补边，info 中带回原图尺寸；
+// 解混淆时给出 params.originalWidth / originalHeight 则在还原后裁剪回原图尺寸
+function confuseImageData(image, params, onProgress) {
+    if (params.regions && params.regions.length) {
+        return applyRegions(image, params, false, onProgress);
+    }
+    const input = params.padTo > 1 ? padImageData(image, params.padTo) : image;
+    const data = new Uint8ClampedArray(input.width * input.height * 4);
+    const info = applyConfusion(input.data, data, input.width, input.height, params, false, onProgress);
+    if (input !== image) {
+        info.originalWidth = image.width;
+        info.originalHeight = image.height;
+    }
+    return { width: input.width, height: input.height, data, info };
+}
+
+function deconfuseImageData(image, params, onProgress) {
+    if (params.regions && params.regions.length) {
+        return applyRegions(image, params, true, onProgress);
+    }
+    const data = new Uint8ClampedArray(image.width * image.height * 4);
+    const info = applyConfusion(image.data, data, image.width, image.height, params, true, onProgress);
+    const result = { width: image.width, height: image.height, data };
+    const size = restoredSize(params, image.width, image.height);
+    return { ...cropImageData(result, size.width, size.height), info };
+}
+
+// 解混淆后的尺寸：给出的原图尺寸有效且不超过当前尺寸时裁剪回原图尺寸
+function restoredSize(params, width, height) {
+    const { originalWidth, originalHeight } = params;
+    if (originalWidth > 0 && originalHeight > 0 && originalWidth <= width && originalHeight <= height) {
+        return { width: originalWidth, height: originalHeight };
+    }
+    return { width, height };
+}
+
+function invertImageData(image) {
+    const data = new Uint8ClampedArray(image.data);
+    invertPixels(data);
+    return { width: image.width, height: image.height, data, info: {} };
+}
+
+// ===== 流水线：按顺序执行多个操作，并能生成反向流水线 =====
+const PIPELINE_OPS = {
+    invert: '反相',
+    confuse: '混淆',
+    deconfuse: '解混淆',
+    convert: '转换格式'
+};
+const PIPELINE_FORMATS = ['jpeg', 'webp', 'png', 'webp-lossless'];
+// 有损的格式，转换后无法还原
+const LOSSY_PIPELINE_FORMATS = ['jpeg', 'webp'];
+
+// 导入的值写进错误提示前只保留字母、数字和少数符号并截短，文件中的任意内容不会原样出现在页面上
+function importedValueText(value) {
+    const text = String(value).replace(/[^\w.+-]/g, '').slice(0, 32);
+    return text ? `"${text}"` : '';
+}
+
+// 校验并规范化一个步骤（导入 JSON 时使用），不合法时抛出异常
+function normalizePipelineStep(step, index) {
+    const where = `第 ${index + 1} 步`;
+    if (!step || typeof step !== 'object' || !PIPELINE_OPS[step.op]) {
+        throw new Error(`${where}：未知操作 ${importedValueText(step && step.op)}`);
+    }
+    if (step.op === 'invert') {
+        return { op: 'invert' };
+    }
+    if (step.op === 'convert') {
+        if (!PIPELINE_FORMATS.includes(step.format)) {
+            throw new Error(`${where}：未知格式 ${importedValueText(step.format)}`);
+        }
+        const quality = step.quality === undefined ? 0.95 : Number(step.quality);
+        if (!(quality > 0 && quality <= 1)) {
+            throw new Error(`${where}：质量必须在 0 到 1 之间`);
+        }
+        return { op: 'convert', format: step.format, quality };
+    }
+
+    if (!isKnownAlgorithm(step.algorithm)) {
+        throw new Error(`${where}：未知算法 ${importedValueText(step.algorithm)}`);
+    }
+    const normalized = { op: step.op, algorithm: step.algorithm };
+    if (step.algorithm === 'block') {
+        normalized.blockSize = Math.max(1, parseInt(step.blockSize, 10) || 32);
+        normalized.strength = Number(step.strength) > 0 ? Number(step.strength) : 1;
+    }
+    if (isCompatScheme(step.algorithm)) {
+        normalized.compatKey = step.compatKey ? String(step.compatKey) : '';
+        if (COMPAT_SCHEMES[step.algorithm].usesBlocks) {
+            normalized.blocksX = Math.max(1, parseInt(step.blocksX, 10) || 32);
+            normalized.blocksY = Math.max(1, parseInt(step.blocksY, 10) || 32);
+        }
+    } else {
+        // 只记录是否使用密钥，密钥本身在执行时输入，不随预设保存
+        normalized.useKey = !!step.useKey;
+    }
+    return normalized;
+}
+
+// 校验并规范化流水线 { name, steps }
+function normalizePipeline(pipeline) {
+    if (!pipeline || typeof pipeline !== 'object' || !Array.isArray(pipeline.steps)) {
+        throw new Error('流水线格式不正确，缺少 steps');
+    }
+    if (pipeline.steps.length === 0) {
+        throw new Error('流水线至少需要一个步骤');
+    }
+    return {
+        name: typeof pipeline.name === 'string' ? pipeline.name : '',
+        steps: pipeline.steps.map(normalizePipelineStep)
+    };
+}
+
+// 反向流水线：倒序执行，混淆与解混淆互换，反相不变；格式转换无法撤销，直接省略
+// （有损转换时反向只是近似还原，见 isPipelineInverseExact）
+function invertPipeline(steps) {
+    const swap = { confuse: 'deconfuse', deconfuse: 'confuse' };
+    return steps.slice().reverse()
+        .filter(step => step.op !== 'convert')
+        .map(step => swap[step.op] ? { ...step, op: swap[step.op] } : { ...step });
+}
+
+// 没有有损的格式转换时，反向流水线能精确还原
+function isPipelineInverseExact(steps) {
+    return !steps.some(step => step.op === 'convert' && LOSSY_PIPELINE_FORMATS.includes(step.format));
+}
+
+// 步骤的简短描述，如"混淆 Gilbert曲线+密钥"、"转换为 jpeg"
+function describePipelineStep(step) {
+    if (step.op === 'convert') return `转换为 ${step.format}`;
+    if (step.op === 'invert') return PIPELINE_OPS.invert;
+    return `${PIPELINE_OPS[step.op]} ${algorithmLabel(step.algorithm)}${step.useKey ? '+密钥' : ''}`;
+}
+
+// 步骤对应的混淆参数
+function pipelineStepParams(step, keyWords) {
+    return {
+        algorithm: step.algorithm,
+        blockSize: step.blockSize,
+        strength: step.strength,
+        compatKey: step.compatKey,
+        blocksX: step.blocksX,
+        blocksY: step.blocksY,
+        keyWords: step.useKey ? keyWords : null
+    };
+}
+
+// 按顺序执行流水线
+// options.keyWords 为 useKey 步骤使用的派生密钥
+// options.reencode(image, step) 负责格式转换（编码后再解码），返回 Promise<image>；未提供时遇到转换步骤报错
+// options.onProgress(fraction) 回报整体进度
+async function runPipeline(image, steps, options = {}) {
+    const { keyWords = null, reencode = null, onProgress = null } = options;
+    let current = image;
+
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const report = onProgress ? (stage, fraction) => onProgress((i + fraction) / steps.length) : undefined;
+        if (report) report(null, 0);
+
+        if (step.op === 'invert') {
+            current = invertImageData(current);
+        } else if (step.op === 'convert') {
+            if (!reencode) throw new Error(`第 ${i + 1} 步：当前环境不支持格式转换`);
+            current = await reencode(current, step);
+        } else {
+            if (step.useKey && !keyWords) throw new Error(`第 ${i + 1} 步需要密钥，请先输入密钥`);
+            const params = pipelineStepParams(step, keyWords);
+            current = step.op === 'confuse'
+                ? confuseImageData(current, params, report)
+                : deconfuseImageData(current, params, report);
+        }
+    }
+    if (onProgress) onProgress(1);
+    return current;
+}
+
+// CRC32：PNG 数据块校验，页面打包 ZIP 时也使用
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// 混淆记录：写入输出图片，解混淆时据此还原参数
+const TOOL_NAME = 'LX_IMG_Confusion';
+const TOOL_VERSION = '1.1.0';
+const METADATA_KEYWORD = 'LXConfusion'; // PNG tEXt 关键字 / JPEG COM 前缀
+
+function createConfusionRecord(params, info, width, height) {
+    const record = {
+        tool: TOOL_NAME,
+        version: TOOL_VERSION,
+        algorithm: params.algorithm,
+        width,
+        height,
+        key: params.keyFingerprint || null
+    };
+    if (params.algorithm === 'block') {
+        record.blockSize = params.blockSize;
+        record.strength = params.strength;
+    } else if (isCompatScheme(params.algorithm)) {
+        // 兼容方案的密钥不做指纹，只记录方块数
+        record.key = null;
+        if (COMPAT_SCHEMES[params.algorithm].usesBlocks) {
+            record.blocksX = params.blocksX;
+            record.blocksY = params.blocksY;
+        }
+    } else if (!info.regions && !info.animation && !params.keyWords) {
+        // 有密钥时偏移量由密钥推导，写进记录只会泄露一部分重排顺序
+        record.offset = info.offset;
+    }
+    if (params.strong && CURVES[params.algorithm]) {
+        record.strong = true;
+    }
+    // 动图逐帧混淆，偏移量随每帧尺寸而定
+    if (info.animation) {
+        record.animation = info.animation;
+        record.frames = info.frames;
+    }
+    // 局部混淆时记录区域，偏移量随区域尺寸而定，不再单独记录
+    if (info.regions) {
+        record.regions = info.regions.map(region => [region.x, region.y, region.width, region.height]);
+    }
+    if (info.originalWidth) {
+        record.originalWidth = info.originalWidth;
+        record.originalHeight = info.originalHeight;
+    }
+    return record;
+}
+
+// 解析记录文本，不是本工具的记录时返回 null
+function parseConfusionRecord(text) {
+    try {
+        const record = JSON.parse(text);
+        // 记录来自图片中的元数据，版本和算法会显示在提示中，类型不对的记录视为无效
+        return record && record.tool === TOOL_NAME && typeof record.version === 'string' && typeof record.algorithm === 'string'
+            ? record : null;
+    } catch (error) {
+        console.warn('混淆记录解析失败:', error);
+        return null;
+    }
+}
+
+// Node 中通过 require 使用；浏览器和 Worker 中以上函数直接作为全局函数
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        gilbert2d,
+        CURVES,
+        isKnownAlgorithm,
+        algorithmLabel,
+        COMPAT_SCHEMES,
+        isCompatScheme,
+        md5,
+        deriveKeyWords,
+        keyFingerprint,
+        buildConfusionOrder,
+        buildBlockPlan,
+        applyConfusion,
+        applyConfusionInStrips,
+        needsStripProcessing,
+        confuseLargeImage,
+        createUsableCanvas,
+        analyzeConfusion,
+        coherenceScore,
+        invertPixels,
+        hasTransparency,
+        parseMatteColor,
+        flattenAlpha,
+        resolveOutputMime,
+        confuseImageData,
+        deconfuseImageData,
+        invertImageData,
+        padImageData,
+        fillPadding,
+        cropImageData,
+        normalizeRegions,
+        maskToRegions,
+        resizeImageData,
+        recoveryCandidates,
+        recoverImage,
+        PIPELINE_OPS,
+        normalizePipelineStep,
+        normalizePipeline,
+        invertPipeline,
+        isPipelineInverseExact,
+        describePipelineStep,
+        runPipeline,
+        createConfusionRecord,
+        parseConfusionRecord,
+        crc32,
+        orderCache,
+        TOOL_NAME,
+        TOOL_VERSION,
+        METADATA_KEYWORD
+    };
+}
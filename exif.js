@@ -0,0 +1,314 @@
+// EXIF 元数据：读取方向和隐私相关的标签，按方向把像素转正，导出前去掉 EXIF / XMP 等元数据。
+// 各浏览器对 EXIF 方向的处理不一致（有的绘制时自动旋转，有的不旋转），处理前统一按这里的变换转正，
+// 混淆和解混淆只看像素本身。不依赖 DOM，页面和 Node 共用
+
+// Node 中从 core.js / bytes.js / repair.js 取依赖；浏览器中它们是先加载的脚本定义的全局函数和常量
+const exifDeps = typeof module !== 'undefined' && module.exports
+    ? { ...require('./core.js'), ...require('./bytes.js'), ...require('./repair.js') }
+    : { METADATA_KEYWORD, concatBytes, readAscii, pngChunks, jpegSegments, webpChunks, gifBlocks, detectImageFormat, findImageEnd };
+
+// TIFF 各数据类型每个值的字节数
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8 };
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+const ORIENTATION_TAG = 0x0112;
+
+// 涉及隐私的标签：位置单独处理，这里按显示顺序列出其余标签
+const SENSITIVE_EXIF_TAGS = [
+    { label: '设备', tags: [0x010F, 0x0110] },                 // Make、Model
+    { label: '镜头', tags: [0xA433, 0xA434] },                 // LensMake、LensModel
+    { label: '机身序列号', tags: [0xA431] },                   // BodySerialNumber
+    { label: '机主', tags: [0xA430] },                         // CameraOwnerName
+    { label: '作者', tags: [0x013B] },                         // Artist
+    { label: '电脑', tags: [0x013C] },                         // HostComputer
+    { label: '软件', tags: [0x0131] },                         // Software
+    { label: '拍摄时间', tags: [0x9003, 0x9004, 0x0132] },      // DateTimeOriginal、DateTimeDigitized、DateTime，取第一个
+    { label: '图片唯一 ID', tags: [0xA420] }                   // ImageUniqueID
+];
+
+// 八种方向：转正后的尺寸是否交换宽高，以及把原始像素画到转正画布上的变换矩阵 [a, b, c, d, e, f]
+const ORIENTATIONS = {
+    1: { label: '正常', swap: false, matrix: (w, h) => [1, 0, 0, 1, 0, 0] },
+    2: { label: '水平翻转', swap: false, matrix: (w, h) => [-1, 0, 0, 1, w, 0] },
+    3: { label: '旋转 180°', swap: false, matrix: (w, h) => [-1, 0, 0, -1, w, h] },
+    4: { label: '垂直翻转', swap: false, matrix: (w, h) => [1, 0, 0, -1, 0, h] },
+    5: { label: '转置', swap: true, matrix: (w, h) => [0, 1, 1, 0, 0, 0] },
+    6: { label: '顺时针旋转 90°', swap: true, matrix: (w, h) => [0, 1, -1, 0, h, 0] },
+    7: { label: '反转置', swap: true, matrix: (w, h) => [0, -1, -1, 0, h, w] },
+    8: { label: '逆时针旋转 90°', swap: true, matrix: (w, h) => [0, -1, 1, 0, 0, w] }
+};
+
+// ===== 在各格式中定位元数据 =====
+
+function isExifPayload(payload) {
+    return exifDeps.readAscii(payload, 0, 6) === 'Exif\0\0';
+}
+
+// 找到图片中的 EXIF（TIFF 格式数据），没有时返回 null
+function findExifTiff(bytes) {
+    switch (exifDeps.detectImageFormat(bytes)) {
+        case 'jpeg': {
+            const segment = exifDeps.jpegSegments(bytes).find(s => s.marker === 0xE1 && isExifPayload(s.payload));
+            return segment ? segment.payload.subarray(6) : null;
+        }
+        case 'png': {
+            const chunk = exifDeps.pngChunks(bytes).find(c => c.type === 'eXIf');
+            return chunk ? chunk.data : null;
+        }
+        case 'webp': {
+            const chunk = exifDeps.webpChunks(bytes).find(c => c.fourcc === 'EXIF');
+            if (!chunk) return null;
+            // 有的编码器在 WebP 的 EXIF 块中也写了 "Exif\0\0" 前缀
+            return isExifPayload(chunk.data) ? chunk.data.subarray(6) : chunk.data;
+        }
+        default:
+            return null;
+    }
+}
+
+// ===== 解析 TIFF =====
+
+function createTiffReader(tiff) {
+    const order = exifDeps.readAscii(tiff, 0, 2);
+    if (order !== 'II' && order !== 'MM') return null;
+    const little = order === 'II';
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const u16 = pos => view.getUint16(pos, little);
+    const u32 = pos => view.getUint32(pos, little);
+    if (tiff.length < 8 || u16(2) !== 42) return null;
+
+    // 读取一个 IFD 中的所有条目，valueAt 为值所在的位置（不超过 4 字节时就在条目中）
+    const readIfd = offset => {
+        const entries = new Map();
+        if (!offset || offset + 2 > tiff.length) return entries;
+        const count = u16(offset);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > tiff.length) break;
+            const type = u16(entry + 2);
+            const size = (TIFF_TYPE_SIZES[type] || 0) * u32(entry + 4);
+            const valueAt = size <= 4 ? entry + 8 : u32(entry + 8);
+            if (!TIFF_TYPE_SIZES[type] || valueAt + size > tiff.length) continue;
+            entries.set(u16(entry), { entry, type, count: u32(entry + 4), valueAt });
+        }
+        return entries;
+    };
+
+    // 取条目的值：文本返回字符串，数值返回数组（分数换算为小数）
+    const value = item => {
+        if (!item) return null;
+        const { type, count, valueAt } = item;
+        if (type === 2) return exifDeps.readAscii(tiff, valueAt, count).replace(/\0+$/, '').trim();
+        const values = [];
+        for (let i = 0; i < Math.min(count, 64); i++) {
+            const pos = valueAt + i * TIFF_TYPE_SIZES[type];
+            if (type === 3) values.push(u16(pos));
+            else if (type === 4) values.push(u32(pos));
+            else if (type === 8) values.push(view.getInt16(pos, little));
+            else if (type === 9) values.push(view.getInt32(pos, little));
+            else if (type === 5) values.push(u32(pos) / (u32(pos + 4) || 1));
+            else if (type === 10) values.push(view.getInt32(pos, little) / (view.getInt32(pos + 4, little) || 1));
+            else values.push(tiff[pos]);
+        }
+        return values;
+    };
+
+    const ifd0 = readIfd(u32(4));
+    const pointer = tag => ifd0.has(tag) ? value(ifd0.get(tag))[0] : 0;
+    return { little, view, ifd0, exif: readIfd(pointer(EXIF_IFD_POINTER)), gps: readIfd(pointer(GPS_IFD_POINTER)), value };
+}
+
+// 度分秒换算为带方向的小数度
+function gpsCoordinate(reader, valueTag, refTag, negativeRef) {
+    const parts = reader.value(reader.gps.get(valueTag));
+    if (!parts || parts.length < 3) return null;
+    const degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+    return reader.value(reader.gps.get(refTag)) === negativeRef ? -degrees : degrees;
+}
+
+// 读取 EXIF：方向（1 ~ 8，没有时为 1）、隐私相关的标签 [{ label, value }] 和原始 TIFF 数据；没有 EXIF 时返回 null
+function readExif(bytes) {
+    const tiff = findExifTiff(bytes);
+    const reader = tiff && createTiffReader(tiff);
+    if (!reader) return null;
+
+    const orientationValue = reader.value(reader.ifd0.get(ORIENTATION_TAG));
+    const orientation = orientationValue && ORIENTATIONS[orientationValue[0]] ? orientationValue[0] : 1;
+
+    const sensitive = [];
+    if (reader.gps.size) {
+        const lat = gpsCoordinate(reader, 0x0002, 0x0001, 'S');
+        const lon = gpsCoordinate(reader, 0x0004, 0x0003, 'W');
+        sensitive.push({
+            label: '位置（GPS）',
+            value: lat !== null && lon !== null ? `${lat.toFixed(5)}, ${lon.toFixed(5)}` : '有 GPS 信息'
+        });
+    }
+    for (const { label, tags } of SENSITIVE_EXIF_TAGS) {
+        const texts = [];
+        for (const tag of tags) {
+            const item = reader.ifd0.get(tag) || reader.exif.get(tag);
+            const text = item && item.type === 2 ? reader.value(item) : '';
+            if (text && !texts.includes(text)) texts.push(text);
+        }
+        if (!texts.length) continue;
+        // 时间只取第一个；设备、镜头把厂商和型号连起来，型号里已含厂商名时不重复
+        const joined = label === '拍摄时间' ? texts[0]
+            : texts.reduce((all, text) => all && text.startsWith(all) ? text : [all, text].filter(Boolean).join(' '), '');
+        sensitive.push({ label, value: joined });
+    }
+    return { orientation, sensitive, tiff };
+}
+
+// 复制一份 TIFF 数据并把方向改为正常，像素已经转正后写回输出时使用
+function resetExifOrientation(tiff) {
+    const copy = new Uint8Array(tiff);
+    const reader = createTiffReader(copy);
+    const item = reader && reader.ifd0.get(ORIENTATION_TAG);
+    if (item && item.type === 3) reader.view.setUint16(item.valueAt, 1, reader.little);
+    return copy;
+}
+
+// 只含方向标签的最小 EXIF（大端 TIFF），去掉其余 EXIF 后仍要保留方向时使用
+function createOrientationExif(orientation) {
+    const tiff = new Uint8Array(26);
+    const view = new DataView(tiff.buffer);
+    tiff.set([0x4D, 0x4D, 0, 42]);   // "MM"，42
+    view.setUint32(4, 8);            // IFD0 紧跟在文件头之后
+    view.setUint16(8, 1);            // 一个条目：SHORT 类型，1 个值，值放在条目中；之后下一个 IFD 的位置为 0
+    view.setUint16(10, ORIENTATION_TAG);
+    view.setUint16(12, 3);
+    view.setUint32(14, 1);
+    view.setUint16(18, orientation);
+    return tiff;
+}
+
+// 方向对应的转正尺寸和绘制变换，width / height 为原始像素尺寸
+function orientationTransform(orientation, width, height) {
+    const entry = ORIENTATIONS[orientation] || ORIENTATIONS[1];
+    return {
+        width: entry.swap ? height : width,
+        height: entry.swap ? width : height,
+        matrix: entry.matrix(width, height),
+        label: entry.label
+    };
+}
+
+// ===== 去掉元数据 =====
+
+// 文本类元数据中只保留本工具的混淆记录
+function isConfusionRecordText(bytes) {
+    return exifDeps.readAscii(bytes, 0, exifDeps.METADATA_KEYWORD.length + 1) === exifDeps.METADATA_KEYWORD + '\0' ||
+        exifDeps.readAscii(bytes, 0, exifDeps.METADATA_KEYWORD.length + 1) === exifDeps.METADATA_KEYWORD + ':';
+}
+
+// JPEG 中保留的 APPn 段：JFIF（APP0）、ICC 色彩配置（APP2）和 Adobe 颜色变换（APP14），其余都去掉
+function isEssentialJpegApp(marker, payload) {
+    if (marker === 0xE0) return true;
+    if (marker === 0xE2) return exifDeps.readAscii(payload, 0, 12) === 'ICC_PROFILE\0';
+    if (marker === 0xEE) return exifDeps.readAscii(payload, 0, 5) === 'Adobe';
+    return false;
+}
+
+// GIF 中保留的应用扩展：循环次数和 ICC 色彩配置
+const GIF_KEPT_APP_EXTENSIONS = ['NETSCAPE2.0', 'ANIMEXTS1.0', 'ICCRGBG1012'];
+
+// 去掉 EXIF、XMP、IPTC、注释、时间等元数据和图像结尾之后附加的数据（如 MPF 的附属图像），
+// 保留图像数据、色彩配置和混淆记录。返回 { bytes, removed }，removed 为去掉的元数据名称；
+// 没有可去掉的内容时原样返回。AVIF 等无法逐块清理的格式原样返回并带上 unsupported，需要重新编码
+function stripMetadata(bytes) {
+    const removed = [];
+    const keep = [];
+    const format = exifDeps.detectImageFormat(bytes);
+    if (!['jpeg', 'png', 'webp', 'gif', 'bmp'].includes(format)) return { bytes, removed, unsupported: true };
+
+    const input = bytes;
+    const { end, complete } = exifDeps.findImageEnd(bytes, 0, format);
+    if (complete && end < bytes.length) {
+        removed.push('附加数据');
+        bytes = bytes.subarray(0, end);
+    }
+    switch (format) {
+        case 'jpeg': {
+            let pos = 2;
+            keep.push(bytes.subarray(0, 2));
+            for (const segment of exifDeps.jpegSegments(bytes)) {
+                const { marker, payload } = segment;
+                let name = null;
+                if (marker === 0xE1) name = isExifPayload(payload) ? 'EXIF' : 'XMP';
+                else if (marker === 0xE2 && exifDeps.readAscii(payload, 0, 4) === 'MPF\0') name = 'MPF';
+                else if (marker === 0xED) name = 'IPTC';
+                else if (marker >= 0xE0 && marker <= 0xEF && !isEssentialJpegApp(marker, payload)) name = `APP${marker - 0xE0}`;
+                else if (marker === 0xFE && !isConfusionRecordText(payload)) name = '注释';
+                keep.push(bytes.subarray(pos, segment.start));
+                if (name) removed.push(name);
+                else keep.push(bytes.subarray(segment.start, segment.end));
+                pos = segment.end;
+            }
+            keep.push(bytes.subarray(pos));
+            break;
+        }
+        case 'png': {
+            let pos = 8;
+            keep.push(bytes.subarray(0, 8));
+            const names = { eXIf: 'EXIF', tIME: '修改时间', tEXt: '文本', zTXt: '文本', iTXt: '文本' };
+            for (const chunk of exifDeps.pngChunks(bytes)) {
+                const name = names[chunk.type];
+                keep.push(bytes.subarray(pos, chunk.start));
+                if (name && !(chunk.type === 'tEXt' && isConfusionRecordText(chunk.data))) removed.push(name);
+                else keep.push(bytes.subarray(chunk.start, chunk.end));
+                pos = chunk.end;
+            }
+            keep.push(bytes.subarray(pos));
+            break;
+        }
+        case 'webp': {
+            const chunks = exifDeps.webpChunks(bytes);
+            keep.push(bytes.subarray(0, 12));
+            for (const chunk of chunks) {
+                if (chunk.fourcc === 'EXIF' || chunk.fourcc === 'XMP ') removed.push(chunk.fourcc.trim());
+                else keep.push(bytes.subarray(chunk.start, chunk.end));
+            }
+            break;
+        }
+        case 'gif': {
+            const blocks = exifDeps.gifBlocks(bytes);
+            for (const block of blocks) {
+                let name = null;
+                if (block.type === 'extension' && !block.truncated) {
+                    if (block.label === 0xFE) {
+                        if (!isConfusionRecordText(block.data)) name = '注释';
+                    } else if (block.label === 0xFF) {
+                        const app = exifDeps.readAscii(block.data, 0, 11);
+                        if (app === 'XMP DataXMP') name = 'XMP';
+                        else if (!GIF_KEPT_APP_EXTENSIONS.includes(app)) name = '应用扩展';
+                    } else if (block.label !== 0xF9 && block.label !== 0x01) {
+                        name = '扩展块';
+                    }
+                }
+                if (name) removed.push(name);
+                else keep.push(bytes.subarray(block.start, block.end));
+            }
+            // 遇到无法识别的数据时后面的内容都不要
+            if (blocks[blocks.length - 1].end < bytes.length) removed.push('附加数据');
+            break;
+        }
+        default:
+            // BMP 没有元数据块
+            keep.push(bytes);
+    }
+    if (!removed.length) return { bytes: input, removed };
+
+    const result = exifDeps.concatBytes(keep);
+    if (exifDeps.detectImageFormat(result) === 'webp') {
+        // 更新 RIFF 大小，并清掉 VP8X 中的 EXIF / XMP 标志
+        new DataView(result.buffer).setUint32(4, result.length - 8, true);
+        if (exifDeps.readAscii(result, 12, 4) === 'VP8X') result[20] &= ~0x0C;
+    }
+    return { bytes: result, removed: [...new Set(removed)] };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { readExif, resetExifOrientation, createOrientationExif, orientationTransform, stripMetadata, findExifTiff };
+}
@@ -0,0 +1,158 @@
+// Node 用 PNG 编解码：基于 zlib，解码为 RGBA 8 位，编码输出 RGBA 8 位
+const zlib = require('zlib');
+const { crc32 } = require('./core.js');
+const {
+    PNG_SIGNATURE, PNG_COLOR_TYPES, ADAM7_PASSES, hasPngSignature, pngChunks, pngChunkCrcMatches, createPngChunk,
+    unfilterScanline, filterScanlines
+} = require('./bytes.js');
+
+// 逐块读取，返回 [{ type, data }]；CRC 不符时抛出异常
+function readChunks(buffer) {
+    if (buffer.length < 8 || !hasPngSignature(buffer)) {
+        throw new Error('不是PNG文件');
+    }
+
+    const chunks = pngChunks(buffer);
+    for (const chunk of chunks) {
+        if (chunk.truncated) {
+            throw new Error(`PNG数据块 ${chunk.type} 被截断`);
+        }
+        if (!pngChunkCrcMatches(buffer, chunk)) {
+            throw new Error(`PNG数据块 ${chunk.type} 校验失败`);
+        }
+    }
+    return chunks;
+}
+
+// 取出一行中第 x 个样本，统一缩放到 8 位
+function readSample(row, x, bitDepth, scale) {
+    if (bitDepth === 8) return row[x];
+    if (bitDepth === 16) return row[2 * x];
+    const perByte = 8 / bitDepth;
+    const shift = 8 - bitDepth * (x % perByte + 1);
+    const value = (row[Math.floor(x / perByte)] >> shift) & ((1 << bitDepth) - 1);
+    return scale ? value * (255 / ((1 << bitDepth) - 1)) : value;
+}
+
+// 解码 PNG，返回 { width, height, data: Uint8ClampedArray (RGBA), text: { 关键字: 文本 } }
+function decodePng(buffer) {
+    const chunks = readChunks(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength));
+    const ihdr = chunks.find(chunk => chunk.type === 'IHDR');
+    if (!ihdr) throw new Error('PNG缺少IHDR块');
+
+    const width = ihdr.data.readUInt32BE(0);
+    const height = ihdr.data.readUInt32BE(4);
+    const bitDepth = ihdr.data[8];
+    const colorType = ihdr.data[9];
+    const interlace = ihdr.data[12];
+    const channels = PNG_COLOR_TYPES[colorType] && PNG_COLOR_TYPES[colorType].channels;
+    if (!channels) throw new Error(`不支持的PNG颜色类型 ${colorType}`);
+
+    let palette = null;
+    let transparency = null;
+    const text = {};
+    const idat = [];
+    for (const chunk of chunks) {
+        if (chunk.type === 'PLTE') palette = chunk.data;
+        else if (chunk.type === 'tRNS') transparency = chunk.data;
+        else if (chunk.type === 'IDAT') idat.push(chunk.data);
+        else if (chunk.type === 'tEXt') {
+            const sep = chunk.data.indexOf(0);
+            if (sep > 0) {
+                text[chunk.data.toString('latin1', 0, sep)] = chunk.data.toString('latin1', sep + 1);
+            }
+        }
+    }
+    if (colorType === 3 && !palette) throw new Error('PNG缺少调色板');
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const data = new Uint8ClampedArray(width * height * 4);
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    let pos = 0;
+
+    const passes = interlace ? ADAM7_PASSES : [[0, 0, 1, 1]];
+    for (const [x0, y0, dx, dy] of passes) {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+
+        const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+        let prev = null;
+        for (let py = 0; py < passHeight; py++) {
+            if (pos + 1 + rowBytes > raw.length) throw new Error('PNG图像数据不完整');
+            const filter = raw[pos];
+            const row = raw.subarray(pos + 1, pos + 1 + rowBytes);
+            unfilterScanline(filter, row, prev, bpp);
+            prev = row;
+            pos += 1 + rowBytes;
+
+            const y = y0 + py * dy;
+            for (let px = 0; px < passWidth; px++) {
+                const o = 4 * (x0 + px * dx + y * width);
+                const s = px * channels;
+                if (colorType === 3) {
+                    const index = readSample(row, px, bitDepth, false);
+                    data[o] = palette[3 * index];
+                    data[o + 1] = palette[3 * index + 1];
+                    data[o + 2] = palette[3 * index + 2];
+                    data[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+                } else if (colorType === 0 || colorType === 4) {
+                    const gray = readSample(row, s, bitDepth, true);
+                    data[o] = data[o + 1] = data[o + 2] = gray;
+                    if (colorType === 4) {
+                        data[o + 3] = readSample(row, s + 1, bitDepth, true);
+                    } else {
+                        const raw16 = bitDepth === 16 ? (row[2 * s] << 8) | row[2 * s + 1] : readSample(row, s, bitDepth, false);
+                        data[o + 3] = transparency && transparency.readUInt16BE(0) === raw16 ? 0 : 255;
+                    }
+                } else {
+                    data[o] = readSample(row, s, bitDepth, true);
+                    data[o + 1] = readSample(row, s + 1, bitDepth, true);
+                    data[o + 2] = readSample(row, s + 2, bitDepth, true);
+                    if (colorType === 6) {
+                        data[o + 3] = readSample(row, s + 3, bitDepth, true);
+                    } else if (transparency && isTransparentRgb(row, s, bitDepth, transparency)) {
+                        data[o + 3] = 0;
+                    } else {
+                        data[o + 3] = 255;
+                    }
+                }
+            }
+        }
+    }
+
+    return { width, height, data, text };
+}
+
+function isTransparentRgb(row, s, bitDepth, transparency) {
+    for (let c = 0; c < 3; c++) {
+        const value = bitDepth === 16 ? (row[2 * (s + c)] << 8) | row[2 * (s + c) + 1] : row[s + c];
+        if (value !== transparency.readUInt16BE(2 * c)) return false;
+    }
+    return true;
+}
+
+// 编码为 RGBA 8 位 PNG；text 中的键值对写为 tEXt 块（仅限 Latin-1）
+function encodePng(image, text = {}) {
+    const { width, height, data } = image;
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;  // 位深
+    ihdr[9] = 6;  // RGBA
+    ihdr[10] = 0; // 压缩方式
+    ihdr[11] = 0; // 滤波方式
+    ihdr[12] = 0; // 不隔行
+
+    const chunks = [PNG_SIGNATURE, createPngChunk('IHDR', ihdr)];
+    for (const [keyword, value] of Object.entries(text)) {
+        chunks.push(createPngChunk('tEXt', Buffer.from(`${keyword}\0${value}`, 'latin1')));
+    }
+    const rows = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    chunks.push(createPngChunk('IDAT', zlib.deflateSync(filterScanlines(rows, width * 4, height, 4))));
+    chunks.push(createPngChunk('IEND', new Uint8Array(0)));
+    return Buffer.concat(chunks);
+}
+
+module.exports = { decodePng, encodePng, readChunks, crc32 };
@@ -0,0 +1,517 @@
+// 图片修复：按文件头识别真实格式，去掉前后的包裹数据，补上截断文件缺失的结尾标记；
+// PNG 另做数据块级修复：从签名开始逐块检查长度、类型和 CRC，丢弃损坏的辅助数据块，补回缺失的 IEND，
+// 截断或损坏的图像数据按 zlib 能解出的部分尽量恢复，缺失的行以空白补齐。
+// 每个数据块的检查结果都写入诊断报告，供页面展示。不依赖 DOM，页面和 Node 共用
+
+// Node 中从 bytes.js 取字节工具和 PNG 常量；浏览器中它们是先加载的 bytes.js 定义的全局函数
+const repairDeps = typeof module !== 'undefined' && module.exports ? require('./bytes.js') : {
+    concatBytes,
+    readAscii,
+    readUint32be,
+    readUint32le,
+    PNG_SIGNATURE,
+    PNG_COLOR_TYPES,
+    ADAM7_PASSES,
+    hasPngSignature,
+    pngChunks,
+    pngChunkCrcMatches,
+    createPngChunk,
+    gifBlocks,
+    deflateBytes
+};
+
+// 重新同步时认得的数据块类型：遇到它们即使 CRC 不符也视为数据块的开始
+const KNOWN_PNG_CHUNKS = new Set([
+    'IHDR', 'PLTE', 'IDAT', 'IEND',
+    'tRNS', 'cHRM', 'gAMA', 'iCCP', 'sBIT', 'sRGB', 'cICP', 'mDCV', 'cLLI',
+    'tEXt', 'zTXt', 'iTXt', 'bKGD', 'hIST', 'pHYs', 'sPLT', 'eXIf', 'tIME',
+    'acTL', 'fcTL', 'fdAT'
+]);
+
+// 解压后的图像数据超过这个大小时不再尝试修复
+const MAX_REPAIR_BYTES = 1 << 30;
+
+// 数据块类型必须是四个 ASCII 字母
+function isChunkType(type) {
+    return /^[A-Za-z]{4}$/.test(type);
+}
+
+// 首字母大写的是关键数据块，解码器不认识时必须拒绝整张图片
+function isCriticalChunk(type) {
+    return type.charCodeAt(0) < 0x61;
+}
+
+// 按 pos 处、长度为 length 的数据块检查 CRC
+function chunkCrcMatches(bytes, pos, length) {
+    return repairDeps.pngChunkCrcMatches(bytes, { start: pos, end: pos + 12 + length });
+}
+
+function findBytes(bytes, pattern, from = 0) {
+    outer: for (let i = from; i + pattern.length <= bytes.length; i++) {
+        for (let j = 0; j < pattern.length; j++) {
+            if (bytes[i + j] !== pattern[j]) continue outer;
+        }
+        return i;
+    }
+    return -1;
+}
+
+// 从 from 开始寻找下一个可信的数据块：已知类型，或长度在文件内且 CRC 正确
+function findNextChunk(bytes, from) {
+    for (let pos = from; pos + 12 <= bytes.length; pos++) {
+        const type = repairDeps.readAscii(bytes, pos + 4, 4);
+        if (!isChunkType(type)) continue;
+        if (KNOWN_PNG_CHUNKS.has(type)) return pos;
+        const length = repairDeps.readUint32be(bytes, pos);
+        if (pos + 12 + length <= bytes.length && chunkCrcMatches(bytes, pos, length)) return pos;
+    }
+    return -1;
+}
+
+// 解析并检查 IHDR 字段，无效时返回 null
+function parsePngHeader(data) {
+    if (data.length !== 13) return null;
+    const header = {
+        width: repairDeps.readUint32be(data, 0),
+        height: repairDeps.readUint32be(data, 4),
+        bitDepth: data[8],
+        colorType: data[9],
+        compression: data[10],
+        filter: data[11],
+        interlace: data[12]
+    };
+    const color = repairDeps.PNG_COLOR_TYPES[header.colorType];
+    if (!header.width || !header.height || header.width > 0x7FFFFFFF || header.height > 0x7FFFFFFF) return null;
+    if (!color || !color.depths.includes(header.bitDepth)) return null;
+    if (header.compression !== 0 || header.filter !== 0 || header.interlace > 1) return null;
+    return header;
+}
+
+// 每行扫描线（不含滤波类型字节）的字节数；隔行扫描时按七个子图依次排列
+function scanlineLengths(header) {
+    const bitsPerPixel = repairDeps.PNG_COLOR_TYPES[header.colorType].channels * header.bitDepth;
+    const rowBytes = width => Math.ceil(width * bitsPerPixel / 8);
+    if (!header.interlace) return { rowBytes: rowBytes(header.width), rows: header.height };
+    const passes = [];
+    for (const [x0, y0, dx, dy] of repairDeps.ADAM7_PASSES) {
+        const width = Math.ceil(Math.max(0, header.width - x0) / dx);
+        const height = Math.ceil(Math.max(0, header.height - y0) / dy);
+        if (width && height) passes.push({ rowBytes: rowBytes(width), rows: height });
+    }
+    return passes;
+}
+
+function forEachScanline(header, callback) {
+    let offset = 0;
+    for (const pass of [].concat(scanlineLengths(header))) {
+        for (let y = 0; y < pass.rows; y++) {
+            callback(offset, pass.rowBytes);
+            offset += pass.rowBytes + 1;
+        }
+    }
+    return offset;
+}
+
+// 按 format 解压，出错时保留出错前已解出的部分；超过 limit 字节后停止
+async function inflateWith(format, bytes, limit) {
+    const stream = new DecompressionStream(format);
+    const writer = stream.writable.getWriter();
+    const reader = stream.readable.getReader();
+    const parts = [];
+    let length = 0;
+    let error = null;
+    // 整段一次写入：分小段写入时，出错前最后一段的输出会丢失
+    const writing = writer.write(bytes).then(() => writer.close()).catch(e => { error = error || e; });
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parts.push(value);
+            length += value.length;
+            if (length > limit) {
+                await reader.cancel();
+                break;
+            }
+        }
+    } catch (e) {
+        error = error || e;
+    }
+    await writing;
+    return { data: repairDeps.concatBytes(parts), error };
+}
+
+// 尽量解压 zlib 数据。出错时再跳过 zlib 头按原始 deflate 解一次，取解出较多的结果：
+// 校验和损坏时 zlib 格式一个字节都不输出，原始 deflate 不检查校验和
+async function inflatePartial(bytes, limit) {
+    const result = await inflateWith('deflate', bytes, limit);
+    if (!result.error || bytes.length < 2) return result;
+    const raw = await inflateWith('deflate-raw', bytes.subarray(2), limit);
+    return raw.data.length > result.data.length ? { data: raw.data, error: result.error } : result;
+}
+
+// 检查并修复解压后的扫描线：补齐缺失的行，滤波类型无效的行改为不滤波
+function rebuildScanlines(header, inflated, expected) {
+    const raw = new Uint8Array(expected);
+    raw.set(inflated.subarray(0, expected));
+    let completeRows = 0, totalRows = 0, badFilters = 0;
+    forEachScanline(header, (offset, rowBytes) => {
+        totalRows++;
+        if (offset + rowBytes + 1 <= inflated.length) completeRows++;
+        if (raw[offset] > 4) {
+            raw[offset] = 0;
+            badFilters++;
+        }
+    });
+    return { raw, completeRows, totalRows, badFilters };
+}
+
+function formatError(error) {
+    return error && error.message ? error.message : String(error);
+}
+
+// 修复 PNG：返回修复后的字节（无法修复时为 null）、是否有改动、IHDR 信息和逐块的检查结果。
+// 每条结果为 { offset, type, length, status, message }，status 为 ok / fixed / dropped / error
+async function repairPng(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const findings = [];
+    const note = (offset, type, length, status, message) => findings.push({ offset, type, length, status, message });
+    const fail = (offset, type, length, message) => {
+        note(offset, type, length, 'error', message);
+        return { bytes: null, changed: false, header: null, findings };
+    };
+
+    // 签名：损坏或缺失时以第一个 IHDR 为准重建
+    let pos = 8;
+    if (repairDeps.hasPngSignature(bytes)) {
+        note(0, '签名', 8, 'ok', 'PNG 签名正确');
+    } else {
+        const ihdr = findBytes(bytes, [0x49, 0x48, 0x44, 0x52]);
+        if (ihdr < 4) return fail(0, '签名', 8, '签名无效，也找不到 IHDR 数据块，不是可修复的 PNG 文件');
+        pos = ihdr - 4;
+        note(0, '签名', 8, 'fixed', pos === 8
+            ? '签名损坏，已改写为标准 PNG 签名'
+            : `签名缺失或 IHDR 前有 ${pos} 字节多余数据，已重建签名`);
+    }
+
+    const chunks = [];
+    let header = null, palette = false, iend = false;
+    let idatAt = -1, idatSeparated = false, idatDamaged = false;
+    const idat = [];
+
+    while (pos < bytes.length) {
+        if (pos + 12 > bytes.length) {
+            note(pos, '-', bytes.length - pos, 'dropped', `文件末尾 ${bytes.length - pos} 字节不足一个数据块，已丢弃`);
+            break;
+        }
+        let length = repairDeps.readUint32be(bytes, pos);
+        const type = repairDeps.readAscii(bytes, pos + 4, 4);
+        if (!isChunkType(type)) {
+            const next = findNextChunk(bytes, pos + 1);
+            const skipped = (next < 0 ? bytes.length : next) - pos;
+            note(pos, '?', skipped, 'dropped', `${skipped} 字节无法识别的数据，已跳过`);
+            if (next < 0) break;
+            pos = next;
+            continue;
+        }
+
+        let crcOk = pos + 12 + length <= bytes.length && chunkCrcMatches(bytes, pos, length);
+        // 长度字段损坏时，以下一个可信数据块的位置推算实际长度，CRC 对上才采用
+        if (!crcOk) {
+            const next = findNextChunk(bytes, pos + 12);
+            if (next >= 0 && next - pos - 12 !== length && chunkCrcMatches(bytes, pos, next - pos - 12)) {
+                note(pos, type, next - pos - 12, 'fixed', `长度字段错误（记录为 ${length}，实际为 ${next - pos - 12}），已修正`);
+                length = next - pos - 12;
+                crcOk = true;
+            }
+        }
+
+        // 数据块超出文件末尾：图像数据保留已有部分，其余丢弃
+        if (pos + 12 + length > bytes.length) {
+            const available = Math.max(0, bytes.length - pos - 8);
+            if (type === 'IDAT' && header) {
+                if (idatAt < 0) idatAt = chunks.length;
+                idat.push(bytes.subarray(pos + 8, pos + 8 + Math.min(available, length)));
+                idatDamaged = true;
+                note(pos, type, length, 'fixed', `数据块被截断（应有 ${length} 字节，只剩 ${Math.min(available, length)} 字节），保留已有数据`);
+            } else {
+                note(pos, type, length, 'dropped', `数据块被截断（应有 ${length} 字节，只剩 ${available} 字节），已丢弃`);
+            }
+            break;
+        }
+
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        const at = pos;
+        pos += 12 + length;
+
+        if (!header) {
+            if (type !== 'IHDR') return fail(at, type, length, '第一个数据块不是 IHDR，无法确定图片尺寸');
+            header = parsePngHeader(data);
+            if (!header) return fail(at, type, length, 'IHDR 字段无效，无法确定图片尺寸和格式');
+            chunks.push({ type, data });
+            note(at, type, length, crcOk ? 'ok' : 'fixed', `${header.width} × ${header.height}，${header.bitDepth} 位，颜色类型 ${header.colorType}` +
+                (header.interlace ? '，隔行扫描' : '') + (crcOk ? '' : '；CRC 不符但字段有效，已重新计算 CRC'));
+            continue;
+        }
+
+        if (type === 'IEND') {
+            iend = true;
+            note(at, type, length, crcOk && !length ? 'ok' : 'fixed', crcOk && !length ? '图片结束' : 'IEND 数据块异常，已重写');
+            if (pos < bytes.length) {
+                note(pos, '-', bytes.length - pos, 'dropped', `IEND 之后有 ${bytes.length - pos} 字节多余数据，已丢弃`);
+            }
+            break;
+        }
+
+        if (type === 'IHDR') {
+            note(at, type, length, 'dropped', '重复的 IHDR，已丢弃');
+        } else if (type === 'IDAT') {
+            // 第一个 IDAT 之后又保留了其他数据块，说明 IDAT 不连续
+            if (idatAt < 0) idatAt = chunks.length;
+            else if (chunks.length > idatAt) idatSeparated = true;
+            idat.push(data);
+            if (!crcOk) idatDamaged = true;
+            note(at, type, length, crcOk ? 'ok' : 'fixed', crcOk ? '图像数据' : 'CRC 不符，数据可能已损坏，已重新计算 CRC 并检查图像数据');
+        } else if (isCriticalChunk(type) && type !== 'PLTE') {
+            note(at, type, length, 'dropped', '未知的关键数据块，浏览器会因此拒绝整张图片，已丢弃');
+        } else if (!crcOk && !isCriticalChunk(type)) {
+            note(at, type, length, 'dropped', 'CRC 不符，辅助数据块已丢弃');
+        } else {
+            if (type === 'PLTE') palette = true;
+            chunks.push({ type, data });
+            const role = type === 'PLTE' ? '调色板' : '辅助数据块';
+            note(at, type, length, crcOk ? 'ok' : 'fixed', crcOk ? role : `${role}：CRC 不符，数据可能已损坏，已重新计算 CRC`);
+        }
+    }
+
+    const end = bytes.length;
+    if (!header) return fail(null, 'IHDR', 0, '找不到 IHDR 数据块，无法修复');
+    if (header.colorType === 3 && !palette) return fail(null, 'PLTE', 0, '调色板图片缺少 PLTE 数据块，无法修复');
+    if (!idat.length) return fail(null, 'IDAT', 0, '没有图像数据（IDAT），无法修复');
+    if (!iend) note(end, 'IEND', 0, 'fixed', '缺少 IEND 数据块，已补上');
+    if (idatSeparated) note(null, 'IDAT', 0, 'fixed', 'IDAT 数据块不连续，已合并到一起');
+
+    // 图像数据：解压检查，不完整或校验失败时补齐扫描线后重新压缩
+    const expected = forEachScanline(header, () => {});
+    if (expected > MAX_REPAIR_BYTES) return fail(null, 'IDAT', 0, `图片过大（${header.width} × ${header.height}），无法检查图像数据`);
+    const { data: inflated, error } = await inflatePartial(repairDeps.concatBytes(idat), expected);
+    let imageData = idat;
+    if (!error && inflated.length === expected && !idatDamaged) {
+        note(null, 'IDAT', inflated.length, 'ok', `图像数据完整，共 ${expected} 字节`);
+    } else {
+        const { raw, completeRows, totalRows, badFilters } = rebuildScanlines(header, inflated, expected);
+        if (inflated.length > expected) {
+            note(null, 'IDAT', inflated.length, 'fixed', `图像数据比预期多 ${inflated.length - expected} 字节，多余部分已舍弃`);
+        } else if (inflated.length === expected) {
+            note(null, 'IDAT', inflated.length, 'fixed', error
+                ? `压缩数据校验失败（${formatError(error)}），但图像数据长度完整，已重新压缩`
+                : '图像数据完整，已重新压缩');
+        } else {
+            const percent = (completeRows / totalRows * 100).toFixed(1);
+            note(null, 'IDAT', inflated.length, 'fixed', `图像数据不完整（${error ? formatError(error) : '数据提前结束'}），` +
+                `恢复了 ${completeRows} / ${totalRows} 行（${percent}%），缺失部分以空白（黑色或透明）填充`);
+        }
+        if (badFilters) note(null, 'IDAT', 0, 'fixed', `${badFilters} 行的滤波类型无效，已按不滤波处理`);
+        imageData = [await repairDeps.deflateBytes(raw)];
+    }
+
+    // 重新组装：签名、保留的数据块（图像数据放在第一个 IDAT 的位置）、IEND，全部重新计算 CRC
+    chunks.splice(idatAt, 0, ...imageData.map(data => ({ type: 'IDAT', data })));
+    chunks.push({ type: 'IEND', data: new Uint8Array(0) });
+    const parts = [repairDeps.PNG_SIGNATURE, ...chunks.map(chunk => repairDeps.createPngChunk(chunk.type, chunk.data))];
+    const changed = findings.some(finding => finding.status !== 'ok');
+    return { bytes: changed ? repairDeps.concatBytes(parts) : bytes, changed, header, findings };
+}
+
+// ===== 格式识别 =====
+
+// 各格式的 MIME 类型、扩展名和显示名称
+const IMAGE_FORMATS = {
+    png: { mime: 'image/png', ext: 'png', label: 'PNG' },
+    jpeg: { mime: 'image/jpeg', ext: 'jpg', label: 'JPEG' },
+    webp: { mime: 'image/webp', ext: 'webp', label: 'WebP' },
+    gif: { mime: 'image/gif', ext: 'gif', label: 'GIF' },
+    bmp: { mime: 'image/bmp', ext: 'bmp', label: 'BMP' },
+    avif: { mime: 'image/avif', ext: 'avif', label: 'AVIF' }
+};
+
+// 截断后可以补上的结尾标记
+const IMAGE_TRAILERS = {
+    jpeg: { bytes: Uint8Array.from([0xFF, 0xD9]), message: '缺少结束标记（EOI），数据可能被截断，已补上' },
+    gif: { bytes: Uint8Array.from([0x3B]), message: '缺少结束符，数据可能被截断，已补上' }
+};
+
+// 只在文件开头这么多字节内查找真正的文件头
+const MAX_WRAPPER_BYTES = 1 << 20;
+
+// 不读取整个文件时，判断格式和结尾所需的开头、结尾字节数（AVIF 的 ftyp 盒最长 256 字节，PNG 的 IEND 块 12 字节）
+const IMAGE_HEAD_BYTES = MAX_WRAPPER_BYTES + 256;
+const IMAGE_TAIL_BYTES = 12;
+
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+// AVIF：ftyp 盒的主品牌或兼容品牌中有 avif / avis
+function isAvifAt(bytes, pos) {
+    if (repairDeps.readAscii(bytes, pos + 4, 4) !== 'ftyp') return false;
+    const size = repairDeps.readUint32be(bytes, pos);
+    if (size < 16 || size > 256 || size % 4 || pos + size > bytes.length) return false;
+    for (let brand = pos + 8; brand < pos + size; brand += brand === pos + 8 ? 8 : 4) {
+        const name = repairDeps.readAscii(bytes, brand, 4);
+        if (name === 'avif' || name === 'avis') return true;
+    }
+    return false;
+}
+
+// 根据 pos 处的文件头判断格式，不是已知图片格式时返回 null
+function detectImageFormat(bytes, pos = 0) {
+    if (bytes[pos] === 0x89 && repairDeps.readAscii(bytes, pos + 1, 3) === 'PNG') return 'png';
+    // JPEG 的 SOI 后面紧跟另一个标记
+    if (bytes[pos] === 0xFF && bytes[pos + 1] === 0xD8 && bytes[pos + 2] === 0xFF && bytes[pos + 3] >= 0xC0) return 'jpeg';
+    if (repairDeps.readAscii(bytes, pos, 4) === 'RIFF' && repairDeps.readAscii(bytes, pos + 8, 4) === 'WEBP') return 'webp';
+    if (repairDeps.readAscii(bytes, pos, 6) === 'GIF87a' || repairDeps.readAscii(bytes, pos, 6) === 'GIF89a') return 'gif';
+    if (repairDeps.readAscii(bytes, pos, 2) === 'BM' && BMP_HEADER_SIZES.includes(repairDeps.readUint32le(bytes, pos + 14)) &&
+        repairDeps.readUint32le(bytes, pos + 10) >= 26) return 'bmp';
+    if (isAvifAt(bytes, pos)) return 'avif';
+    return null;
+}
+
+function pngEnd(bytes, start) {
+    const chunks = repairDeps.pngChunks(bytes, start);
+    const last = chunks[chunks.length - 1];
+    return last && last.type === 'IEND' && !last.truncated ? { end: last.end, complete: true } : { end: bytes.length, complete: false };
+}
+
+// JPEG：按段长度跳过各段（EXIF 中的缩略图也有自己的 SOI / EOI），扫描数据中跳过填充字节和复位标记
+function jpegEnd(bytes, start) {
+    let pos = start + 2;
+    while (pos + 2 <= bytes.length) {
+        if (bytes[pos] !== 0xFF) break;
+        const marker = bytes[pos + 1];
+        if (marker === 0xD9) return { end: pos + 2, complete: true };
+        if (marker === 0xFF) {
+            pos++;
+            continue;
+        }
+        if ((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+            pos += 2;
+            continue;
+        }
+        if (pos + 4 > bytes.length) break;
+        pos += 2 + ((bytes[pos + 2] << 8) | bytes[pos + 3]);
+        if (marker === 0xDA) {
+            while (pos + 1 < bytes.length &&
+                !(bytes[pos] === 0xFF && bytes[pos + 1] !== 0x00 && (bytes[pos + 1] < 0xD0 || bytes[pos + 1] > 0xD7))) pos++;
+        }
+    }
+    return { end: bytes.length, complete: false };
+}
+
+// GIF：逐个跳过扩展块和图像块直到结束符；遇到无法识别的数据时从那里截断
+function gifEnd(bytes, start) {
+    const blocks = repairDeps.gifBlocks(bytes, start);
+    const last = blocks[blocks.length - 1];
+    return { end: last.end, complete: last.type === 'trailer' };
+}
+
+// AVIF 由一个个盒子组成，走到第一个不认识的顶层盒子为止；认识的盒子超出文件末尾说明被截断
+const AVIF_TOP_BOXES = new Set(['ftyp', 'meta', 'mdat', 'moov', 'moof', 'mfra', 'free', 'skip', 'wide', 'uuid', 'styp', 'sidx']);
+
+function avifEnd(bytes, start) {
+    let pos = start;
+    while (pos + 8 <= bytes.length && AVIF_TOP_BOXES.has(repairDeps.readAscii(bytes, pos + 4, 4))) {
+        let size = repairDeps.readUint32be(bytes, pos);
+        if (size === 1) size = repairDeps.readUint32be(bytes, pos + 8) * 0x100000000 + repairDeps.readUint32be(bytes, pos + 12);
+        else if (size === 0) size = bytes.length - pos;
+        if (size < 8) break;
+        if (pos + size > bytes.length) return { end: bytes.length, complete: false };
+        pos += size;
+    }
+    return { end: pos, complete: true };
+}
+
+// 按格式的结构找到图片数据的结尾，complete 表示找到了完整的结尾
+function findImageEnd(bytes, start, format) {
+    switch (format) {
+        case 'png': return pngEnd(bytes, start);
+        case 'jpeg': return jpegEnd(bytes, start);
+        case 'gif': return gifEnd(bytes, start);
+        case 'avif': return avifEnd(bytes, start);
+        default: {
+            // WebP 和 BMP 的文件头中记录了文件大小
+            const size = format === 'webp' ? repairDeps.readUint32le(bytes, start + 4) + 8 : repairDeps.readUint32le(bytes, start + 2);
+            return start + size <= bytes.length ? { end: start + size, complete: true } : { end: bytes.length, complete: false };
+        }
+    }
+}
+
+// 在开头 MAX_WRAPPER_BYTES 字节内找第一个已知格式的文件头：{ format, start }，找不到时返回 null
+function findImageStart(bytes) {
+    const limit = Math.min(bytes.length, MAX_WRAPPER_BYTES);
+    for (let pos = 0; pos < limit; pos++) {
+        const format = detectImageFormat(bytes, pos);
+        if (format) return { format, start: pos };
+    }
+    return null;
+}
+
+// 图片在文件中的范围 [start, end) 和需要补上的结尾标记（trailer，不需要时为 null），以及给用户看的说明
+function describeImageRange(format, start, end, size, complete) {
+    const notes = [];
+    if (start > 0) notes.push(`去掉了开头 ${start} 字节的包裹数据`);
+    if (end < size) notes.push(`去掉了末尾 ${size - end} 字节的多余数据`);
+    let trailer = null;
+    if (!complete) {
+        if (IMAGE_TRAILERS[format]) {
+            trailer = IMAGE_TRAILERS[format].bytes;
+            notes.push(IMAGE_TRAILERS[format].message);
+        } else {
+            notes.push('数据不完整，可能被截断');
+        }
+    }
+    return { format, ...IMAGE_FORMATS[format], start, end, trailer, changed: start > 0 || end < size || !!trailer, notes };
+}
+
+// 只看结尾的几个字节（WebP、BMP 看文件头中记录的大小）判断图片是否正好在文件末尾完整结束。
+// 判断不了（AVIF）或结尾不完整时返回 false，需要读取整个文件按结构查找结尾
+function endsAtFileEnd(head, start, format, tail, size) {
+    const endsWith = trailer => tail.length >= trailer.length && trailer.every((value, i) => tail[tail.length - trailer.length + i] === value);
+    switch (format) {
+        case 'png':
+            return tail.length >= 12 && repairDeps.readUint32be(tail, tail.length - 12) === 0 && repairDeps.readAscii(tail, tail.length - 8, 4) === 'IEND';
+        case 'jpeg':
+        case 'gif':
+            return endsWith(IMAGE_TRAILERS[format].bytes);
+        case 'webp':
+            return start + repairDeps.readUint32le(head, start + 4) + 8 === size;
+        case 'bmp':
+            return start + repairDeps.readUint32le(head, start + 2) === size;
+        default:
+            return false;
+    }
+}
+
+// 不读取整个文件时先用这个判断：head 为文件开头 IMAGE_HEAD_BYTES 字节，tail 为最后 IMAGE_TAIL_BYTES 字节，size 为文件大小。
+// 找不到文件头时返回 null；图片正好在文件末尾完整结束时返回与 unwrapImage 相同的结果（不含 bytes），
+// 否则返回 { format, needsFullScan: true }，需要读取整个文件交给 unwrapImage
+function locateImage(head, tail, size) {
+    const found = findImageStart(head);
+    if (!found) return null;
+    if (!endsAtFileEnd(head, found.start, found.format, tail, size)) return { format: found.format, needsFullScan: true };
+    return describeImageRange(found.format, found.start, size, size, true);
+}
+
+// 识别真实格式，去掉前后的包裹数据，补上截断文件缺失的结尾标记；找不到已知文件头时返回 null
+function unwrapImage(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const found = findImageStart(bytes);
+    if (!found) return null;
+
+    const { end, complete } = findImageEnd(bytes, found.start, found.format);
+    const range = describeImageRange(found.format, found.start, end, bytes.length, complete);
+    let result = range.start > 0 || end < bytes.length ? bytes.subarray(range.start, end) : bytes;
+    if (range.trailer) result = repairDeps.concatBytes([result, range.trailer]);
+    return { ...range, bytes: result };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { repairPng, inflatePartial, detectImageFormat, findImageEnd, unwrapImage, locateImage, IMAGE_FORMATS, IMAGE_HEAD_BYTES, IMAGE_TAIL_BYTES };
+}
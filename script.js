@@ -1,86 +1,414 @@
-// Gilbert 2D 空间填充曲线算法
-function gilbert2d(width, height) {
-    /**
-     * Generalized Hilbert ('gilbert') space-filling curve for arbitrary-sized
-     * 2D rectangular grids. Generates discrete 2D coordinates to fill a rectangle
-     * of size (width x height).
-     */
-    const coordinates = [];
-
-    if (width >= height) {
-        generate2d(0, 0, width, 0, 0, height, coordinates);
-    } else {
-        generate2d(0, 0, 0, height, width, 0, coordinates);
-    }
-
-    return coordinates;
+// 混淆参数元数据（TOOL_NAME、METADATA_KEYWORD、crc32 等与命令行共用的定义在 core.js 中，
+// concatBytes、readAscii 等字节工具和 PNG / JPEG / WebP 的数据块遍历在 bytes.js 中，按文件头识别格式的 detectImageFormat 在 repair.js 中，
+// 读取和去掉 EXIF 的函数在 exif.js 中）
+const METADATA_WEBP_CHUNK = 'LXCF'; // WebP 自定义块
+
+// 页面上创建指定尺寸的画布（超大图片分条处理和画布上限检测使用）
+function createPageCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
 }
 
-function generate2d(x, y, ax, ay, bx, by, coordinates) {
-    const w = Math.abs(ax + ay);
-    const h = Math.abs(bx + by);
+// PNG：在 IHDR 之后插入一个数据块
+function embedPngChunk(bytes, type, data) {
+    const ihdrEnd = pngChunks(bytes)[0].end;
+    return concatBytes([bytes.subarray(0, ihdrEnd), createPngChunk(type, data), bytes.subarray(ihdrEnd)]);
+}
+
+function embedPngText(bytes, keyword, text) {
+    return embedPngChunk(bytes, 'tEXt', concatBytes([asciiBytes(keyword), new Uint8Array([0]), asciiBytes(text)]));
+}
+
+function readPngText(bytes, keyword) {
+    for (const { type, data } of pngChunks(bytes)) {
+        if (type !== 'tEXt') continue;
+        const sep = data.indexOf(0);
+        if (sep > 0 && readAscii(data, 0, sep) === keyword) {
+            return readAscii(data, sep + 1, data.length - sep - 1);
+        }
+    }
+    return null;
+}
+
+// JPEG：在 SOI 及紧随的 APPn 段之后插入 COM 段
+function embedJpegComment(bytes, text) {
+    let pos = 2;
+    for (const segment of jpegSegments(bytes)) {
+        if (segment.marker < 0xE0 || segment.marker > 0xEF) break;
+        pos = segment.end;
+    }
+    const payload = asciiBytes(text);
+    const segment = new Uint8Array(payload.length + 4);
+    segment[0] = 0xFF;
+    segment[1] = 0xFE;
+    segment[2] = (payload.length + 2) >> 8;
+    segment[3] = (payload.length + 2) & 0xFF;
+    segment.set(payload, 4);
+    return concatBytes([bytes.subarray(0, pos), segment, bytes.subarray(pos)]);
+}
+
+function readJpegComment(bytes, prefix) {
+    for (const { marker, payload } of jpegSegments(bytes)) {
+        if (marker !== 0xFE) continue;
+        const text = readAscii(payload, 0, payload.length);
+        if (text.startsWith(prefix)) {
+            return text.slice(prefix.length);
+        }
+    }
+    return null;
+}
+
+// WebP：自定义块只允许出现在扩展格式中，简单格式需先补上 VP8X 头
+function embedWebpChunk(bytes, fourcc, payload, width, height) {
+    let chunks = bytes.subarray(12);
+    if (readAscii(chunks, 0, 4) !== 'VP8X') {
+        const vp8x = new Uint8Array(18);
+        vp8x.set(asciiBytes('VP8X'), 0);
+        vp8x[4] = 10;
+        // 无损格式可能带透明度，读取 VP8L 头中的 alpha_is_used 位
+        if (readAscii(chunks, 0, 4) === 'VP8L' && (chunks[12] & 0x10)) {
+            vp8x[8] = 0x10;
+        }
+        vp8x[12] = (width - 1) & 0xFF;
+        vp8x[13] = ((width - 1) >> 8) & 0xFF;
+        vp8x[14] = ((width - 1) >> 16) & 0xFF;
+        vp8x[15] = (height - 1) & 0xFF;
+        vp8x[16] = ((height - 1) >> 8) & 0xFF;
+        vp8x[17] = ((height - 1) >> 16) & 0xFF;
+        chunks = concatBytes([vp8x, chunks]);
+    }
+
+    const padded = payload.length + (payload.length & 1);
+    const chunk = new Uint8Array(8 + padded);
+    chunk.set(asciiBytes(fourcc), 0);
+    new DataView(chunk.buffer).setUint32(4, payload.length, true);
+    chunk.set(payload, 8);
+
+    const result = concatBytes([bytes.subarray(0, 12), chunks, chunk]);
+    new DataView(result.buffer).setUint32(4, result.length - 8, true);
+    return result;
+}
+
+function readWebpChunk(bytes, fourcc) {
+    const chunk = webpChunks(bytes).find(c => c.fourcc === fourcc);
+    return chunk ? chunk.data : null;
+}
+
+// WebP 图片尺寸：依次查看 VP8X、VP8L、VP8 头，读不出时返回 null
+function readWebpSize(bytes) {
+    const data = bytes.subarray(20);
+    switch (readAscii(bytes, 12, 4)) {
+        case 'VP8X':
+            return {
+                width: 1 + (data[4] | (data[5] << 8) | (data[6] << 16)),
+                height: 1 + (data[7] | (data[8] << 8) | (data[9] << 16))
+            };
+        case 'VP8L': {
+            const bits = data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24);
+            return { width: 1 + (bits & 0x3FFF), height: 1 + ((bits >>> 14) & 0x3FFF) };
+        }
+        case 'VP8 ':
+            return { width: (data[6] | (data[7] << 8)) & 0x3FFF, height: (data[8] | (data[9] << 8)) & 0x3FFF };
+        default:
+            return null;
+    }
+}
+
+// 把 EXIF（TIFF 数据）写回图片：JPEG 为 APP1 段，PNG 为 eXIf 块，WebP 为 EXIF 块。格式不支持时返回 null
+function embedExifBlock(bytes, tiff) {
+    switch (detectImageFormat(bytes)) {
+        case 'jpeg': {
+            // 放在 SOI 和 JFIF 段之后
+            const first = jpegSegments(bytes)[0];
+            const pos = first && first.marker === 0xE0 ? first.end : 2;
+            const payload = concatBytes([asciiBytes('Exif\0\0'), tiff]);
+            if (payload.length + 2 > 0xFFFF) return null;
+            const segment = concatBytes([new Uint8Array([0xFF, 0xE1, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF]), payload]);
+            return concatBytes([bytes.subarray(0, pos), segment, bytes.subarray(pos)]);
+        }
+        case 'png':
+            return embedPngChunk(bytes, 'eXIf', tiff);
+        case 'webp': {
+            const size = readWebpSize(bytes);
+            if (!size) return null;
+            const result = embedWebpChunk(bytes, 'EXIF', tiff, size.width, size.height);
+            result[20] |= 0x08; // VP8X 中的 EXIF 标志
+            return result;
+        }
+        default:
+            return null;
+    }
+}
 
-    const dax = Math.sign(ax), day = Math.sign(ay); // unit major direction
-    const dbx = Math.sign(bx), dby = Math.sign(by); // unit orthogonal direction
+// 将混淆记录写入图片 Blob，格式不支持时原样返回
+async function embedConfusionMetadata(blob, record, width, height) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const text = JSON.stringify(record);
+    let tagged;
+
+    switch (detectImageFormat(bytes)) {
+        case 'png':
+            tagged = embedPngText(bytes, METADATA_KEYWORD, text);
+            break;
+        case 'jpeg':
+            tagged = embedJpegComment(bytes, METADATA_KEYWORD + ':' + text);
+            break;
+        case 'webp':
+            tagged = embedWebpChunk(bytes, METADATA_WEBP_CHUNK, asciiBytes(text), width, height);
+            break;
+        default:
+            return blob;
+    }
+
+    return new Blob([tagged], { type: blob.type });
+}
 
-    if (h === 1) {
-        // trivial row fill
-        for (let i = 0; i < w; i++) {
-            coordinates.push([x, y]);
-            x += dax;
-            y += day;
+// 从图片字节中读取混淆记录，没有记录时返回 null
+function readConfusionMetadata(bytes) {
+    let text = null;
+    switch (detectImageFormat(bytes)) {
+        case 'png':
+            text = readPngText(bytes, METADATA_KEYWORD);
+            break;
+        case 'jpeg':
+            text = readJpegComment(bytes, METADATA_KEYWORD + ':');
+            break;
+        case 'webp': {
+            const payload = readWebpChunk(bytes, METADATA_WEBP_CHUNK);
+            text = payload ? readAscii(payload, 0, payload.length) : null;
+            break;
         }
-        return;
+        case 'gif':
+            text = readGifComment(bytes, METADATA_KEYWORD + ':');
+            break;
     }
+    return text ? parseConfusionRecord(text) : null;
+}
 
-    if (w === 1) {
-        // trivial column fill
-        for (let i = 0; i < h; i++) {
-            coordinates.push([x, y]);
-            x += dbx;
-            y += dby;
+// 仅存储（不压缩）的 ZIP 打包，文件名使用 UTF-8
+function createZip(entries) {
+    const encoder = new TextEncoder();
+    const usedNames = new Set();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        // 同名文件追加序号，避免解压时互相覆盖
+        let name = entry.name;
+        for (let n = 2; usedNames.has(name); n++) {
+            const dot = entry.name.lastIndexOf('.');
+            name = dot > 0 ? `${entry.name.slice(0, dot)} (${n})${entry.name.slice(dot)}` : `${entry.name} (${n})`;
         }
-        return;
+        usedNames.add(name);
+
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(entry.data);
+        const date = entry.date || new Date();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const local = new Uint8Array(30 + nameBytes.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, 0x04034B50, true);
+        lv.setUint16(4, 20, true);          // 解压所需版本
+        lv.setUint16(6, 0x0800, true);      // 文件名为 UTF-8
+        lv.setUint16(8, 0, true);           // 存储，不压缩
+        lv.setUint16(10, dosTime, true);
+        lv.setUint16(12, dosDate, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, entry.data.length, true);
+        lv.setUint32(22, entry.data.length, true);
+        lv.setUint16(26, nameBytes.length, true);
+        local.set(nameBytes, 30);
+
+        const central = new Uint8Array(46 + nameBytes.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, 0x02014B50, true);
+        cv.setUint16(4, 20, true);
+        cv.setUint16(6, 20, true);
+        cv.setUint16(8, 0x0800, true);
+        cv.setUint16(10, 0, true);
+        cv.setUint16(12, dosTime, true);
+        cv.setUint16(14, dosDate, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, entry.data.length, true);
+        cv.setUint32(24, entry.data.length, true);
+        cv.setUint16(28, nameBytes.length, true);
+        cv.setUint32(42, offset, true);     // 本地文件头偏移
+        central.set(nameBytes, 46);
+
+        localParts.push(local, entry.data);
+        centralParts.push(central);
+        offset += local.length + entry.data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054B50, true);
+    ev.setUint16(8, entries.length, true);
+    ev.setUint16(10, entries.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    return concatBytes([...localParts, ...centralParts, end]);
+}
+
+// 后台线程封装：按任务 id 分发结果，cancel 时终止线程并拒绝未完成的任务
+class WorkerClient {
+    constructor(url) {
+        this.url = url;
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    // 浏览器是否具备后台处理所需的 API
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
     }
 
-    let ax2 = Math.floor(ax / 2), ay2 = Math.floor(ay / 2);
-    let bx2 = Math.floor(bx / 2), by2 = Math.floor(by / 2);
+    // 线程本身不可用（如 file:// 下被浏览器拒绝）时抛出的错误带有 workerFailure 标记，调用方据此回退到主线程
+    ensureWorker() {
+        if (!this.worker) {
+            try {
+                this.worker = new Worker(this.url);
+            } catch (error) {
+                error.workerFailure = true;
+                throw error;
+            }
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => {
+                e.preventDefault();
+                const error = new Error(e.message || '后台线程加载失败');
+                error.workerFailure = true;
+                this.terminate();
+                this.failAll(error);
+            };
+        }
+        return this.worker;
+    }
 
-    const w2 = Math.abs(ax2 + ay2);
-    const h2 = Math.abs(bx2 + by2);
+    run(message, transfer = [], onProgress = null) {
+        const worker = this.ensureWorker();
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+            worker.postMessage({ ...message, id }, transfer);
+        });
+    }
 
-    if (2 * w > 3 * h) {
-        if ((w2 % 2) && (w > 2)) {
-            // prefer even steps
-            ax2 += dax;
-            ay2 += day;
+    handleMessage(data) {
+        const task = this.pending.get(data.id);
+        if (!task) return;
+
+        if (data.type === 'progress') {
+            if (task.onProgress) task.onProgress(data.stage, data.value);
+        } else if (data.type === 'done') {
+            this.pending.delete(data.id);
+            task.resolve(data.result);
+        } else if (data.type === 'error') {
+            this.pending.delete(data.id);
+            task.reject(new Error(data.message));
         }
+    }
 
-        // long case: split in two parts only
-        generate2d(x, y, ax2, ay2, bx, by, coordinates);
-        generate2d(x + ax2, y + ay2, ax - ax2, ay - ay2, bx, by, coordinates);
+    // 终止正在执行的任务，线程会在下次使用时重新创建
+    cancel() {
+        if (this.pending.size === 0) return;
+        this.terminate();
+        const error = new Error('操作已取消');
+        error.name = 'AbortError';
+        this.failAll(error);
+    }
 
-    } else {
-        if ((h2 % 2) && (h > 2)) {
-            // prefer even steps
-            bx2 += dbx;
-            by2 += dby;
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
         }
+    }
 
-        // standard case: one step up, one long horizontal, one step down
-        generate2d(x, y, bx2, by2, ax2, ay2, coordinates);
-        generate2d(x + bx2, y + by2, ax, ay, bx - bx2, by - by2, coordinates);
-        generate2d(x + (ax - dax) + (bx2 - dbx), y + (ay - day) + (by2 - dby),
-            -bx2, -by2, -(ax - ax2), -(ay - ay2), coordinates);
+    failAll(error) {
+        for (const task of this.pending.values()) {
+            task.reject(error);
+        }
+        this.pending.clear();
     }
 }
 
+// 进度条中各阶段的名称及所占区间
+const PROGRESS_STAGES = {
+    gilbert: {
+        curve: { label: '生成曲线', from: 0, to: 0.45 },
+        remap: { label: '重排像素', from: 0.45, to: 0.95 },
+        encode: { label: '编码输出', from: 0.95, to: 1 }
+    },
+    block: {
+        remap: { label: '重排区块', from: 0, to: 0.95 },
+        encode: { label: '编码输出', from: 0.95, to: 1 }
+    },
+    pipeline: {
+        step: { label: '执行步骤', from: 0, to: 0.95 },
+        encode: { label: '编码输出', from: 0.95, to: 1 }
+    },
+    regions: {
+        remap: { label: '重排选区', from: 0, to: 0.95 },
+        encode: { label: '编码输出', from: 0.95, to: 1 }
+    },
+    recover: {
+        search: { label: '搜索尺寸', from: 0, to: 0.85 },
+        render: { label: '生成结果', from: 0.85, to: 0.97 },
+        encode: { label: '编码输出', from: 0.97, to: 1 }
+    },
+    animation: {
+        frames: { label: '逐帧重排', from: 0, to: 0.9 },
+        encode: { label: '编码输出', from: 0.9, to: 1 }
+    }
+};
+
+// 历史记录最多保留的条数（含原图）
+const HISTORY_LIMIT = 20;
+
+// 流水线预设在 localStorage 中的键名
+const PIPELINE_STORAGE_KEY = 'lx-img-confusion-pipelines';
+
+// 可选的输出格式（WebP 质量为 1 时浏览器使用无损编码）
+const OUTPUT_FORMATS = {
+    // 自动：有透明像素时输出 PNG，否则输出 JPEG
+    auto: { mime: 'image/jpeg', label: '自动', ext: 'jpg', lossy: true, auto: true },
+    png: { mime: 'image/png', label: 'PNG', ext: 'png', lossy: false },
+    webp: { mime: 'image/webp', label: 'WebP', ext: 'webp', lossy: true },
+    'webp-lossless': { mime: 'image/webp', label: 'WebP无损', ext: 'webp', lossy: false, quality: 1 },
+    jpeg: { mime: 'image/jpeg', label: 'JPEG', ext: 'jpg', lossy: true }
+};
+
 class TomatoImageConfusion {
     constructor() {
         this.originalImage = null;
         this.displayImg = document.getElementById('displayImg');
         this.currentFile = null;
+        this.currentExif = null;
+        this.lastOperation = null;
+        this.keyCache = { passphrase: null, words: null, fingerprint: null };
+        this.analysisToken = 0;
+        this.suggestedAction = null;
+        this.busy = false;
+        this.batchItems = [];
+        this.recoveryUrls = [];
+        this.history = [];
+        this.historyIndex = -1;
+        this.pipelineSteps = [];
+        this.selection = null;
+        this.useWorker = WorkerClient.isSupported();
+        this.confusionWorker = new WorkerClient('worker.js');
+        this.analysisWorker = new WorkerClient('worker.js');
         this.initializeEventListeners();
+        this.renderPipelinePresets();
+        this.renderPipeline();
     }
 
     initializeEventListeners() {
@@ -89,6 +417,63 @@ class TomatoImageConfusion {
             this.handleFileUpload(e);
         });
 
+        // 拖放到预览区域
+        const previewSection = document.querySelector('.preview-section');
+        previewSection.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            previewSection.classList.add('drag-over');
+        });
+
+        previewSection.addEventListener('dragleave', (e) => {
+            if (!previewSection.contains(e.relatedTarget)) {
+                previewSection.classList.remove('drag-over');
+            }
+        });
+
+        previewSection.addEventListener('drop', (e) => {
+            e.preventDefault();
+            previewSection.classList.remove('drag-over');
+            this.loadFiles(Array.from(e.dataTransfer.files));
+        });
+
+        // 在页面任意位置粘贴图片，文本粘贴保持默认行为
+        document.addEventListener('paste', (e) => {
+            const files = Array.from(e.clipboardData ? e.clipboardData.items : [])
+                .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+                .map(item => item.getAsFile())
+                .filter(Boolean);
+            if (files.length === 0) return;
+            e.preventDefault();
+            this.loadFiles(files);
+        });
+
+        // 撤销 / 重做：Ctrl+Z、Ctrl+Y（或 Ctrl+Shift+Z），输入框内保留浏览器自带的撤销
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable]')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // 从网络地址加载
+        document.getElementById('loadUrlBtn').addEventListener('click', () => {
+            this.loadFromUrl(document.getElementById('imageUrl').value);
+        });
+
+        document.getElementById('imageUrl').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.loadFromUrl(e.target.value);
+            }
+        });
+
         // 按钮事件
         document.getElementById('confuseBtn').addEventListener('click', () => {
             this.confuseImage();
@@ -112,13 +497,223 @@ class TomatoImageConfusion {
         });
 
         document.getElementById('fixHeaderBtn').addEventListener('click', () => {
-            this.fixPngHeader(this.currentFile);
+            this.repairPngFile(this.currentFile);
+        });
+
+        // 保存、复制和分享当前结果
+        document.getElementById('saveBtn').addEventListener('click', () => {
+            this.saveResult();
+        });
+
+        document.getElementById('copyBtn').addEventListener('click', () => {
+            this.copyResult();
+        });
+
+        const shareBtn = document.getElementById('shareBtn');
+        if (navigator.share && navigator.canShare) {
+            shareBtn.style.display = 'inline-block';
+        }
+        shareBtn.addEventListener('click', () => {
+            this.shareResult();
         });
 
         document.getElementById('restoreBtn').addEventListener('click', () => {
             this.restoreImage();
         });
 
+        // 批量处理
+        document.getElementById('batchConfuseBtn').addEventListener('click', () => {
+            this.runBatch('confuse');
+        });
+
+        document.getElementById('batchDeconfuseBtn').addEventListener('click', () => {
+            this.runBatch('deconfuse');
+        });
+
+        document.getElementById('batchInvertBtn').addEventListener('click', () => {
+            this.runBatch('invert');
+        });
+
+        document.getElementById('batchDownloadBtn').addEventListener('click', () => {
+            this.downloadBatchZip();
+        });
+
+        document.getElementById('batchClearBtn').addEventListener('click', () => {
+            this.clearBatch();
+        });
+
+        document.getElementById('recoverBtn').addEventListener('click', () => {
+            this.recoverScaledImage();
+        });
+
+        document.getElementById('recoverSearchBtn').addEventListener('click', () => {
+            this.recoverScaledImage();
+        });
+
+        document.getElementById('recoverCloseBtn').addEventListener('click', () => {
+            this.closeRecovery();
+        });
+
+        document.getElementById('diagnosticsCloseBtn').addEventListener('click', () => {
+            this.closePngDiagnostics();
+        });
+
+        document.getElementById('selectRegionBtn').addEventListener('click', () => {
+            this.toggleSelectionMode();
+        });
+
+        document.getElementById('selectionDoneBtn').addEventListener('click', () => {
+            this.finishSelection();
+        });
+
+        document.getElementById('selectionClearBtn').addEventListener('click', () => {
+            this.clearSelection();
+        });
+
+        const selectionOverlay = document.getElementById('selectionOverlay');
+        selectionOverlay.addEventListener('pointerdown', (e) => this.handleSelectionDown(e));
+        selectionOverlay.addEventListener('pointermove', (e) => this.handleSelectionMove(e));
+        selectionOverlay.addEventListener('pointerup', () => this.handleSelectionUp());
+        selectionOverlay.addEventListener('pointercancel', () => this.handleSelectionUp());
+
+        document.getElementById('pipelineBtn').addEventListener('click', () => {
+            const section = document.getElementById('pipelineSection');
+            section.style.display = section.style.display === 'none' ? 'block' : 'none';
+        });
+
+        document.querySelectorAll('.pipeline-add button[data-op]').forEach(button => {
+            button.addEventListener('click', () => this.addPipelineStep(button.dataset.op));
+        });
+
+        document.getElementById('pipelineRunBtn').addEventListener('click', () => {
+            this.runPipelineSteps(false);
+        });
+
+        document.getElementById('pipelineReverseBtn').addEventListener('click', () => {
+            this.runPipelineSteps(true);
+        });
+
+        document.getElementById('pipelinePresetSelect').addEventListener('change', (e) => {
+            this.applyPipelinePreset(e.target.value);
+        });
+
+        document.getElementById('pipelineSaveBtn').addEventListener('click', () => {
+            this.savePipelinePreset();
+        });
+
+        document.getElementById('pipelineDeleteBtn').addEventListener('click', () => {
+            this.deletePipelinePreset();
+        });
+
+        document.getElementById('pipelineExportBtn').addEventListener('click', () => {
+            this.exportPipeline();
+        });
+
+        document.getElementById('pipelineImportBtn').addEventListener('click', () => {
+            document.getElementById('pipelineImportInput').click();
+        });
+
+        document.getElementById('pipelineImportInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importPipeline(file);
+        });
+
+        document.getElementById('undoBtn').addEventListener('click', () => {
+            this.undo();
+        });
+
+        document.getElementById('redoBtn').addEventListener('click', () => {
+            this.redo();
+        });
+
+        document.getElementById('compareBtn').addEventListener('click', () => {
+            if (document.getElementById('compareView').style.display === 'none') {
+                this.openCompare();
+            } else {
+                this.closeCompare();
+            }
+        });
+
+        document.getElementById('compareLeft').addEventListener('change', () => {
+            this.updateCompare();
+        });
+
+        document.getElementById('compareRight').addEventListener('change', () => {
+            this.updateCompare();
+        });
+
+        document.getElementById('compareSlider').addEventListener('input', (e) => {
+            this.setCompareSplit(e.target.value);
+        });
+
+        // 在对比区域内按住拖动分割线
+        const compareStage = document.getElementById('compareStage');
+        compareStage.addEventListener('pointerdown', (e) => {
+            compareStage.setPointerCapture(e.pointerId);
+            this.dragCompareSplit(e);
+        });
+        compareStage.addEventListener('pointermove', (e) => {
+            if (compareStage.hasPointerCapture(e.pointerId)) {
+                this.dragCompareSplit(e);
+            }
+        });
+
+        document.getElementById('cancelBtn').addEventListener('click', () => {
+            this.confusionWorker.cancel();
+        });
+
+        // 图片每次更新后自动检测是否已混淆
+        this.displayImg.addEventListener('load', () => {
+            this.analyzeCurrentImage();
+        });
+
+        document.getElementById('verdictActionBtn').addEventListener('click', () => {
+            if (this.suggestedAction === 'deconfuse') {
+                this.deconfuseImage();
+            } else if (this.suggestedAction === 'confuse') {
+                this.confuseImage();
+            }
+        });
+
+        // 算法切换：区块打乱模式下显示强度和区块大小，兼容方案显示各自的参数
+        const passphrase = document.getElementById('passphrase');
+        const defaultPlaceholder = passphrase.placeholder;
+        document.getElementById('algorithmSelect').addEventListener('change', (e) => {
+            const algorithm = e.target.value;
+            const scheme = isCompatScheme(algorithm) ? COMPAT_SCHEMES[algorithm] : null;
+            document.getElementById('blockControls').style.display = algorithm === 'block' ? 'block' : 'none';
+            document.getElementById('compatControls').style.display = scheme && scheme.usesBlocks ? 'block' : 'none';
+            document.getElementById('strongControls').style.display = CURVES[algorithm] ? 'block' : 'none';
+            passphrase.placeholder = scheme ? `该方案的密钥，留空使用 ${scheme.defaultKey}` : defaultPlaceholder;
+        });
+
+        // 高强度模式：开启时提示不能经过有损压缩
+        document.getElementById('strongMode').addEventListener('change', (e) => {
+            document.getElementById('strongWarning').style.display = e.target.checked ? 'block' : 'none';
+        });
+
+        // 保留EXIF：切换后更新图片信息中的隐私提示
+        document.getElementById('keepExif').addEventListener('change', () => {
+            this.showExifInfo(this.currentExif);
+        });
+
+        // 补边：开启后显示手动裁剪尺寸
+        document.getElementById('paddingSelect').addEventListener('change', (e) => {
+            document.getElementById('originalSizeGroup').style.display = e.target.value !== '0' ? 'flex' : 'none';
+        });
+
+        // 输出设置：无损格式不需要质量，JPEG 不支持透明度需要选择底色
+        document.getElementById('outputFormat').addEventListener('change', (e) => {
+            const format = OUTPUT_FORMATS[e.target.value];
+            document.getElementById('qualityGroup').style.display = format.lossy ? 'flex' : 'none';
+            document.getElementById('matteGroup').style.display = e.target.value === 'jpeg' ? 'flex' : 'none';
+        });
+
+        document.getElementById('outputQuality').addEventListener('input', (e) => {
+            document.getElementById('outputQualityValue').textContent = e.target.value;
+        });
+
         // 控制参数事件监听
         document.getElementById('confusionStrength').addEventListener('input', (e) => {
             document.getElementById('confusionStrengthValue').textContent = e.target.value;
@@ -137,16 +732,26 @@ class TomatoImageConfusion {
         
         const icons = {
             success: '✅',
-            error: '❌'
+            error: '❌',
+            warning: '⚠️',
+            info: 'ℹ️'
         };
         
-        toast.innerHTML = `
-            <div class="toast-content">
-                <span class="toast-icon">${icons[type] || icons.success}</span>
-                <span class="toast-message">${message}</span>
-                <button class="toast-close" onclick="this.parentElement.parentElement.remove()">×</button>
-            </div>
-        `;
+        // 消息中可能含有图片元数据、导入的文件和远程服务器返回的内容，只作为文本显示
+        const content = document.createElement('div');
+        content.className = 'toast-content';
+        const icon = document.createElement('span');
+        icon.className = 'toast-icon';
+        icon.textContent = icons[type] || icons.success;
+        const text = document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = message;
+        const close = document.createElement('button');
+        close.className = 'toast-close';
+        close.textContent = '×';
+        close.addEventListener('click', () => toast.remove());
+        content.append(icon, text, close);
+        toast.appendChild(content);
         
         container.appendChild(toast);
         
@@ -159,7 +764,7 @@ class TomatoImageConfusion {
     }
 
     // 更新图片信息
-    updateImageInfo(file, width, height) {
+    updateImageInfo(file, width, height, status = '已加载') {
         const imageInfo = document.getElementById('imageInfo');
         const imageSize = document.getElementById('imageSize');
         const fileSize = document.getElementById('fileSize');
@@ -169,14 +774,183 @@ class TomatoImageConfusion {
         if (file) {
             imageSize.textContent = `${width} × ${height}`;
             fileSize.textContent = this.formatFileSize(file.size);
-            imageFormat.textContent = file.type.split('/')[1].toUpperCase();
-            imageStatus.textContent = '已加载';
+            imageStatus.textContent = status;
             imageInfo.style.display = 'block';
+            // 显示按文件头识别出的实际格式，识别不了时才用 MIME 类型
+            const token = this.formatToken = (this.formatToken || 0) + 1;
+            imageFormat.textContent = '-';
+            this.sniffFormat(file).then(format => {
+                if (token !== this.formatToken) return;
+                imageFormat.textContent = format
+                    ? IMAGE_FORMATS[format].label
+                    : (file.type.split('/')[1] || '未知').toUpperCase();
+            });
         } else {
             imageInfo.style.display = 'none';
         }
     }
 
+    // 按文件头识别 Blob 的实际格式，识别不了时返回 null
+    async sniffFormat(blob) {
+        try {
+            return detectImageFormat(new Uint8Array(await blob.slice(0, 256).arrayBuffer()));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 按文件头识别真实格式：去掉前后的包裹数据、补全截断的 JPEG / GIF，并按实际格式更正类型和扩展名。
+    // 先只读开头和结尾，图片正好在文件末尾完整结束时不读取整个文件。识别不了时原样返回，交给浏览器尝试
+    async prepareImageFile(file, quiet = false) {
+        let unwrapped;
+        try {
+            const head = new Uint8Array(await file.slice(0, IMAGE_HEAD_BYTES).arrayBuffer());
+            const tail = new Uint8Array(await file.slice(Math.max(0, file.size - IMAGE_TAIL_BYTES)).arrayBuffer());
+            unwrapped = locateImage(head, tail, file.size);
+            if (unwrapped && unwrapped.needsFullScan) unwrapped = unwrapImage(new Uint8Array(await file.arrayBuffer()));
+        } catch (error) {
+            console.warn('识别图片格式失败:', error);
+            return file;
+        }
+        if (!unwrapped || (!unwrapped.changed && file.type === unwrapped.mime)) {
+            if (unwrapped && unwrapped.notes.length) console.warn(`${file.name}:`, unwrapped.notes.join('；'));
+            return file;
+        }
+
+        const { format, mime, ext, label, start, end, trailer, notes } = unwrapped;
+        if (file.type !== mime) {
+            // URL 载入时类型来自远程服务器，只显示其中形如 image/png 的部分，参数和其他内容不显示
+            const marked = file.type.split(';')[0].trim();
+            notes.unshift(`文件实际是 ${label} 格式${/^[\w.+-]+\/[\w.+-]+$/.test(marked) ? `（标记为 ${marked}）` : ''}`);
+        }
+        // 扩展名与实际格式不符时一并更正
+        const name = file.name || 'image';
+        const currentExt = (name.match(/\.([^.]+)$/) || [])[1];
+        const extOk = currentExt && (currentExt.toLowerCase() === ext ||
+            (format === 'jpeg' && ['jpeg', 'jpe', 'jfif'].includes(currentExt.toLowerCase())));
+        const fixedName = extOk ? name : name.replace(/\.[^.]*$/, '') + '.' + ext;
+
+        console.log(`${name} 已按实际格式整理:`, notes.join('；'));
+        if (!quiet) this.showToast(notes.join('；'), 'info', 5000);
+        // 从原文件中截取图片部分，不复制数据
+        const parts = [start > 0 || end < file.size ? file.slice(start, end) : file];
+        if (trailer) parts.push(trailer);
+        return new File(parts, fixedName, { type: mime, lastModified: file.lastModified });
+    }
+
+    // 读取 EXIF 和混淆记录所需的字节：JPEG、PNG 的元数据在图像数据之前，只读开头；
+    // WebP 的 EXIF 和混淆记录块在图像数据之后，读取整个文件
+    async readMetadataBytes(file) {
+        const head = new Uint8Array(await file.slice(0, IMAGE_HEAD_BYTES).arrayBuffer());
+        if (head.length === file.size || detectImageFormat(head) !== 'webp') return head;
+        return new Uint8Array(await file.arrayBuffer());
+    }
+
+    // 读取 EXIF：方向、隐私相关的标签和原始 TIFF 数据，没有 EXIF 时返回 null。
+    // 载入时不改动图片数据，方向在处理前由 getUprightImage 转正
+    async readFileExif(file) {
+        try {
+            return readExif(await this.readMetadataBytes(file));
+        } catch (error) {
+            console.warn('读取 EXIF 失败:', error);
+            return null;
+        }
+    }
+
+    // 按 EXIF 方向转正：先去掉元数据再解码，浏览器就不会自行旋转，再按方向把像素画到转正后的画布上，
+    // 各浏览器得到相同的像素。返回转正后的图片（无损的 PNG，只用于处理），不需要转正时返回 null；
+    // 带混淆记录的图片不转，以免无法还原。超出画布上限时提示并返回 null，按浏览器显示的方向处理
+    async createUprightImage(blob) {
+        let bytes = await this.readMetadataBytes(blob);
+        const exif = readExif(bytes);
+        if (!exif || exif.orientation === 1 || readConfusionMetadata(bytes)) return null;
+        if (bytes.length < blob.size) bytes = new Uint8Array(await blob.arrayBuffer());
+
+        const raw = await this.loadImage(new Blob([stripMetadata(bytes).bytes], { type: blob.type }));
+        try {
+            const transform = orientationTransform(exif.orientation, raw.width, raw.height);
+            let cvs;
+            try {
+                cvs = createUsableCanvas(createPageCanvas, transform.width, transform.height);
+            } catch (error) {
+                console.warn('按 EXIF 方向转正失败:', error);
+                this.showToast('图片超出浏览器的画布上限，无法按 EXIF 方向转正，将按浏览器显示的方向处理', 'warning', 5000);
+                return null;
+            }
+            const ctx = cvs.getContext('2d');
+            ctx.setTransform(...transform.matrix);
+            ctx.drawImage(raw, 0, 0);
+            const upright = await this.loadImage(await this.encodeCanvas(cvs, 'png'));
+            cvs.width = cvs.height = 0;
+            console.log(`已按 EXIF 方向转正（${transform.label}）`);
+            return upright;
+        } finally {
+            URL.revokeObjectURL(raw.src);
+        }
+    }
+
+    // 处理前取转正后的源图片：img 为当前显示的图片时按当前历史记录转正（结果随历史记录缓存），
+    // 不需要或无法转正时原样返回 img
+    async getUprightImage(img) {
+        const entry = this.history[this.historyIndex];
+        if (img !== this.displayImg || !entry) return img;
+        if (!entry.upright) {
+            entry.upright = this.createUprightImage(entry.blob).catch(error => {
+                console.warn('按 EXIF 方向转正失败，使用原图:', error);
+                return null;
+            });
+        }
+        return (await entry.upright) || img;
+    }
+
+    // 在图片信息中列出 EXIF 里涉及隐私的内容，鼠标悬停显示具体值
+    showExifInfo(exif) {
+        const imageExif = document.getElementById('imageExif');
+        const sensitive = exif ? exif.sensitive : [];
+        if (!sensitive.length) {
+            imageExif.textContent = '无';
+            imageExif.title = '';
+            return;
+        }
+        const keep = document.getElementById('keepExif').checked;
+        imageExif.textContent = sensitive.map(item => item.label).join('、') + (keep ? '（保存时保留）' : '（保存时去掉）');
+        imageExif.title = sensitive.map(item => `${item.label}：${item.value}`).join('\n');
+    }
+
+    // 导出前去掉 EXIF、XMP 等元数据（保留混淆记录）；勾选"保留EXIF"时写回原图的 EXIF。
+    // 未经处理的原图仍是原始方向的像素，去掉 EXIF 时只写回方向；处理结果已经转正，写回的 EXIF 中方向改为正常。
+    // AVIF 等无法逐块去掉元数据的格式重新编码为 PNG，只留下像素
+    async sanitizeOutput(blob, exif) {
+        const input = new Uint8Array(await blob.arrayBuffer());
+        const { bytes, removed, unsupported } = stripMetadata(input);
+        if (unsupported) {
+            const img = await this.loadImage(blob);
+            try {
+                const cvs = createUsableCanvas(createPageCanvas, img.naturalWidth, img.naturalHeight);
+                cvs.getContext('2d').drawImage(img, 0, 0);
+                const png = await this.encodeCanvas(cvs, 'png');
+                cvs.width = cvs.height = 0;
+                console.log('导出时重新编码为 PNG 以去掉元数据');
+                return this.sanitizeOutput(png, exif);
+            } finally {
+                URL.revokeObjectURL(img.src);
+            }
+        }
+        const own = readExif(input);
+        const orientation = own ? own.orientation : 1;
+        const keep = exif && document.getElementById('keepExif').checked;
+        if (!keep && removed.length) console.log('导出时去掉了元数据:', removed.join('、'));
+
+        let tiff = null;
+        if (keep) tiff = orientation === 1 ? resetExifOrientation(exif.tiff) : exif.tiff;
+        else if (orientation !== 1) tiff = createOrientationExif(orientation);
+        if (tiff) {
+            const tagged = embedExifBlock(bytes, tiff);
+            if (tagged) return new Blob([tagged], { type: blob.type });
+        }
+        return removed.length ? new Blob([bytes], { type: blob.type }) : blob;
+    }
+
     // 格式化文件大小
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
@@ -186,13 +960,105 @@ class TomatoImageConfusion {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    // 当前选择的输出格式
+    getOutputFormat() {
+        return document.getElementById('outputFormat').value;
+    }
+
+    // 输出格式对应的 MIME 类型、质量和 JPEG 底色
+    getOutputOptions(formatKey = this.getOutputFormat()) {
+        const format = OUTPUT_FORMATS[formatKey] || OUTPUT_FORMATS.auto;
+        let quality;
+        if (format.quality !== undefined) {
+            quality = format.quality;
+        } else if (format.lossy) {
+            quality = parseFloat(document.getElementById('outputQuality').value);
+        }
+        const matte = parseMatteColor(document.getElementById('matteColor').value);
+        return { mime: format.mime, quality, auto: !!format.auto, matte };
+    }
+
+    // 根据 Blob 的实际类型取扩展名
+    getBlobExtension(blob) {
+        if (blob.type === 'image/gif') return 'gif';
+        const format = Object.values(OUTPUT_FORMATS).find(f => f.mime === blob.type);
+        return format ? format.ext : 'png';
+    }
+
+    // 按输出设置编码画布，所有操作统一经过这里
+    encodeCanvas(cvs, formatKey = this.getOutputFormat()) {
+        const output = this.getOutputOptions(formatKey);
+        const mime = this.prepareCanvasOutput(cvs, output);
+        return this.canvasToBlob(cvs, mime, output.quality);
+    }
+
+    // 按指定格式导出画布，浏览器不支持该格式时提示
+    canvasToBlob(cvs, mime, quality) {
+        return new Promise((resolve, reject) => {
+            cvs.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('导出图片失败！'));
+                    return;
+                }
+                this.checkOutputType(blob, mime);
+                resolve(blob);
+            }, mime, quality);
+        });
+    }
+
+    // 确定画布的实际输出格式：自动格式下透明图片用PNG，输出JPEG时把透明像素合成到底色上
+    prepareCanvasOutput(cvs, output) {
+        if (!output.auto && output.mime !== 'image/jpeg') return output.mime;
+        const ctx = cvs.getContext("2d");
+        const imgdata = ctx.getImageData(0, 0, cvs.width, cvs.height);
+        const { mime, flattened } = resolveOutputMime(imgdata.data, output);
+        if (flattened) ctx.putImageData(imgdata, 0, 0);
+        return mime;
+    }
+
+    // 浏览器不支持的格式会回退为PNG
+    checkOutputType(blob, mime) {
+        if (blob.type !== mime) {
+            this.showToast(`当前浏览器不支持导出${mime}，已改用${blob.type}`, 'warning');
+        }
+    }
+
+    // 回调形式的导出，失败时提示并恢复显示
+    exportCanvas(cvs, callback, formatKey = this.getOutputFormat()) {
+        this.encodeCanvas(cvs, formatKey).then(callback).catch(error => {
+            this.showToast(error.message || '导出图片失败！', 'error');
+            this.displayImg.style.display = "inline-block";
+        });
+    }
+
+    // 显示进度条和取消按钮
+    showProgress(algorithm, title) {
+        this.progressStages = PROGRESS_STAGES[algorithm] || PROGRESS_STAGES.gilbert;
+        this.progressTitle = title;
+        document.getElementById('progressPanel').style.display = 'block';
+        this.updateProgress(null, 0);
+    }
+
+    updateProgress(stage, value) {
+        const range = stage && this.progressStages[stage];
+        const overall = range ? range.from + (range.to - range.from) * value : 0;
+        const label = range ? `${this.progressTitle}：${range.label}` : `${this.progressTitle}：准备中`;
+        document.getElementById('progressFill').style.width = `${Math.round(overall * 100)}%`;
+        document.getElementById('progressLabel').textContent = `${label} ${Math.round(overall * 100)}%`;
+    }
+
+    hideProgress() {
+        document.getElementById('progressPanel').style.display = 'none';
+    }
+
     // 设置图片源
     setImageSrc(src) {
         try {
-            // 先检查旧的URL是否存在，再尝试释放
-            if (this.displayImg.src && this.displayImg.src.startsWith('blob:')) {
+            // 先检查旧的URL是否存在，再尝试释放；历史记录中的URL由历史记录负责释放
+            const oldSrc = this.displayImg.src;
+            if (oldSrc && oldSrc.startsWith('blob:') && !this.history.some(entry => entry.url === oldSrc)) {
                 try {
-                    URL.revokeObjectURL(this.displayImg.src);
+                    URL.revokeObjectURL(oldSrc);
                 } catch (e) {
                     console.log('释放旧URL时出错:', e);
                 }
@@ -205,32 +1071,241 @@ class TomatoImageConfusion {
         }
     }
 
-    handleFileUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    // 载入新的原图：清空历史，以原图作为第一条记录
+    resetHistory(file, width, height) {
+        this.releaseHistory(this.history);
+        this.history = [];
+        this.historyIndex = -1;
+        this.pushHistory(file, width, height, '已加载', null);
+    }
 
-        // 重置文件输入，确保可以重复选择同一文件
-        event.target.value = '';
+    // 记录一次处理结果并显示；撤销后再处理会丢弃后面的记录
+    pushHistory(blob, width, height, status, operation) {
+        this.releaseHistory(this.history.splice(this.historyIndex + 1));
+        this.history.push({ blob, url: URL.createObjectURL(blob), width, height, status, operation });
+        // 超出上限时丢弃最早的中间结果，原图始终保留
+        if (this.history.length > HISTORY_LIMIT) {
+            this.releaseHistory(this.history.splice(1, 1));
+        }
+        this.goToHistory(this.history.length - 1);
+    }
 
-        // 检查文件类型
-        if (!file.type.startsWith('image/')) {
-            this.showToast('请选择图片文件！', 'error');
-            return;
+    // 显示第 index 条历史记录
+    goToHistory(index) {
+        const entry = this.history[index];
+        if (!entry) return;
+
+        this.closeCompare();
+        if (this.selection && (this.selection.width !== entry.width || this.selection.height !== entry.height)) {
+            this.resetSelection();
         }
+        this.historyIndex = index;
+        this.setImageSrc(entry.url);
+        this.lastOperation = entry.operation;
+        this.updateImageInfo(entry.blob, entry.width, entry.height, entry.status);
+        this.renderHistory();
+    }
 
-        // 简化诊断，只检查基本问题
-        if (file.size === 0) {
-            this.showToast('文件大小为0，请选择有效文件！', 'error');
-            return;
+    undo() {
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+        } else if (this.historyIndex > 0) {
+            this.goToHistory(this.historyIndex - 1);
+        } else {
+            this.showToast('没有可撤销的操作', 'info');
         }
+    }
 
-        // 检查文件大小 (限制为10MB)
-        if (file.size > 10 * 1024 * 1024) {
-            this.showToast('图片文件过大！', 'error');
-            return;
+    redo() {
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+        } else if (this.historyIndex < this.history.length - 1) {
+            this.goToHistory(this.historyIndex + 1);
+        } else {
+            this.showToast('没有可重做的操作', 'info');
+        }
+    }
+
+    releaseHistory(entries) {
+        entries.forEach(entry => {
+            URL.revokeObjectURL(entry.url);
+            if (entry.upright) entry.upright.then(img => img && URL.revokeObjectURL(img.src));
+        });
+    }
+
+    historyLabel(index) {
+        return `${index + 1}. ${index === 0 ? '原图' : this.history[index].status}`;
+    }
+
+    // 刷新历史时间线和撤销 / 重做按钮
+    renderHistory() {
+        const list = document.getElementById('historyList');
+        list.innerHTML = '';
+        this.history.forEach((entry, i) => {
+            const item = document.createElement('li');
+            item.className = i === this.historyIndex ? 'history-item active' : 'history-item';
+            item.title = `${entry.width} × ${entry.height}`;
+            const thumb = document.createElement('img');
+            thumb.src = entry.url;
+            thumb.alt = '';
+            const label = document.createElement('span');
+            label.textContent = this.historyLabel(i);
+            item.append(thumb, label);
+            item.addEventListener('click', () => {
+                if (this.busy) {
+                    this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+                    return;
+                }
+                this.goToHistory(i);
+            });
+            list.appendChild(item);
+        });
+
+        document.getElementById('historyBar').style.display = this.history.length ? 'flex' : 'none';
+        document.getElementById('undoBtn').disabled = this.historyIndex <= 0;
+        document.getElementById('redoBtn').disabled = this.historyIndex >= this.history.length - 1;
+        document.getElementById('compareBtn').disabled = this.history.length < 2;
+    }
+
+    // 打开对比视图：默认左侧为原图，右侧为当前结果
+    openCompare() {
+        if (this.history.length < 2) {
+            this.showToast('至少需要两条历史记录才能对比', 'info');
+            return;
+        }
+
+        const left = document.getElementById('compareLeft');
+        const right = document.getElementById('compareRight');
+        left.innerHTML = right.innerHTML = '';
+        this.history.forEach((entry, i) => {
+            left.add(new Option(this.historyLabel(i), i));
+            right.add(new Option(this.historyLabel(i), i));
+        });
+        left.value = 0;
+        right.value = this.historyIndex > 0 ? this.historyIndex : this.history.length - 1;
+
+        this.displayImg.style.display = 'none';
+        document.getElementById('compareView').style.display = 'block';
+        document.getElementById('compareBtn').textContent = '✖ 退出对比';
+        this.updateCompare();
+        this.setCompareSplit(document.getElementById('compareSlider').value);
+    }
+
+    closeCompare() {
+        const view = document.getElementById('compareView');
+        if (view.style.display === 'none') return;
+        view.style.display = 'none';
+        document.getElementById('compareBtn').textContent = '◧ 对比';
+        if (this.displayImg.src) {
+            this.displayImg.style.display = 'inline-block';
+        }
+    }
+
+    updateCompare() {
+        const left = this.history[document.getElementById('compareLeft').value];
+        const right = this.history[document.getElementById('compareRight').value];
+        document.getElementById('compareLeftImg').src = left.url;
+        document.getElementById('compareRightImg').src = right.url;
+        document.getElementById('compareLeftLabel').textContent = `${left.width} × ${left.height}`;
+        document.getElementById('compareRightLabel').textContent = `${right.width} × ${right.height}`;
+    }
+
+    // 分割线位置（百分比）：左侧显示左边的记录，右侧显示右边的记录
+    setCompareSplit(percent) {
+        document.getElementById('compareRightImg').style.clipPath = `inset(0 0 0 ${percent}%)`;
+        document.getElementById('compareDivider').style.left = `${percent}%`;
+        document.getElementById('compareSlider').value = percent;
+    }
+
+    dragCompareSplit(e) {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const percent = Math.max(0, Math.min(100, (e.clientX - rect.left) / rect.width * 100));
+        this.setCompareSplit(percent.toFixed(1));
+    }
+
+    // 检查文件是否可以处理，返回错误提示，通过时返回 null
+    validateFile(file) {
+        // 检查文件类型
+        if (!file.type.startsWith('image/')) {
+            return '请选择图片文件！';
+        }
+
+        // 简化诊断，只检查基本问题；不限制文件大小，超大图片分条处理，能否处理取决于浏览器的画布上限
+        if (file.size === 0) {
+            return '文件大小为0，请选择有效文件！';
+        }
+
+        return null;
+    }
+
+    // 检查浏览器能否创建与图片同样大小的画布，不能时提示上限
+    checkCanvasLimit(width, height) {
+        try {
+            const canvas = createUsableCanvas(createPageCanvas, width, height);
+            canvas.width = canvas.height = 0;
+            return true;
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return false;
+        }
+    }
+
+    handleFileUpload(event) {
+        const files = Array.from(event.target.files);
+
+        // 重置文件输入，确保可以重复选择同一文件
+        event.target.value = '';
+
+        this.loadFiles(files);
+    }
+
+    // 所有输入来源（选择、拖放、粘贴、URL）统一从这里加载
+    async loadFiles(files) {
+        if (files.length === 0) return;
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+            return;
+        }
+
+        // 选择多个文件时进入批量处理
+        if (files.length > 1) {
+            this.addBatchFiles(files);
+            return;
+        }
+
+        // 识别格式和读取 EXIF 都要等待：期间开始了处理时放弃载入并提示，又载入了别的图片时以后载入的为准
+        const token = this.loadToken = (this.loadToken || 0) + 1;
+        const abandoned = () => {
+            if (token !== this.loadToken) return true;
+            if (this.busy) this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+            return this.busy;
+        };
+
+        // 按文件头识别真实格式，不信任扩展名和 MIME 类型
+        const prepared = await this.prepareImageFile(files[0]);
+        if (abandoned()) return;
+        const validationError = this.validateFile(prepared);
+        if (validationError) {
+            this.showToast(validationError, 'error');
+            return;
+        }
+
+        // 读取 EXIF，提示图片中有哪些隐私信息；方向在处理前再转正，原图不重新编码
+        const file = prepared;
+        const exif = await this.readFileExif(file);
+        if (abandoned()) return;
+        this.currentExif = exif;
+        this.showExifInfo(exif);
+        if (exif && exif.sensitive.length) {
+            this.showToast(`图片含有${exif.sensitive.map(item => item.label).join('、')}等信息，` +
+                (document.getElementById('keepExif').checked ? '已勾选保留EXIF，保存时会一并保留' : '保存时会自动去掉'), 'info', 5000);
         }
 
         this.currentFile = file;
+        this.lastOperation = null;
+        this.closeRecovery();
+        this.closePngDiagnostics();
+        this.resetSelection();
         
         const img = new Image();
         // 支持跨域图片
@@ -250,22 +1325,20 @@ class TomatoImageConfusion {
                     this.showToast('图片尺寸无效！', 'error');
                     return;
                 }
+
+                // 超大图片提前检查浏览器能否处理，不能时提示（图片仍然显示）
+                if (img.width * img.height > LARGE_IMAGE_PIXELS) {
+                    this.checkCanvasLimit(img.width, img.height);
+                }
                 
                 // 尝试使用简单方法直接显示图片
                 try {
                     this.originalImage = img;
-                    // 直接使用createObjectURL创建的URL设置图片源
-                    const imageUrl = URL.createObjectURL(file);
-                    this.displayImg.onload = () => {
-                        this.updateImageInfo(file, img.width, img.height);
-                        // this.showToast('图片加载成功！', 'success');
-                    };
                 this.displayImg.onerror = (err) => {
                     this.showToast('图片显示失败！', 'error');
                     console.error('图片显示错误:', err);
                 };
-                this.displayImg.src = imageUrl;
-                this.displayImg.style.display = "inline-block";
+                this.resetHistory(file, img.width, img.height);
             } catch (error) {
                 this.showToast('图片处理失败：' + error.message, 'error');
                 console.error('图片处理错误:', error);
@@ -273,10 +1346,14 @@ class TomatoImageConfusion {
         };
         img.onerror = (err) => {
             clearTimeout(timeoutId); // 清除超时计时器
-            
-            // 提供更具体的错误信息
-            this.showToast('图片加载失败！', 'error');
             console.error('图片加载错误:', err);
+
+            // PNG 解码失败时按数据块检查并尝试修复
+            if (file.type === 'image/png' || /\.png$/i.test(file.name)) {
+                this.repairPngFile(file);
+                return;
+            }
+            this.showToast('图片加载失败！', 'error');
         };
         
         try {
@@ -290,12 +1367,84 @@ class TomatoImageConfusion {
         }
     }
 
+    // 下载网络图片后按本地文件处理；需要对方服务器允许跨域读取
+    async loadFromUrl(rawUrl) {
+        let url;
+        try {
+            url = new URL(rawUrl.trim(), location.href);
+        } catch (error) {
+            this.showToast('请输入有效的图片地址！', 'error');
+            return;
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            this.showToast('仅支持 http / https 图片地址！', 'error');
+            return;
+        }
+
+        this.showToast('正在加载网络图片...', 'info');
+
+        let response = null;
+        let blob;
+        try {
+            response = await fetch(url.href, { mode: 'cors', credentials: 'omit' });
+            if (!response.ok) {
+                this.showToast(`图片下载失败：HTTP ${response.status}`, 'error');
+                return;
+            }
+            blob = await response.blob();
+        } catch (error) {
+            console.error('网络图片加载失败:', error);
+            if (response) {
+                // 已经收到响应，读取数据时中断
+                this.showToast('图片下载中断，请重试', 'error');
+                return;
+            }
+            // fetch 对跨域拒绝和网络错误给出的是同一种异常，用不带 crossOrigin 的图片再试一次来区分
+            const reachable = await this.probeImageUrl(url.href);
+            this.showToast(reachable
+                ? '该网站不允许跨域读取图片（CORS），请先下载到本地再上传'
+                : '无法访问该地址，请检查网络或链接是否正确', 'error', 5000);
+            return;
+        }
+
+        // 路径中的百分号编码不完整时 decodeURIComponent 会抛出异常，此时直接使用原文
+        const segment = url.pathname.split('/').pop() || '';
+        let name;
+        try {
+            name = decodeURIComponent(segment);
+        } catch (error) {
+            name = segment;
+        }
+        this.loadFiles([new File([blob], name || 'image', { type: blob.type })]);
+    }
+
+    // 检测图片地址能否以普通（非跨域读取）方式显示
+    probeImageUrl(href) {
+        return new Promise(resolve => {
+            const img = new Image();
+            const timeoutId = setTimeout(() => resolve(false), 10000);
+            img.onload = () => {
+                clearTimeout(timeoutId);
+                resolve(true);
+            };
+            img.onerror = () => {
+                clearTimeout(timeoutId);
+                resolve(false);
+            };
+            img.src = href;
+        });
+    }
+
     // 混淆图片 - 基于Gilbert空间填充曲线
     confuseImage() {
         if (!this.displayImg.src) {
             this.showToast('请先选择一张图片！', 'error');
             return;
         }
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+            return;
+        }
 
         this.displayImg.style.display = "none";
         requestAnimationFrame(() => {
@@ -311,6 +1460,10 @@ class TomatoImageConfusion {
             this.showToast('请先选择一张图片！', 'error');
             return;
         }
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+            return;
+        }
 
         this.displayImg.style.display = "none";
         requestAnimationFrame(() => {
@@ -326,30 +1479,1221 @@ class TomatoImageConfusion {
             this.showToast('请先选择一张图片！', 'error');
             return;
         }
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+            return;
+        }
+
+        this.displayImg.style.display = "none";
+        requestAnimationFrame(() => {
+            requestAnimationFrame(() => {
+                this.invert(this.displayImg);
+            });
+        });
+    }
+
+    // 还原原始图片
+    restoreImage() {
+        if (!this.currentFile) {
+            this.showToast('没有原始图片可还原！', 'error');
+            return;
+        }
+
+        this.goToHistory(0);
+        this.showToast('已还原原始图片！', 'success');
+    }
+
+    // 当前选择的混淆算法
+    getAlgorithm() {
+        return document.getElementById('algorithmSelect').value;
+    }
+
+    // 区块打乱参数
+    getBlockOptions() {
+        return {
+            blockSize: parseInt(document.getElementById('blockSize').value, 10),
+            strength: parseFloat(document.getElementById('confusionStrength').value)
+        };
+    }
+
+    // 读取密钥并派生参数，密钥为空时返回 null（使用默认算法）
+    async getKeyWords() {
+        const passphrase = document.getElementById('passphrase').value;
+        if (!passphrase) return null;
+
+        if (this.keyCache.passphrase !== passphrase) {
+            const words = await deriveKeyWords(passphrase);
+            this.keyCache.fingerprint = await keyFingerprint(words);
+            this.keyCache.words = words;
+            this.keyCache.passphrase = passphrase;
+        }
+        return this.keyCache.words;
+    }
+
+    // 兼容方案的参数：密钥原样使用，不经过 PBKDF2
+    getCompatOptions() {
+        return {
+            compatKey: document.getElementById('passphrase').value,
+            blocksX: parseInt(document.getElementById('compatBlocksX').value, 10),
+            blocksY: parseInt(document.getElementById('compatBlocksY').value, 10)
+        };
+    }
+
+    // 补边设置：混淆时补到的倍数；解混淆时没有混淆记录则按手动填写的原图尺寸裁剪
+    getPaddingOptions() {
+        const padTo = parseInt(document.getElementById('paddingSelect').value, 10);
+        const originalWidth = parseInt(document.getElementById('originalWidth').value, 10);
+        const originalHeight = parseInt(document.getElementById('originalHeight').value, 10);
+        const manualCrop = padTo > 0 && originalWidth > 0 && originalHeight > 0;
+        return {
+            padTo,
+            originalWidth: manualCrop ? originalWidth : undefined,
+            originalHeight: manualCrop ? originalHeight : undefined
+        };
+    }
+
+    // 汇总界面上的混淆参数
+    async getConfusionParams() {
+        const algorithm = this.getAlgorithm();
+        const keyWords = isCompatScheme(algorithm) ? null : await this.getKeyWords();
+        return {
+            algorithm,
+            ...this.getBlockOptions(),
+            ...this.getCompatOptions(),
+            ...this.getPaddingOptions(),
+            strong: !!CURVES[algorithm] && document.getElementById('strongMode').checked,
+            keyWords,
+            keyFingerprint: keyWords ? this.keyCache.fingerprint : null
+        };
+    }
+
+    // 读取当前图片中的混淆记录
+    async readImageMetadata(src) {
+        try {
+            const response = await fetch(src);
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            return readConfusionMetadata(bytes);
+        } catch (error) {
+            console.warn('读取混淆记录失败:', error);
+            return null;
+        }
+    }
+
+    // 用图片中的混淆记录覆盖界面参数，并提示不一致之处
+    applyConfusionRecord(record, params, width, height) {
+        if (record.version !== TOOL_VERSION) {
+            this.showToast(`该图片由 ${record.version} 版本生成，当前为 ${TOOL_VERSION}，结果可能不正确`, 'warning');
+        }
+
+        if (!isKnownAlgorithm(record.algorithm)) {
+            this.showToast(`该图片使用了未知算法"${record.algorithm}"，将按当前设置解混淆`, 'warning');
+            return params;
+        }
+
+        if (record.algorithm !== params.algorithm) {
+            this.showToast(`该图片使用${algorithmLabel(record.algorithm)}算法混淆，已自动切换`, 'warning');
+            const select = document.getElementById('algorithmSelect');
+            select.value = record.algorithm;
+            select.dispatchEvent(new Event('change'));
+        }
+
+        // 兼容方案使用自己的密钥，只需恢复方块数
+        if (isCompatScheme(record.algorithm)) {
+            const matched = { ...params, algorithm: record.algorithm, keyWords: null, keyFingerprint: null, regions: record.regions };
+            if (record.blocksX && record.blocksY) {
+                matched.blocksX = record.blocksX;
+                matched.blocksY = record.blocksY;
+                document.getElementById('compatBlocksX').value = record.blocksX;
+                document.getElementById('compatBlocksY').value = record.blocksY;
+            }
+            return matched;
+        }
+
+        if (record.key && !params.keyWords) {
+            throw new Error('该图片使用了密钥混淆，请先输入密钥');
+        }
+        if (record.key && record.key !== params.keyFingerprint) {
+            this.showToast('密钥与混淆时不一致，结果可能不正确', 'warning');
+        }
+        if (!record.key && params.keyWords) {
+            this.showToast('该图片混淆时未使用密钥，已忽略当前密钥', 'warning');
+        }
+
+        // 局部混淆只还原记录中的区域
+        const matched = { ...params, algorithm: record.algorithm, keyWords: record.key ? params.keyWords : null, regions: record.regions, strong: !!record.strong };
+        const strongMode = document.getElementById('strongMode');
+        if (strongMode.checked !== matched.strong) {
+            strongMode.checked = matched.strong;
+            strongMode.dispatchEvent(new Event('change'));
+        }
+
+        if (record.algorithm === 'block') {
+            matched.blockSize = record.blockSize;
+            matched.strength = record.strength;
+            this.setSliderValue('blockSize', record.blockSize);
+            this.setSliderValue('confusionStrength', record.strength);
+        } else if (record.width === width && record.height === height) {
+            matched.offset = record.offset;
+        }
+
+        if (record.width !== width || record.height !== height) {
+            this.showToast(`图片尺寸与混淆时（${record.width} × ${record.height}）不同，可能已被缩放`, 'warning');
+        }
+
+        return matched;
+    }
+
+    // 设置滑块值并同步显示
+    setSliderValue(id, value) {
+        const input = document.getElementById(id);
+        input.value = value;
+        input.dispatchEvent(new Event('input'));
+    }
+
+    // 检测当前图片是否已混淆，并给出建议操作
+    async analyzeCurrentImage() {
+        const token = ++this.analysisToken;
+        this.showVerdict('检测中...', null);
+
+        try {
+            const img = this.displayImg;
+            const width = img.naturalWidth;
+            const height = img.naturalHeight;
+            if (!width || !height) return;
+
+            const params = await this.getConfusionParams();
+            const record = await this.readImageMetadata(img.src);
+            if (token !== this.analysisToken) return;
+
+            if (record) {
+                this.showVerdict('含混淆记录，已混淆 — 解混淆？', 'deconfuse');
+                return;
+            }
+            // 检测需要整幅的遍历顺序，超大图片不自动检测
+            if (width * height > LARGE_IMAGE_PIXELS) {
+                this.showVerdict('图片较大，未自动检测', null);
+                return;
+            }
+
+            const result = await this.runAnalysis(img, params);
+            if (token !== this.analysisToken) return;
+
+            console.log(`混淆检测: 结论=${result.verdict}, 连贯度 ${result.before.toFixed(3)} → ${result.after.toFixed(3)}`);
+            if (result.verdict === 'confused') {
+                this.showVerdict('看起来已混淆 — 解混淆？', 'deconfuse');
+            } else if (result.verdict === 'normal') {
+                this.showVerdict('看起来是正常图片 — 混淆？', 'confuse');
+            } else {
+                this.showVerdict('无法判断（如使用了密钥或其他算法，请先设置）', null);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('混淆检测失败:', error);
+            if (token === this.analysisToken) {
+                this.showVerdict('-', null);
+            }
+        }
+    }
+
+    // 显示检测结论与一键操作按钮
+    showVerdict(text, action) {
+        const button = document.getElementById('verdictActionBtn');
+        document.getElementById('confusionVerdict').textContent = text;
+        this.suggestedAction = action;
+        if (action) {
+            button.textContent = action === 'deconfuse' ? '🔓 解混淆' : '🔀 混淆';
+            button.style.display = 'inline-block';
+        } else {
+            button.style.display = 'none';
+        }
+    }
+
+    // 在后台线程中检测，新的检测会取消尚未完成的旧检测
+    async runAnalysis(img, params) {
+        if (this.useWorker) {
+            try {
+                this.analysisWorker.cancel();
+                const bitmap = await createImageBitmap(img);
+                return await this.analysisWorker.run({ op: 'analyze', bitmap, params }, [bitmap]);
+            } catch (error) {
+                if (!error.workerFailure) throw error;
+                console.warn('后台线程不可用，改为在主线程处理:', error);
+                this.useWorker = false;
+            }
+        }
+
+        const cvs = document.createElement("canvas");
+        const width = cvs.width = img.naturalWidth;
+        const height = cvs.height = img.naturalHeight;
+        const ctx = cvs.getContext("2d");
+        ctx.drawImage(img, 0, 0);
+        const imgdata = ctx.getImageData(0, 0, width, height);
+        return analyzeConfusion(imgdata.data, width, height, params);
+    }
+
+    // 混淆 / 解混淆的输出格式：高强度模式的混淆结果必须无损保存，有损格式改用PNG
+    confusionOutputFormat(params, reverse) {
+        const formatKey = this.getOutputFormat();
+        if (reverse || !params.strong || !OUTPUT_FORMATS[formatKey].lossy) return formatKey;
+        return 'png';
+    }
+
+    // 执行混淆 / 解混淆：优先在后台线程中处理并显示进度，不支持时回退到主线程
+    async runConfusion(img, params, reverse) {
+        const title = reverse ? '解混淆' : '混淆';
+        const formatKey = this.confusionOutputFormat(params, reverse);
+
+        if (this.useWorker) {
+            try {
+                this.showProgress(params.regions && params.regions.length ? 'regions' : params.algorithm, title);
+                const bitmap = await createImageBitmap(img);
+                const output = this.getOutputOptions(formatKey);
+                const result = await this.confusionWorker.run(
+                    { op: reverse ? 'decrypt' : 'encrypt', bitmap, params, output },
+                    [bitmap],
+                    (stage, value) => this.updateProgress(stage, value)
+                );
+                this.checkOutputType(result.blob, result.mime);
+                return result;
+            } catch (error) {
+                if (!error.workerFailure) throw error;
+                console.warn('后台线程不可用，改为在主线程处理:', error);
+                this.useWorker = false;
+            } finally {
+                this.hideProgress();
+            }
+        }
+
+        // 超大图片分条处理，只保留一份完整的源像素
+        if (needsStripProcessing(img.width, img.height, params)) {
+            const output = this.getOutputOptions(formatKey);
+            const large = confuseLargeImage(img, img.width, img.height, params, reverse, output, createPageCanvas);
+            const blob = await this.canvasToBlob(large.canvas, large.mime, output.quality);
+            return { blob, info: large.info, width: large.width, height: large.height };
+        }
+
+        const cvs = document.createElement("canvas");
+        const width = cvs.width = img.width;
+        const height = cvs.height = img.height;
+        const ctx = cvs.getContext("2d");
+        
+        ctx.drawImage(img, 0, 0);
+        const imgdata = ctx.getImageData(0, 0, width, height);
+        const image = { width, height, data: imgdata.data };
+        const result = reverse ? deconfuseImageData(image, params) : confuseImageData(image, params);
+        cvs.width = result.width;
+        cvs.height = result.height;
+        ctx.putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+        const blob = await this.encodeCanvas(cvs, formatKey);
+        return { blob, info: result.info, width: result.width, height: result.height };
+    }
+
+    // 读取图片的原始字节，不是动图时返回 null
+    async readAnimationBytes(src) {
+        try {
+            const response = await fetch(src);
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            return detectAnimation(bytes) ? bytes : null;
+        } catch (error) {
+            console.warn('读取图片数据失败:', error);
+            return null;
+        }
+    }
+
+    // 逐帧混淆 / 解混淆动图，输出与输入相同的格式（GIF 或 APNG），帧延时、处置方式和循环次数保持不变
+    async runAnimation(bytes, params, reverse) {
+        if (params.strong || (params.regions && params.regions.length)) {
+            this.showToast('动图不支持选区和高强度模式，已按整幅图片处理', 'warning');
+        }
+
+        let result;
+        if (this.useWorker) {
+            try {
+                this.showProgress('animation', reverse ? '动图解混淆' : '动图混淆');
+                // 不转移字节的所有权，线程不可用时主线程还要使用
+                result = await this.confusionWorker.run(
+                    { op: 'animation', bytes, params, reverse },
+                    [],
+                    (stage, value) => this.updateProgress(stage, value)
+                );
+            } catch (error) {
+                if (!error.workerFailure) throw error;
+                console.warn('后台线程不可用，改为在主线程处理:', error);
+                this.useWorker = false;
+            } finally {
+                this.hideProgress();
+            }
+        }
+        if (!result) {
+            result = await processAnimation(bytes, params, reverse);
+        }
+
+        console.log(`动图${reverse ? '解混淆' : '混淆'}: 格式=${result.info.animation}, 帧数=${result.info.frames}, 算法=${params.algorithm}`);
+        return { blob: new Blob([result.bytes], { type: result.mime }), width: result.width, height: result.height };
+    }
+
+    // 混淆一张图片并写入混淆记录，返回结果 Blob 和尺寸；指定 regions 时只混淆这些区域
+    async confuseToBlob(img, regions = []) {
+        const params = await this.getConfusionParams();
+        if (regions.length) {
+            params.regions = regions;
+        }
+        // 动图逐帧处理，混淆记录在编码时一并写入
+        const animationBytes = await this.readAnimationBytes(img.src);
+        if (animationBytes) {
+            return this.runAnimation(animationBytes, params, false);
+        }
+        // 补边后输出尺寸可能大于原图
+        const { blob, info, width, height } = await this.runConfusion(img, params, false);
+        
+        console.log(`混淆参数: 算法=${params.algorithm}, 宽度=${width}, 高度=${height}, 总像素=${width * height}, 密钥=${params.keyWords ? '是' : '否'}`, info);
+        if (info.tiles === 0) {
+            this.showToast('图片小于区块大小，区块打乱未生效！', 'warning');
+        }
+        
+        try {
+            const tagged = await embedConfusionMetadata(blob, createConfusionRecord(params, info, width, height), width, height);
+            return { blob: tagged, width, height };
+        } catch (error) {
+            console.warn('写入混淆记录失败:', error);
+            return { blob, width, height };
+        }
+    }
+
+    // 解混淆一张图片，图片中带有混淆记录时优先使用记录中的参数
+    // 没有记录时按 regions（当前选区）还原
+    async deconfuseToBlob(img, regions = []) {
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        
+        let params = await this.getConfusionParams();
+        if (regions.length) {
+            params.regions = regions;
+        }
+        const record = await this.readImageMetadata(img.src);
+        if (record) {
+            console.log('读取到混淆记录:', record);
+            params = this.applyConfusionRecord(record, params, width, height);
+            // 混淆时补过边的图片按记录裁剪回原图尺寸；没有补边或已被缩放的图片不裁剪
+            const sameSize = record.width === width && record.height === height;
+            params.originalWidth = sameSize ? record.originalWidth : undefined;
+            params.originalHeight = sameSize ? record.originalHeight : undefined;
+        }
+
+        const animationBytes = await this.readAnimationBytes(img.src);
+        if (animationBytes) {
+            return this.runAnimation(animationBytes, params, true);
+        }
+        
+        const result = await this.runConfusion(img, params, true);
+        
+        console.log(`解混淆参数: 算法=${params.algorithm}, 宽度=${width}, 高度=${height}, 总像素=${width * height}, 密钥=${params.keyWords ? '是' : '否'}`, result.info);
+        return { blob: result.blob, width: result.width, height: result.height };
+    }
+
+    // 加密函数 - 不带密钥时严格按照参考代码实现
+    async encrypt(img) {
+        this.busy = true;
+        try {
+            img = await this.getUprightImage(img);
+            // 检查图片尺寸是否有效
+            if (!img.width || !img.height || img.width === 0 || img.height === 0) {
+                this.showToast('处理失败！', 'error');
+                this.displayImg.style.display = "inline-block";
+                return;
+            }
+            
+            const regions = this.getSelectionRegions();
+            const { blob, width, height } = await this.confuseToBlob(img, regions);
+            this.pushHistory(blob, width, height, '已混淆', 'confuse');
+            this.showToast(regions.length ? `已混淆选中的 ${regions.length} 个区域！` : '图片混淆完成！', 'success');
+        } catch (error) {
+            this.handleOperationError(error, '混淆失败！');
+        } finally {
+            this.busy = false;
+        }
+    }
+
+
+    // 解密函数 - 不带密钥时严格按照参考代码实现
+    async decrypt(img) {
+        this.busy = true;
+        try {
+            img = await this.getUprightImage(img);
+            // 检查图片尺寸是否有效
+            if (!img.width || !img.height || img.width === 0 || img.height === 0) {
+                this.showToast('处理失败！', 'error');
+                this.displayImg.style.display = "inline-block";
+                return;
+            }
+            
+            const { blob, width, height } = await this.deconfuseToBlob(img, this.getSelectionRegions());
+            this.pushHistory(blob, width, height, '已解混淆', 'deconfuse');
+            this.showToast('图片解混淆完成！', 'success');
+        } catch (error) {
+            this.handleOperationError(error, '解混淆失败！');
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    // 操作失败或被取消时恢复显示之前的图片
+    handleOperationError(error, message) {
+        this.closeCompare();
+        this.displayImg.style.display = "inline-block";
+        if (error.name === 'AbortError') {
+            this.showToast('已取消，已恢复之前的图片', 'info');
+        } else {
+            console.error(message, error);
+            this.showToast(message + (error.message || ''), 'error');
+        }
+    }
+
+    // 缩放恢复：图片被平台缩小后，搜索混淆时的尺寸，放大回去再解混淆
+    async recoverScaledImage() {
+        if (!this.displayImg.src) {
+            this.showToast('请先选择一张图片！', 'error');
+            return;
+        }
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+            return;
+        }
+
+        this.busy = true;
+        try {
+            const img = await this.getUprightImage(this.displayImg);
+            const width = img.naturalWidth;
+            const height = img.naturalHeight;
+
+            let params = await this.getConfusionParams();
+            const hints = [];
+            const record = await this.readImageMetadata(img.src);
+            if (record) {
+                params = this.applyConfusionRecord(record, params, width, height);
+                // 记录中的尺寸就是混淆时的尺寸，补过边的按记录裁剪
+                hints.push({
+                    width: record.width,
+                    height: record.height,
+                    label: '混淆记录',
+                    originalWidth: record.originalWidth,
+                    originalHeight: record.originalHeight
+                });
+            }
+            const longEdge = parseInt(document.getElementById('recoverLongEdge').value, 10);
+            const longEdges = longEdge > 0 ? [longEdge] : [];
+
+            const result = await this.runRecovery(img, params, { hints, longEdges });
+            console.log('缩放恢复候选:', result.ranked.map(c => `${c.width}x${c.height} ${c.score.toFixed(3)}`).join(', '));
+            this.showRecoveryResults(result);
+        } catch (error) {
+            this.handleOperationError(error, '缩放恢复失败！');
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    // 执行缩放恢复：优先在后台线程中处理并显示进度，不支持时回退到主线程
+    async runRecovery(img, params, options) {
+        if (this.useWorker) {
+            try {
+                this.showProgress('recover', '缩放恢复');
+                const bitmap = await createImageBitmap(img);
+                const output = this.getOutputOptions();
+                return await this.confusionWorker.run(
+                    { op: 'recover', bitmap, params, options, output },
+                    [bitmap],
+                    (stage, value) => this.updateProgress(stage, value)
+                );
+            } catch (error) {
+                if (!error.workerFailure) throw error;
+                console.warn('后台线程不可用，改为在主线程处理:', error);
+                this.useWorker = false;
+            } finally {
+                this.hideProgress();
+            }
+        }
+
+        const cvs = document.createElement("canvas");
+        const width = cvs.width = img.naturalWidth;
+        const height = cvs.height = img.naturalHeight;
+        const ctx = cvs.getContext("2d");
+        ctx.drawImage(img, 0, 0);
+        const imgdata = ctx.getImageData(0, 0, width, height);
+        const { ranked, results } = recoverImage({ width, height, data: imgdata.data }, params, options);
+
+        const encoded = [];
+        for (const { image, ...candidate } of results) {
+            cvs.width = image.width;
+            cvs.height = image.height;
+            ctx.putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+            const blob = await this.encodeCanvas(cvs);
+            encoded.push({ ...candidate, blob, width: image.width, height: image.height });
+        }
+        return { ranked, results: encoded };
+    }
+
+    // 列出最好的几个结果，由用户选择
+    showRecoveryResults({ ranked, results }) {
+        this.releaseRecoveryUrls();
+        const container = document.getElementById('recoverResults');
+        container.innerHTML = '';
+
+        results.forEach((result, i) => {
+            const url = URL.createObjectURL(result.blob);
+            this.recoveryUrls.push(url);
+
+            const card = document.createElement('div');
+            card.className = 'recover-card';
+            const thumb = document.createElement('img');
+            thumb.src = url;
+            thumb.alt = `${result.width} × ${result.height}`;
+            const size = document.createElement('div');
+            size.className = 'recover-size';
+            size.textContent = `${i + 1}. ${result.width} × ${result.height}`;
+            const meta = document.createElement('div');
+            meta.className = 'recover-meta';
+            meta.textContent = `${result.label} · 连贯度 ${result.score.toFixed(3)}`;
+            const button = document.createElement('button');
+            button.className = 'normal_button';
+            button.style.cssText = 'background-color: #eb3678;color:#fff;';
+            button.textContent = '✔ 使用此结果';
+            button.addEventListener('click', () => this.useRecoveryResult(result));
+            card.append(thumb, size, meta, button);
+            container.appendChild(card);
+        });
+
+        const best = ranked[0];
+        document.getElementById('recoverSummary').textContent = best
+            ? `共尝试 ${ranked.length} 个尺寸，最可能是 ${best.width} × ${best.height}。如都不理想，可填写已知的原图长边后重新搜索。`
+            : '没有可尝试的尺寸';
+        const section = document.getElementById('recoverSection');
+        section.style.display = 'block';
+        section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    // 采用选中的恢复结果
+    useRecoveryResult(result) {
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+            return;
+        }
+        this.pushHistory(result.blob, result.width, result.height, '已恢复', 'deconfuse');
+        this.closeRecovery();
+        this.showToast(`已按 ${result.width} × ${result.height} 恢复！`, 'success');
+    }
+
+    closeRecovery() {
+        this.releaseRecoveryUrls();
+        document.getElementById('recoverResults').innerHTML = '';
+        document.getElementById('recoverSection').style.display = 'none';
+    }
+
+    releaseRecoveryUrls() {
+        this.recoveryUrls.forEach(url => URL.revokeObjectURL(url));
+        this.recoveryUrls = [];
+    }
+
+    // ===== 局部混淆选区 =====
+
+    // 进入 / 退出选区编辑
+    toggleSelectionMode() {
+        if (!this.displayImg.src) {
+            this.showToast('请先选择一张图片！', 'error');
+            return;
+        }
+        const toolbar = document.getElementById('selectionToolbar');
+        if (toolbar.style.display === 'none') {
+            this.ensureSelection();
+            toolbar.style.display = 'flex';
+            document.getElementById('selectionOverlay').classList.add('editing');
+            this.renderSelection(true);
+        } else {
+            this.finishSelection();
+        }
+    }
+
+    finishSelection() {
+        document.getElementById('selectionToolbar').style.display = 'none';
+        document.getElementById('selectionOverlay').classList.remove('editing');
+        this.renderSelection(true);
+    }
+
+    // 选区与当前图片尺寸一致；尺寸变化时重新创建
+    ensureSelection() {
+        const width = this.displayImg.naturalWidth;
+        const height = this.displayImg.naturalHeight;
+        if (this.selection && this.selection.width === width && this.selection.height === height) {
+            return this.selection;
+        }
+
+        const mask = document.createElement('canvas');
+        mask.width = width;
+        mask.height = height;
+        const overlay = document.getElementById('selectionOverlay');
+        overlay.width = width;
+        overlay.height = height;
+        this.selection = { width, height, rects: [], mask, maskRegions: [], drag: null, last: null };
+        return this.selection;
+    }
+
+    // 清空选区，继续编辑
+    clearSelection() {
+        this.selection = null;
+        this.ensureSelection();
+        this.renderSelection(true);
+    }
+
+    // 换图或尺寸变化时丢弃选区并退出编辑
+    resetSelection() {
+        this.selection = null;
+        this.finishSelection();
+    }
+
+    // 当前选中的区域：矩形原样保留，画笔蒙版按 16 像素的格子转换为矩形（与 JPEG 宏块对齐）
+    getSelectionRegions() {
+        if (!this.selection) return [];
+        return [...this.selection.rects, ...this.selection.maskRegions];
+    }
+
+    updateMaskRegions() {
+        const { mask, width, height } = this.selection;
+        const pixels = mask.getContext('2d').getImageData(0, 0, width, height).data;
+        const alpha = new Uint8Array(width * height);
+        for (let i = 0; i < alpha.length; i++) {
+            alpha[i] = pixels[4 * i + 3];
+        }
+        this.selection.maskRegions = maskToRegions(alpha, width, height, 16);
+    }
+
+    // 绘制选区：半透明填充，虚线框出实际会被混淆的矩形
+    renderSelection(showRegions = false) {
+        const overlay = document.getElementById('selectionOverlay');
+        const editing = overlay.classList.contains('editing');
+        const regions = this.getSelectionRegions();
+        overlay.style.display = this.selection && (editing || regions.length) ? 'block' : 'none';
+        this.updateSelectionInfo(regions.length);
+        if (!this.selection) return;
+
+        const ctx = overlay.getContext('2d');
+        const { width, height, mask, rects, drag } = this.selection;
+        ctx.clearRect(0, 0, width, height);
+        ctx.globalAlpha = 0.45;
+        ctx.drawImage(mask, 0, 0);
+        ctx.fillStyle = '#eb3678';
+        [...rects, ...(drag ? [drag] : [])].forEach(r => ctx.fillRect(r.x, r.y, r.width, r.height));
+        ctx.globalAlpha = 1;
+
+        if (showRegions) {
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = overlay.clientWidth ? Math.max(1, width / overlay.clientWidth) : 1;
+            ctx.setLineDash([4 * ctx.lineWidth, 4 * ctx.lineWidth]);
+            regions.forEach(r => ctx.strokeRect(r.x + 0.5, r.y + 0.5, r.width - 1, r.height - 1));
+            ctx.setLineDash([]);
+        }
+    }
+
+    updateSelectionInfo(count) {
+        document.getElementById('selectionInfo').textContent = count ? `已选 ${count} 个区域` : '未选择区域';
+        document.getElementById('selectRegionBtn').textContent = count ? `🎯 局部混淆 (${count})` : '🎯 局部混淆';
+    }
+
+    getSelectionTool() {
+        return document.querySelector('input[name="selectionTool"]:checked').value;
+    }
+
+    // 指针位置换算为图片像素坐标
+    selectionPoint(e) {
+        const rect = e.currentTarget.getBoundingClientRect();
+        return {
+            x: Math.max(0, Math.min(this.selection.width, (e.clientX - rect.left) * this.selection.width / rect.width)),
+            y: Math.max(0, Math.min(this.selection.height, (e.clientY - rect.top) * this.selection.height / rect.height)),
+            scale: this.selection.width / rect.width
+        };
+    }
+
+    // 画笔 / 橡皮：在蒙版上画一段圆头线
+    paintSelection(from, to) {
+        const ctx = this.selection.mask.getContext('2d');
+        ctx.globalCompositeOperation = this.getSelectionTool() === 'eraser' ? 'destination-out' : 'source-over';
+        ctx.strokeStyle = '#eb3678';
+        ctx.lineCap = ctx.lineJoin = 'round';
+        ctx.lineWidth = parseInt(document.getElementById('brushSize').value, 10) * to.scale;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x + 0.01, to.y);
+        ctx.stroke();
+    }
+
+    handleSelectionDown(e) {
+        const overlay = e.currentTarget;
+        overlay.setPointerCapture(e.pointerId);
+        const point = this.selectionPoint(e);
+        if (this.getSelectionTool() === 'rect') {
+            this.selection.drag = { x: point.x, y: point.y, width: 0, height: 0, start: point };
+        } else {
+            this.paintSelection(point, point);
+        }
+        this.selection.last = point;
+        this.renderSelection();
+    }
+
+    handleSelectionMove(e) {
+        if (!e.currentTarget.hasPointerCapture(e.pointerId) || !this.selection.last) return;
+        const point = this.selectionPoint(e);
+        const { drag } = this.selection;
+        if (drag) {
+            drag.x = Math.min(drag.start.x, point.x);
+            drag.y = Math.min(drag.start.y, point.y);
+            drag.width = Math.abs(point.x - drag.start.x);
+            drag.height = Math.abs(point.y - drag.start.y);
+        } else {
+            this.paintSelection(this.selection.last, point);
+        }
+        this.selection.last = point;
+        this.renderSelection();
+    }
+
+    handleSelectionUp() {
+        if (!this.selection || !this.selection.last) return;
+        const { drag } = this.selection;
+        if (drag) {
+            const [region] = normalizeRegions([drag], this.selection.width, this.selection.height);
+            if (region && region.width >= 2 && region.height >= 2) {
+                this.selection.rects.push(region);
+            }
+            this.selection.drag = null;
+        } else {
+            this.updateMaskRegions();
+        }
+        this.selection.last = null;
+        this.renderSelection(true);
+    }
+
+    // ===== 流水线 =====
+
+    // 按当前界面参数生成一个新步骤
+    createPipelineStep(op) {
+        if (op === 'convert') {
+            return normalizePipelineStep({ op, format: 'jpeg', quality: 0.95 }, 0);
+        }
+        if (op === 'invert') {
+            return { op };
+        }
+        return normalizePipelineStep({
+            op,
+            algorithm: this.getAlgorithm(),
+            ...this.getBlockOptions(),
+            ...this.getCompatOptions(),
+            useKey: !!document.getElementById('passphrase').value
+        }, 0);
+    }
+
+    addPipelineStep(op) {
+        this.pipelineSteps.push(this.createPipelineStep(op));
+        this.renderPipeline();
+    }
+
+    // 修改步骤的某个参数后重新规范化；改动影响可见参数时重绘列表
+    updatePipelineStep(index, changes, rerender = false) {
+        try {
+            this.pipelineSteps[index] = normalizePipelineStep({ ...this.pipelineSteps[index], ...changes }, index);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+        if (rerender) {
+            this.renderPipeline();
+        } else {
+            this.updatePipelineSummary();
+        }
+    }
+
+    movePipelineStep(index, delta) {
+        const target = index + delta;
+        if (target < 0 || target >= this.pipelineSteps.length) return;
+        const steps = this.pipelineSteps;
+        [steps[index], steps[target]] = [steps[target], steps[index]];
+        this.renderPipeline();
+    }
+
+    removePipelineStep(index) {
+        this.pipelineSteps.splice(index, 1);
+        this.renderPipeline();
+    }
+
+    // 带文字说明的参数输入框
+    createPipelineField(text, input) {
+        const label = document.createElement('label');
+        label.className = 'pipeline-field';
+        label.append(text, input);
+        return label;
+    }
+
+    createPipelineNumber(value, min, max, step, onChange) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.value = value;
+        input.addEventListener('change', () => onChange(input.value));
+        return input;
+    }
+
+    // 各操作的参数控件
+    createPipelineParams(step, index) {
+        const fields = [];
+        if (step.op === 'convert') {
+            const format = document.createElement('select');
+            for (const key of ['jpeg', 'webp', 'png', 'webp-lossless']) {
+                format.add(new Option(OUTPUT_FORMATS[key].label, key));
+            }
+            format.value = step.format;
+            format.addEventListener('change', () => this.updatePipelineStep(index, { format: format.value }, true));
+            fields.push(this.createPipelineField('格式', format));
+            if (OUTPUT_FORMATS[step.format].lossy && OUTPUT_FORMATS[step.format].quality === undefined) {
+                fields.push(this.createPipelineField('质量', this.createPipelineNumber(step.quality, 0.1, 1, 0.05,
+                    value => this.updatePipelineStep(index, { quality: value }))));
+            }
+            return fields;
+        }
+        if (step.op === 'invert') {
+            return fields;
+        }
+
+        const algorithm = document.createElement('select');
+        algorithm.innerHTML = document.getElementById('algorithmSelect').innerHTML;
+        algorithm.value = step.algorithm;
+        algorithm.addEventListener('change', () => this.updatePipelineStep(index, { algorithm: algorithm.value }, true));
+        fields.push(this.createPipelineField('算法', algorithm));
+
+        if (step.algorithm === 'block') {
+            fields.push(this.createPipelineField('区块', this.createPipelineNumber(step.blockSize, 1, 256, 1,
+                value => this.updatePipelineStep(index, { blockSize: value }))));
+            fields.push(this.createPipelineField('强度', this.createPipelineNumber(step.strength, 0.1, 3, 0.1,
+                value => this.updatePipelineStep(index, { strength: value }))));
+        }
+        if (isCompatScheme(step.algorithm)) {
+            const key = document.createElement('input');
+            key.type = 'text';
+            key.value = step.compatKey;
+            key.placeholder = `默认 ${COMPAT_SCHEMES[step.algorithm].defaultKey}`;
+            key.addEventListener('change', () => this.updatePipelineStep(index, { compatKey: key.value }));
+            fields.push(this.createPipelineField('密钥', key));
+            if (COMPAT_SCHEMES[step.algorithm].usesBlocks) {
+                fields.push(this.createPipelineField('横', this.createPipelineNumber(step.blocksX, 1, 256, 1,
+                    value => this.updatePipelineStep(index, { blocksX: value }))));
+                fields.push(this.createPipelineField('纵', this.createPipelineNumber(step.blocksY, 1, 256, 1,
+                    value => this.updatePipelineStep(index, { blocksY: value }))));
+            }
+        } else {
+            const useKey = document.createElement('input');
+            useKey.type = 'checkbox';
+            useKey.checked = step.useKey;
+            useKey.addEventListener('change', () => this.updatePipelineStep(index, { useKey: useKey.checked }));
+            fields.push(this.createPipelineField('使用密钥', useKey));
+        }
+        return fields;
+    }
+
+    // 重绘步骤列表
+    renderPipeline() {
+        const list = document.getElementById('pipelineSteps');
+        list.innerHTML = '';
+
+        this.pipelineSteps.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = `pipeline-step pipeline-step-${step.op}`;
+
+            const op = document.createElement('select');
+            for (const [value, label] of Object.entries(PIPELINE_OPS)) {
+                op.add(new Option(label, value));
+            }
+            op.value = step.op;
+            op.addEventListener('change', () => {
+                // 混淆与解混淆之间切换时保留参数
+                const keep = step.op !== 'invert' && step.op !== 'convert' && (op.value === 'confuse' || op.value === 'deconfuse');
+                this.pipelineSteps[index] = keep ? { ...step, op: op.value } : this.createPipelineStep(op.value);
+                this.renderPipeline();
+            });
+
+            const params = document.createElement('div');
+            params.className = 'pipeline-params';
+            params.append(...this.createPipelineParams(step, index));
+
+            const actions = document.createElement('div');
+            actions.className = 'pipeline-step-actions';
+            [['↑', '上移', () => this.movePipelineStep(index, -1)],
+             ['↓', '下移', () => this.movePipelineStep(index, 1)],
+             ['✖', '删除', () => this.removePipelineStep(index)]].forEach(([text, title, handler]) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.title = title;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            });
+
+            item.append(op, params, actions);
+            list.appendChild(item);
+        });
+
+        const empty = this.pipelineSteps.length === 0;
+        document.getElementById('pipelineRunBtn').disabled = empty;
+        document.getElementById('pipelineReverseBtn').disabled = empty;
+        this.updatePipelineSummary();
+    }
+
+    // 显示正向与反向流水线
+    updatePipelineSummary() {
+        const summary = document.getElementById('pipelineSummary');
+        if (this.pipelineSteps.length === 0) {
+            summary.textContent = '还没有步骤，点击上方按钮添加';
+            return;
+        }
+        const forward = this.pipelineSteps.map(describePipelineStep).join(' → ');
+        const inverse = invertPipeline(this.pipelineSteps).map(describePipelineStep).join(' → ') || '（无）';
+        // 格式转换在反向时省略，有损转换时反向只能近似还原
+        const omitted = this.pipelineSteps.some(step => step.op === 'convert');
+        const note = !isPipelineInverseExact(this.pipelineSteps) ? '（近似还原：有损的格式转换无法撤销，已省略）'
+            : omitted ? '（已省略格式转换）' : '';
+        summary.textContent = `正向：${forward}\n反向${note}：${inverse}`;
+    }
+
+    // 已保存的预设 { 名称: { name, steps } }
+    loadPipelinePresets() {
+        try {
+            return JSON.parse(localStorage.getItem(PIPELINE_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('读取流水线预设失败:', error);
+            return {};
+        }
+    }
+
+    // 写入预设，失败（如存储空间已满）时提示并返回 false
+    storePipelinePresets(presets) {
+        try {
+            localStorage.setItem(PIPELINE_STORAGE_KEY, JSON.stringify(presets));
+            return true;
+        } catch (error) {
+            this.showToast('保存预设失败：' + error.message, 'error');
+            return false;
+        }
+    }
+
+    renderPipelinePresets(selected = '') {
+        const select = document.getElementById('pipelinePresetSelect');
+        select.innerHTML = '';
+        select.add(new Option('— 已保存的预设 —', ''));
+        Object.keys(this.loadPipelinePresets()).sort().forEach(name => select.add(new Option(name, name)));
+        select.value = selected;
+    }
+
+    applyPipelinePreset(name) {
+        const preset = this.loadPipelinePresets()[name];
+        if (!preset) return;
+        try {
+            this.pipelineSteps = normalizePipeline(preset).steps;
+            document.getElementById('pipelineName').value = name;
+            this.renderPipeline();
+        } catch (error) {
+            this.showToast(`预设"${name}"已损坏：${error.message}`, 'error');
+        }
+    }
+
+    savePipelinePreset() {
+        const name = document.getElementById('pipelineName').value.trim();
+        if (!name) {
+            this.showToast('请先填写预设名称！', 'error');
+            return;
+        }
+        if (this.pipelineSteps.length === 0) {
+            this.showToast('流水线至少需要一个步骤', 'error');
+            return;
+        }
+
+        const presets = this.loadPipelinePresets();
+        const existed = !!presets[name];
+        presets[name] = { name, steps: this.pipelineSteps };
+        if (!this.storePipelinePresets(presets)) return;
+        this.renderPipelinePresets(name);
+        this.showToast(existed ? `已更新预设"${name}"` : `已保存预设"${name}"`, 'success');
+    }
+
+    deletePipelinePreset() {
+        const name = document.getElementById('pipelinePresetSelect').value;
+        if (!name) {
+            this.showToast('请先选择要删除的预设', 'error');
+            return;
+        }
+        const presets = this.loadPipelinePresets();
+        delete presets[name];
+        if (!this.storePipelinePresets(presets)) return;
+        this.renderPipelinePresets();
+        this.showToast(`已删除预设"${name}"`, 'success');
+    }
+
+    // 导出为 JSON 文件
+    exportPipeline() {
+        if (this.pipelineSteps.length === 0) {
+            this.showToast('流水线至少需要一个步骤', 'error');
+            return;
+        }
+        const name = document.getElementById('pipelineName').value.trim() || 'pipeline';
+        const json = JSON.stringify({ tool: TOOL_NAME, version: TOOL_VERSION, name, steps: this.pipelineSteps }, null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `${name}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    }
+
+    // 从 JSON 文件导入，导入后需要手动保存为预设
+    async importPipeline(file) {
+        try {
+            const pipeline = normalizePipeline(JSON.parse(await file.text()));
+            this.pipelineSteps = pipeline.steps;
+            document.getElementById('pipelineName').value = pipeline.name || file.name.replace(/\.json$/i, '');
+            document.getElementById('pipelinePresetSelect').value = '';
+            this.renderPipeline();
+            this.showToast(`已导入 ${pipeline.steps.length} 个步骤，点击"保存预设"可保存`, 'success');
+        } catch (error) {
+            this.showToast('导入失败：' + (error instanceof SyntaxError ? '不是有效的JSON' : error.message), 'error');
+        }
+    }
+
+    // 执行流水线；reverse 为 true 时执行自动生成的反向流水线
+    runPipelineSteps(reverse) {
+        if (!this.displayImg.src) {
+            this.showToast('请先选择一张图片！', 'error');
+            return;
+        }
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+            return;
+        }
+        if (this.pipelineSteps.length === 0) {
+            this.showToast('流水线至少需要一个步骤', 'error');
+            return;
+        }
+
+        this.displayImg.style.display = "none";
+        requestAnimationFrame(() => {
+            requestAnimationFrame(() => {
+                this.executePipeline(this.displayImg, reverse);
+            });
+        });
+    }
+
+    async executePipeline(img, reverse) {
+        this.busy = true;
+        try {
+            img = await this.getUprightImage(img);
+            const steps = reverse ? invertPipeline(this.pipelineSteps) : this.pipelineSteps;
+            if (reverse && !isPipelineInverseExact(this.pipelineSteps)) {
+                this.showToast('有损的格式转换无法撤销，反向执行时已省略，结果只能近似还原', 'warning');
+            } else if (reverse && steps.length < this.pipelineSteps.length) {
+                this.showToast('格式转换无法撤销，反向执行时已省略', 'info');
+            }
+            const keyWords = steps.some(step => step.useKey) ? await this.getKeyWords() : null;
+            const { blob, width, height } = await this.runPipelineOn(img, steps, keyWords);
+
+            this.pushHistory(blob, width, height, reverse ? '已反向执行流水线' : '已执行流水线', reverse ? 'deconfuse' : 'confuse');
+            this.showToast(reverse ? '反向流水线执行完成！' : '流水线执行完成！', 'success');
+        } catch (error) {
+            this.handleOperationError(error, '流水线执行失败！');
+        } finally {
+            this.busy = false;
+        }
+    }
 
-        this.displayImg.style.display = "none";
-        requestAnimationFrame(() => {
-            requestAnimationFrame(() => {
-                this.invert(this.displayImg);
-            });
+    // 格式转换步骤附上实际的编码参数
+    resolvePipelineSteps(steps) {
+        return steps.map(step => {
+            if (step.op !== 'convert') return step;
+            const format = OUTPUT_FORMATS[step.format];
+            const quality = format.quality !== undefined ? format.quality : (format.lossy ? step.quality : undefined);
+            return { ...step, mime: format.mime, quality, matte: this.getOutputOptions().matte };
         });
     }
 
-    // 还原原始图片
-    restoreImage() {
-        if (!this.currentFile) {
-            this.showToast('没有原始图片可还原！', 'error');
-            return;
+    // 执行流水线：优先在后台线程中处理并显示进度，不支持时回退到主线程
+    async runPipelineOn(img, steps, keyWords) {
+        const resolved = this.resolvePipelineSteps(steps);
+
+        if (this.useWorker) {
+            try {
+                this.showProgress('pipeline', '流水线');
+                const bitmap = await createImageBitmap(img);
+                const output = this.getOutputOptions();
+                const result = await this.confusionWorker.run(
+                    { op: 'pipeline', bitmap, params: { steps: resolved, keyWords }, output },
+                    [bitmap],
+                    (stage, value) => this.updateProgress(stage, value)
+                );
+                this.checkOutputType(result.blob, result.mime);
+                return result;
+            } catch (error) {
+                if (!error.workerFailure) throw error;
+                console.warn('后台线程不可用，改为在主线程处理:', error);
+                this.useWorker = false;
+            } finally {
+                this.hideProgress();
+            }
         }
 
-        this.setImageSrc(URL.createObjectURL(this.currentFile));
-        this.updateImageInfo(this.currentFile, this.originalImage.width, this.originalImage.height);
-        this.showToast('已还原原始图片！', 'success');
+        const cvs = document.createElement("canvas");
+        cvs.width = img.naturalWidth || img.width;
+        cvs.height = img.naturalHeight || img.height;
+        const ctx = cvs.getContext("2d");
+        ctx.drawImage(img, 0, 0);
+        const imgdata = ctx.getImageData(0, 0, cvs.width, cvs.height);
+
+        // 格式转换：在画布上编码后重新载入
+        const reencode = async (image, step) => {
+            cvs.width = image.width;
+            cvs.height = image.height;
+            // JPEG 不支持透明度，先按底色合成
+            const { mime } = resolveOutputMime(image.data, step);
+            ctx.putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+            const blob = await new Promise(resolve => cvs.toBlob(resolve, mime, step.quality));
+            if (!blob) throw new Error('导出图片失败！');
+            const converted = await this.loadImage(blob);
+            ctx.clearRect(0, 0, image.width, image.height);
+            ctx.drawImage(converted, 0, 0);
+            URL.revokeObjectURL(converted.src);
+            return { width: image.width, height: image.height, data: ctx.getImageData(0, 0, image.width, image.height).data };
+        };
+
+        const result = await runPipeline({ width: cvs.width, height: cvs.height, data: imgdata.data }, resolved, { keyWords, reencode });
+        cvs.width = result.width;
+        cvs.height = result.height;
+        ctx.putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+        const blob = await this.encodeCanvas(cvs);
+        return { blob, width: result.width, height: result.height };
+    }
+
+    // 反相一张图片，返回结果 Blob 和尺寸
+    async invertToBlob(img) {
+        const cvs = document.createElement("canvas");
+        const width = cvs.width = img.naturalWidth || img.width;
+        const height = cvs.height = img.naturalHeight || img.height;
+        const ctx = cvs.getContext("2d");
+        
+        // 只反相 RGB，保留透明度
+        ctx.drawImage(img, 0, 0);
+        const imgdata = ctx.getImageData(0, 0, width, height);
+        
+        invertPixels(imgdata.data);
+        
+        ctx.putImageData(imgdata, 0, 0);
+        const blob = await this.encodeCanvas(cvs);
+        return { blob, width, height };
     }
 
-    // 加密函数 - 严格按照参考代码实现
-    encrypt(img) {
+    // 反相函数
+    async invert(img) {
         try {
+            img = await this.getUprightImage(img);
             // 检查图片尺寸是否有效
             if (!img.width || !img.height || img.width === 0 || img.height === 0) {
                 this.showToast('处理失败！', 'error');
@@ -357,170 +2701,302 @@ class TomatoImageConfusion {
                 return;
             }
             
-            const cvs = document.createElement("canvas");
-            const width = cvs.width = img.width;
-            const height = cvs.height = img.height;
-            const ctx = cvs.getContext("2d");
-            
-            ctx.drawImage(img, 0, 0);
-            const imgdata = ctx.getImageData(0, 0, width, height);
-            const imgdata2 = new ImageData(width, height);
-            const curve = gilbert2d(width, height);
-            const offset = Math.round((Math.sqrt(5) - 1) / 2 * width * height);
-            
-            console.log(`混淆参数: 宽度=${width}, 高度=${height}, 偏移=${offset}, 总像素=${width * height}`);
-            
-            for (let i = 0; i < width * height; i++) {
-                const old_pos = curve[i];
-                const new_pos = curve[(i + offset) % (width * height)];
-                const old_p = 4 * (old_pos[0] + old_pos[1] * width);
-                const new_p = 4 * (new_pos[0] + new_pos[1] * width);
-                imgdata2.data.set(imgdata.data.slice(old_p, old_p + 4), new_p);
-            }
-            
-            ctx.putImageData(imgdata2, 0, 0);
-            cvs.toBlob(b => {
-                this.setImageSrc(URL.createObjectURL(b));
-                this.showToast('图片混淆完成！', 'success');
-            }, "image/jpeg", 0.95);
+            const { blob, width, height } = await this.invertToBlob(img);
+            this.pushHistory(blob, width, height, '已反相', 'invert');
+            this.showToast('图片反相完成！', 'success');
         } catch (error) {
-            this.showToast('混淆失败！', 'error');
-            this.displayImg.style.display = "inline-block";
+            this.handleOperationError(error, '反相失败！');
         }
     }
 
+    // 取出当前显示的图片数据，并按原文件名和最近一次操作生成文件名
+    async getCurrentResult() {
+        if (!this.displayImg.src || !this.currentFile) {
+            this.showToast('请先选择一张图片！', 'error');
+            return null;
+        }
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+            return null;
+        }
+        const response = await fetch(this.displayImg.src);
+        const blob = await this.sanitizeOutput(await response.blob(), this.currentExif);
+        return { blob, name: this.getResultName(this.currentFile.name, this.lastOperation, blob) };
+    }
 
-    // 解密函数 - 严格按照参考代码实现
-    decrypt(img) {
+    // 下载当前结果
+    async saveResult() {
         try {
-            // 检查图片尺寸是否有效
-            if (!img.width || !img.height || img.width === 0 || img.height === 0) {
-                this.showToast('处理失败！', 'error');
-                this.displayImg.style.display = "inline-block";
-                return;
-            }
-            
-            const cvs = document.createElement("canvas");
-            const width = cvs.width = img.width;
-            const height = cvs.height = img.height;
-            const ctx = cvs.getContext("2d");
-            
-            ctx.drawImage(img, 0, 0);
-            const imgdata = ctx.getImageData(0, 0, width, height);
-            const imgdata2 = new ImageData(width, height);
-            const curve = gilbert2d(width, height);
-            const offset = Math.round((Math.sqrt(5) - 1) / 2 * width * height);
-            
-            console.log(`解混淆参数: 宽度=${width}, 高度=${height}, 偏移=${offset}, 总像素=${width * height}`);
-            
-            for (let i = 0; i < width * height; i++) {
-                const old_pos = curve[i];
-                const new_pos = curve[(i + offset) % (width * height)];
-                const old_p = 4 * (old_pos[0] + old_pos[1] * width);
-                const new_p = 4 * (new_pos[0] + new_pos[1] * width);
-                imgdata2.data.set(imgdata.data.slice(new_p, new_p + 4), old_p);
-            }
-            
-            ctx.putImageData(imgdata2, 0, 0);
-            cvs.toBlob(b => {
-                this.setImageSrc(URL.createObjectURL(b));
-                this.showToast('图片解混淆完成！', 'success');
-            }, "image/jpeg", 0.95);
+            const result = await this.getCurrentResult();
+            if (!result) return;
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(result.blob);
+            link.download = result.name;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+            this.showToast(`已保存为 ${result.name}`, 'success');
         } catch (error) {
-            this.showToast('解混淆失败！', 'error');
-            this.displayImg.style.display = "inline-block";
+            console.error('保存失败:', error);
+            this.showToast('保存失败：' + error.message, 'error');
         }
     }
 
-    // PNG转JPG函数
-    convertToJPG() {
-        if (!this.displayImg.src) {
-            this.showToast('请先选择一张图片！', 'error');
+    // 复制当前结果到剪贴板；剪贴板普遍只接受 PNG，其他格式先转为 PNG。元数据和保存时一样处理
+    async copyResult() {
+        if (!navigator.clipboard || !navigator.clipboard.write || typeof ClipboardItem === 'undefined') {
+            this.showToast('当前浏览器不支持复制图片到剪贴板', 'error');
+            return;
+        }
+        if (!this.displayImg.src || this.busy) {
+            this.showToast(this.busy ? '正在处理中，请稍候或取消当前操作' : '请先选择一张图片！', this.busy ? 'warning' : 'error');
             return;
         }
 
-        this.displayImg.style.display = "none";
-        requestAnimationFrame(() => {
-            requestAnimationFrame(() => {
-                this.convertImageToJPG(this.displayImg);
-            });
-        });
+        // 直接把 Promise 交给 ClipboardItem，保证写入发生在用户点击的时机内（Safari 要求）
+        const pngPromise = fetch(this.displayImg.src)
+            .then(response => response.blob())
+            .then(blob => {
+                if (blob.type === 'image/png') return blob;
+                const cvs = document.createElement('canvas');
+                cvs.width = this.displayImg.naturalWidth;
+                cvs.height = this.displayImg.naturalHeight;
+                cvs.getContext('2d').drawImage(this.displayImg, 0, 0);
+                return this.encodeCanvas(cvs, 'png');
+            })
+            .then(blob => this.sanitizeOutput(blob, this.currentExif));
+
+        try {
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': pngPromise })]);
+            this.showToast('已复制到剪贴板（PNG）', 'success');
+        } catch (error) {
+            console.error('复制失败:', error);
+            this.showToast('复制失败：' + error.message, 'error');
+        }
     }
 
-    // 实际转换逻辑
-    convertImageToJPG(img) {
+    // 通过系统分享面板分享当前结果
+    async shareResult() {
         try {
-            // 检查图片尺寸是否有效
-            if (!img.width || !img.height || img.width === 0 || img.height === 0) {
-                this.showToast('处理失败！', 'error');
-                this.displayImg.style.display = "inline-block";
+            const result = await this.getCurrentResult();
+            if (!result) return;
+
+            const file = new File([result.blob], result.name, { type: result.blob.type });
+            if (!navigator.canShare || !navigator.canShare({ files: [file] })) {
+                this.showToast('当前浏览器不支持分享该图片', 'error');
                 return;
             }
-            
-            const cvs = document.createElement("canvas");
-            const width = cvs.width = img.width;
-            const height = cvs.height = img.height;
-            const ctx = cvs.getContext("2d");
-            
-            // 使用白色背景处理透明度
-            ctx.fillStyle = "#ffffff";
-            ctx.fillRect(0, 0, width, height);
-            
-            ctx.drawImage(img, 0, 0);
-            
-            // 将图片转换为JPG格式
-            cvs.toBlob(b => {
-                this.setImageSrc(URL.createObjectURL(b));
-                this.showToast('图片已成功转换为JPG格式！', 'success');
-            }, "image/jpeg", 0.95);
+            await navigator.share({ files: [file], title: result.name });
+            this.showToast('分享成功！', 'success');
         } catch (error) {
-            this.showToast('转换失败！', 'error');
-            this.displayImg.style.display = "inline-block";
+            if (error.name === 'AbortError') {
+                this.showToast('已取消分享', 'info');
+                return;
+            }
+            console.error('分享失败:', error);
+            this.showToast('分享失败：' + error.message, 'error');
         }
     }
 
-    // 反相函数
-    invert(img) {
+    // 从 Blob 加载图片（不显示），超时或失败时拒绝
+    loadImage(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            const timeoutId = setTimeout(() => {
+                img.onload = img.onerror = null;
+                reject(new Error('图片加载超时'));
+            }, 10000);
+            img.onload = () => {
+                clearTimeout(timeoutId);
+                resolve(img);
+            };
+            img.onerror = () => {
+                clearTimeout(timeoutId);
+                URL.revokeObjectURL(url);
+                reject(new Error('图片加载失败'));
+            };
+            img.src = url;
+        });
+    }
+
+    // 加入批量处理队列，先按文件头识别格式，无效文件直接标记为失败
+    async addBatchFiles(files) {
+        for (const original of files) {
+            const file = await this.prepareImageFile(original, true);
+            const error = this.validateFile(file);
+            const exif = error ? null : await this.readFileExif(file);
+            this.batchItems.push({
+                file,
+                exif,
+                thumbUrl: error ? null : URL.createObjectURL(file),
+                status: error ? 'error' : 'pending',
+                message: error || '',
+                result: null,
+                resultName: null,
+                resultUrl: null
+            });
+        }
+        document.getElementById('batchSection').style.display = 'block';
+        this.renderBatchList();
+        this.showToast(`已加入 ${files.length} 个文件到批量处理`, 'info');
+    }
+
+    // 渲染批量处理列表
+    renderBatchList() {
+        const list = document.getElementById('batchList');
+        const statusText = { pending: '待处理', processing: '处理中...', done: '完成', error: '失败' };
+        list.innerHTML = '';
+
+        for (const item of this.batchItems) {
+            const li = document.createElement('li');
+            li.className = `batch-item ${item.status}`;
+
+            const thumb = document.createElement('img');
+            thumb.className = 'batch-thumb';
+            thumb.alt = '';
+            if (item.resultUrl || item.thumbUrl) {
+                thumb.src = item.resultUrl || item.thumbUrl;
+            }
+
+            const name = document.createElement('span');
+            name.className = 'batch-name';
+            name.textContent = item.resultName || item.file.name;
+            name.title = item.file.name;
+
+            const size = document.createElement('span');
+            size.className = 'batch-size';
+            size.textContent = this.formatFileSize(item.result ? item.result.size : item.file.size);
+
+            const status = document.createElement('span');
+            status.className = 'batch-status';
+            status.textContent = item.message ? `${statusText[item.status]}：${item.message}` : statusText[item.status];
+
+            li.append(thumb, name, size, status);
+            list.appendChild(li);
+        }
+
+        const doneCount = this.batchItems.filter(item => item.status === 'done').length;
+        document.getElementById('batchCount').textContent = `${doneCount} / ${this.batchItems.length}`;
+        document.getElementById('batchDownloadBtn').disabled = doneCount === 0;
+    }
+
+    // 结果文件名：原文件名 + 操作后缀 + 实际输出格式的扩展名
+    getResultName(fileName, operation, blob) {
+        const suffixes = { confuse: '_confused', deconfuse: '_restored', invert: '_inverted' };
+        const dot = fileName.lastIndexOf('.');
+        const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+        return `${base}${suffixes[operation] || ''}.${this.getBlobExtension(blob)}`;
+    }
+
+    // 依次处理队列中的文件，每个文件都从原始文件开始处理
+    async runBatch(operation) {
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+            return;
+        }
+        const items = this.batchItems.filter(item => item.thumbUrl);
+        if (items.length === 0) {
+            this.showToast('没有可处理的文件！', 'error');
+            return;
+        }
+
+        const handlers = {
+            confuse: img => this.confuseToBlob(img),
+            deconfuse: img => this.deconfuseToBlob(img),
+            invert: img => this.invertToBlob(img)
+        };
+
+        this.busy = true;
+        let succeeded = 0;
+        let cancelled = false;
         try {
-            // 检查图片尺寸是否有效
-            if (!img.width || !img.height || img.width === 0 || img.height === 0) {
-                this.showToast('处理失败！', 'error');
-                this.displayImg.style.display = "inline-block";
-                return;
+            for (const item of items) {
+                item.status = 'processing';
+                item.message = '';
+                this.renderBatchList();
+
+                let img = null;
+                try {
+                    img = (await this.createUprightImage(item.file)) || await this.loadImage(item.file);
+                    const { blob } = await handlers[operation](img);
+                    if (item.resultUrl) URL.revokeObjectURL(item.resultUrl);
+                    item.result = blob;
+                    item.resultUrl = URL.createObjectURL(blob);
+                    item.resultName = this.getResultName(item.file.name, operation, blob);
+                    item.status = 'done';
+                    succeeded++;
+                } catch (error) {
+                    if (error.name === 'AbortError') {
+                        item.status = 'pending';
+                        cancelled = true;
+                        break;
+                    }
+                    console.error(`批量处理失败: ${item.file.name}`, error);
+                    item.status = 'error';
+                    item.message = error.message || '处理失败';
+                } finally {
+                    if (img) URL.revokeObjectURL(img.src);
+                }
+                this.renderBatchList();
             }
-            
-            const cvs = document.createElement("canvas");
-            const width = cvs.width = img.width;
-            const height = cvs.height = img.height;
-            const ctx = cvs.getContext("2d");
-            
-            // 对于PNG等有透明度的图片，使用白色背景
-            ctx.fillStyle = "#ffffff";
-            ctx.fillRect(0, 0, width, height);
-            
-            ctx.drawImage(img, 0, 0);
-            const imgdata = ctx.getImageData(0, 0, width, height);
-            const data = imgdata.data;
-            
-            // 反相每个像素的RGB值
-            for (let i = 0; i < data.length; i += 4) {
-                data[i] = 255 - data[i];         // R
-                data[i + 1] = 255 - data[i + 1]; // G
-                data[i + 2] = 255 - data[i + 2]; // B
-                // Alpha 通道保持不变
+        } finally {
+            this.busy = false;
+            this.renderBatchList();
+        }
+
+        if (cancelled) {
+            this.showToast(`批量处理已取消，已完成 ${succeeded} 个`, 'info');
+            return;
+        }
+        this.showToast(`批量处理完成：成功 ${succeeded} / ${items.length}`, succeeded === items.length ? 'success' : 'warning');
+    }
+
+    // 将已完成的结果打包为 ZIP 下载
+    async downloadBatchZip() {
+        const done = this.batchItems.filter(item => item.status === 'done');
+        if (done.length === 0) {
+            this.showToast('还没有处理完成的文件！', 'error');
+            return;
+        }
+
+        try {
+            const entries = [];
+            for (const item of done) {
+                const blob = await this.sanitizeOutput(item.result, item.exif);
+                entries.push({
+                    name: item.resultName,
+                    data: new Uint8Array(await blob.arrayBuffer()),
+                    date: new Date()
+                });
             }
-            
-            ctx.putImageData(imgdata, 0, 0);
-            cvs.toBlob(b => {
-                this.setImageSrc(URL.createObjectURL(b));
-                this.showToast('图片反相完成！', 'success');
-            }, "image/jpeg", 0.95);
+            const zip = new Blob([createZip(entries)], { type: 'application/zip' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(zip);
+            link.download = `LX_IMG_Confusion_${Date.now()}.zip`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+            this.showToast(`已打包 ${done.length} 个文件`, 'success');
         } catch (error) {
-            this.showToast('反相失败！', 'error');
-            this.displayImg.style.display = "inline-block";
+            console.error('打包失败:', error);
+            this.showToast('打包失败：' + error.message, 'error');
         }
     }
 
+    // 清空批量处理队列
+    clearBatch() {
+        if (this.busy) {
+            this.showToast('正在处理中，请稍候或取消当前操作', 'warning');
+            return;
+        }
+        for (const item of this.batchItems) {
+            if (item.thumbUrl) URL.revokeObjectURL(item.thumbUrl);
+            if (item.resultUrl) URL.revokeObjectURL(item.resultUrl);
+        }
+        this.batchItems = [];
+        document.getElementById('batchSection').style.display = 'none';
+    }
+
     // 尝试修复图片
     attemptImageRepair(file) {
         console.log('开始修复图片，文件信息:', {
@@ -549,11 +3025,12 @@ class TomatoImageConfusion {
     }
 
     // 方法2: Blob修复
-    tryBlobRepair(file) {
+    async tryBlobRepair(file) {
         console.log('尝试Blob修复方法');
         try {
-            // 创建新的Blob对象
-            const blob = new Blob([file], { type: 'image/png' });
+            // 按文件头识别出的实际格式重新标记类型
+            const format = await this.sniffFormat(file);
+            const blob = new Blob([file], { type: format ? IMAGE_FORMATS[format].mime : (file.type || 'image/png') });
             const url = URL.createObjectURL(blob);
             
             const img = new Image();
@@ -581,29 +3058,17 @@ class TomatoImageConfusion {
                 const arrayBuffer = e.target.result;
                 console.log('ArrayBuffer长度:', arrayBuffer.byteLength);
                 
-                // 检查PNG文件头
+                // 按文件头识别实际格式并去掉包裹数据；PNG 和识别不了的数据按 PNG 数据块修复
                 const uint8Array = new Uint8Array(arrayBuffer);
-                const pngHeader = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
-                let isPng = true;
-                for (let i = 0; i < pngHeader.length; i++) {
-                    if (uint8Array[i] !== pngHeader[i]) {
-                        isPng = false;
-                        break;
-                    }
-                }
-                
-                if (!isPng) {
-                    console.log('PNG文件头检查失败，但文件可能仍然有效');
-                    console.log('实际文件头:', Array.from(uint8Array.slice(0, 8)).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
-                    console.log('期望文件头:', pngHeader.map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
-                    
-                    // 不要直接返回，尝试其他方法
-                    this.tryPngHeaderRepair(uint8Array, file);
+                const unwrapped = unwrapImage(uint8Array);
+                if (!unwrapped || unwrapped.format === 'png') {
+                    this.tryPngHeaderRepair(unwrapped ? unwrapped.bytes : uint8Array, file);
                     return;
                 }
-                
-                // 尝试修复PNG头部
-                this.tryPngHeaderRepair(uint8Array, file);
+                console.log(`识别为${unwrapped.label}格式:`, unwrapped.notes.join('；') || '无需整理');
+                this.loadImage(new Blob([unwrapped.bytes], { type: unwrapped.mime }))
+                    .then(img => this.processRepairedImage(img, file))
+                    .catch(() => this.tryLooseModeLoad(file));
             } catch (error) {
                 console.error('ArrayBuffer处理失败:', error);
                 this.showToast('图片修复失败！', 'error');
@@ -615,28 +3080,19 @@ class TomatoImageConfusion {
         reader.readAsArrayBuffer(file);
     }
 
-    // 方法4: PNG头部修复
-    tryPngHeaderRepair(uint8Array, file) {
-        console.log('尝试PNG头部修复');
+    // 方法4: PNG数据块修复
+    async tryPngHeaderRepair(uint8Array, file) {
+        console.log('尝试PNG数据块修复');
         try {
-            // 创建新的Blob，确保PNG头部正确
-            const fixedArray = new Uint8Array(uint8Array);
-            const blob = new Blob([fixedArray], { type: 'image/png' });
-            const url = URL.createObjectURL(blob);
-            
-            const img = new Image();
-            img.onload = () => {
-                console.log('PNG头部修复成功');
-                this.processRepairedImage(img, file);
-            };
-            img.onerror = () => {
-                console.log('PNG头部修复失败，尝试宽松模式');
-                this.tryLooseModeLoad(file);
-            };
-            img.src = url;
+            const result = await repairPng(uint8Array);
+            this.showPngDiagnostics(file, result);
+            if (!result.bytes) throw new Error('无法修复');
+            const img = await this.loadImage(new Blob([result.bytes], { type: 'image/png' }));
+            console.log('PNG数据块修复成功');
+            this.processRepairedImage(img, file);
         } catch (error) {
-            console.error('PNG头部修复失败:', error);
-            this.forceConvertToJPG(file);
+            console.log('PNG数据块修复失败，尝试宽松模式:', error);
+            this.tryLooseModeLoad(file);
         }
     }
 
@@ -656,8 +3112,8 @@ class TomatoImageConfusion {
             clearTimeout(timeoutId);
             console.log('宽松模式加载成功');
             this.originalImage = img;
-            this.setImageSrc(url);
-            this.updateImageInfo(file, img.width, img.height);
+            URL.revokeObjectURL(url);
+            this.resetHistory(file, img.width, img.height);
             // this.showToast('图片加载成功！', 'success');
         };
         
@@ -693,18 +3149,13 @@ class TomatoImageConfusion {
             canvas.height = img.height;
             ctx.drawImage(img, 0, 0);
             
-            canvas.toBlob((blob) => {
-                if (blob) {
-                    const jpgFile = new File([blob], 'force_converted.jpg', { type: 'image/jpeg' });
-                    this.currentFile = jpgFile;
-                    this.originalImage = img;
-                    this.setImageSrc(URL.createObjectURL(blob));
-                    this.updateImageInfo(jpgFile, img.width, img.height);
-                    this.showToast('强制转换成功！', 'success');
-                } else {
-                    this.showToast('所有修复方法都失败了', 'error');
-                }
-            }, 'image/jpeg', 0.8);
+            this.exportCanvas(canvas, (blob) => {
+                const convertedFile = new File([blob], 'force_converted.' + this.getBlobExtension(blob), { type: blob.type });
+                this.currentFile = convertedFile;
+                this.originalImage = img;
+                this.resetHistory(convertedFile, img.width, img.height);
+                this.showToast('强制转换成功！', 'success');
+            });
         };
         img.onerror = () => {
             this.showToast('图片严重损坏，无法修复', 'error');
@@ -737,19 +3188,14 @@ class TomatoImageConfusion {
             // 绘制到画布上
             ctx.drawImage(img, 0, 0);
             
-            // 转换为JPG格式
-            canvas.toBlob((blob) => {
-                if (blob) {
-                    const repairedFile = new File([blob], 'repaired.jpg', { type: 'image/jpeg' });
-                    this.currentFile = repairedFile;
-                    this.originalImage = img;
-                    this.setImageSrc(URL.createObjectURL(blob));
-                    this.updateImageInfo(repairedFile, img.width, img.height);
-                    this.showToast('图片修复成功！', 'success');
-                } else {
-                    this.showToast('图片修复失败！', 'error');
-                }
-            }, 'image/jpeg', 0.9);
+            // 按输出设置重新编码
+            this.exportCanvas(canvas, (blob) => {
+                const repairedFile = new File([blob], 'repaired.' + this.getBlobExtension(blob), { type: blob.type });
+                this.currentFile = repairedFile;
+                this.originalImage = img;
+                this.resetHistory(repairedFile, img.width, img.height);
+                this.showToast('图片修复成功！', 'success');
+            });
         } catch (error) {
             console.error('处理修复图片时出错:', error);
             this.showToast('图片修复失败！', 'error');
@@ -757,7 +3203,7 @@ class TomatoImageConfusion {
     }
 
     // 诊断文件问题
-    diagnoseFile(file) {
+    async diagnoseFile(file) {
         console.log('=== 文件诊断开始 ===');
         console.log('文件名:', file.name);
         console.log('文件大小:', file.size, 'bytes');
@@ -770,14 +3216,17 @@ class TomatoImageConfusion {
             return;
         }
         
-        // 检查MIME类型
-        const validTypes = ['image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp', 'image/bmp'];
-        if (!validTypes.includes(file.type)) {
-            this.showToast('文件类型不被支持！', 'error');
+        // 按文件头识别实际格式，不看 MIME 类型
+        const unwrapped = unwrapImage(new Uint8Array(await file.arrayBuffer()));
+        if (!unwrapped) {
+            this.showToast('无法识别的文件格式！', 'error');
+        } else {
+            console.log('实际格式:', unwrapped.label, unwrapped.notes.join('；'));
+            if (unwrapped.mime !== file.type) console.warn(`文件标记为 ${file.type || '未知类型'}，实际是 ${unwrapped.label}`);
         }
         
-        // 检查PNG文件头
-        if (file.type === 'image/png') {
+        // 检查PNG文件结构
+        if (unwrapped && unwrapped.format === 'png') {
             this.checkPngHeader(file);
         }
         
@@ -790,53 +3239,18 @@ class TomatoImageConfusion {
         console.log('💡 建议：尝试点击"宽松模式"按钮');
     }
 
-    // 检查PNG文件头
-    checkPngHeader(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const arrayBuffer = e.target.result;
-            const uint8Array = new Uint8Array(arrayBuffer);
-            
-            // PNG文件头: 89 50 4E 47 0D 0A 1A 0A
-            const pngSignature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
-            let isValidPng = true;
-            
-            for (let i = 0; i < pngSignature.length; i++) {
-                if (uint8Array[i] !== pngSignature[i]) {
-                    isValidPng = false;
-                    break;
-                }
-            }
-            
-            if (!isValidPng) {
-                console.error('PNG文件头无效！');
-                this.showToast('PNG文件头无效！', 'error');
-            } else {
-                console.log('PNG文件头有效');
-            }
-            
-            // 检查文件是否以IEND块结尾
-            const iendSignature = [0x49, 0x45, 0x4E, 0x44, 0xAE, 0x42, 0x60, 0x82];
-            const fileEnd = uint8Array.slice(-8);
-            let hasValidEnd = true;
-            
-            for (let i = 0; i < iendSignature.length; i++) {
-                if (fileEnd[i] !== iendSignature[i]) {
-                    hasValidEnd = false;
-                    break;
-                }
-            }
-            
-            if (!hasValidEnd) {
-                console.warn('PNG文件可能不完整（缺少IEND块）');
-                // 不再显示提示
-            }
-        };
-        reader.readAsArrayBuffer(file.slice(0, 100)); // 只读取前100字节
+    // 检查PNG文件结构：逐个数据块检查并显示诊断结果，不改动当前图片
+    async checkPngHeader(file) {
+        try {
+            const result = await repairPng(new Uint8Array(await file.arrayBuffer()));
+            this.showPngDiagnostics(file, result);
+        } catch (error) {
+            console.error('PNG检查失败:', error);
+        }
     }
 
     // 转换为JPG格式
-    convertToJPG() {
+    async convertToJPG() {
         if (!this.displayImg.src) {
             this.showToast('请先选择一张图片！', 'error');
             return;
@@ -847,7 +3261,7 @@ class TomatoImageConfusion {
         try {
             const canvas = document.createElement('canvas');
             const ctx = canvas.getContext('2d');
-            const img = this.displayImg;
+            const img = await this.getUprightImage(this.displayImg);
             
             canvas.width = img.naturalWidth || img.width;
             canvas.height = img.naturalHeight || img.height;
@@ -856,162 +3270,96 @@ class TomatoImageConfusion {
             ctx.drawImage(img, 0, 0);
             
             // 转换为JPG
-            canvas.toBlob((blob) => {
-                if (blob) {
-                    const jpgFile = new File([blob], 'converted.jpg', { type: 'image/jpeg' });
-                    this.currentFile = jpgFile;
-                    this.setImageSrc(URL.createObjectURL(blob));
-                    this.updateImageInfo(jpgFile, canvas.width, canvas.height);
-                    this.showToast('图片已转换为JPG格式！', 'success');
-                } else {
-                    this.showToast('转换失败！', 'error');
-                }
-            }, 'image/jpeg', 0.95);
+            // 只记入历史，currentFile 仍是载入的原图，保存时的文件名和 EXIF 都以它为准
+            this.exportCanvas(canvas, (blob) => {
+                this.pushHistory(blob, canvas.width, canvas.height, '已转换', this.lastOperation);
+                this.showToast('图片已转换为JPG格式！', 'success');
+            }, 'jpeg');
         } catch (error) {
             this.showToast('转换失败！', 'error');
         }
     }
 
-    // 修复PNG文件头
-    fixPngHeader(file) {
+    // ===== PNG 数据块修复与诊断 =====
+
+    // 逐个数据块检查并修复 PNG，显示诊断结果；修复后的图片能解码时载入
+    async repairPngFile(file) {
         if (!file) {
             this.showToast('请先选择一张图片！', 'error');
             return;
         }
 
-        console.log('开始修复PNG文件头');
-        
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const arrayBuffer = e.target.result;
-                const uint8Array = new Uint8Array(arrayBuffer);
-                
-                console.log('原始文件头:', Array.from(uint8Array.slice(0, 8)).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
-                
-                // 创建修复后的数组
-                const fixedArray = new Uint8Array(arrayBuffer.length + 8);
-                
-                // 添加标准PNG文件头: 89 50 4E 47 0D 0A 1A 0A
-                const pngHeader = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
-                for (let i = 0; i < pngHeader.length; i++) {
-                    fixedArray[i] = pngHeader[i];
-                }
-                
-                // 复制原始数据（跳过可能存在的错误头部）
-                let startIndex = 0;
-                
-                // 检查是否已经有PNG头部
-                const existingHeader = Array.from(uint8Array.slice(0, 8));
-                const isPngHeader = existingHeader[0] === 0x89 && existingHeader[1] === 0x50;
-                
-                if (isPngHeader) {
-                    console.log('文件已有PNG头部，尝试其他修复方法');
-                    this.tryAlternativePngFix(uint8Array, file);
-                    return;
-                }
-                
-                // 查找IHDR块开始位置
-                const ihdrPattern = [0x49, 0x48, 0x44, 0x52]; // "IHDR"
-                let ihdrIndex = -1;
-                
-                for (let i = 0; i < uint8Array.length - 4; i++) {
-                    if (uint8Array[i] === ihdrPattern[0] && 
-                        uint8Array[i+1] === ihdrPattern[1] && 
-                        uint8Array[i+2] === ihdrPattern[2] && 
-                        uint8Array[i+3] === ihdrPattern[3]) {
-                        ihdrIndex = i;
-                        break;
-                    }
-                }
-                
-                if (ihdrIndex > 0) {
-                    console.log('找到IHDR块，位置:', ihdrIndex);
-                    startIndex = ihdrIndex - 8; // IHDR前8字节是长度和类型
-                } else {
-                    console.log('未找到IHDR块，使用原始数据');
-                    startIndex = 0;
-                }
-                
-                // 复制数据
-                for (let i = startIndex; i < uint8Array.length; i++) {
-                    fixedArray[8 + (i - startIndex)] = uint8Array[i];
-                }
-                
-                console.log('修复后文件头:', Array.from(fixedArray.slice(0, 8)).map(b => '0x' + b.toString(16).padStart(2, '0')).join(' '));
-                
-                // 创建修复后的文件
-                const fixedBlob = new Blob([fixedArray], { type: 'image/png' });
-                const fixedFile = new File([fixedBlob], 'fixed_header.png', { type: 'image/png' });
-                
-                // 尝试加载修复后的文件
-                const img = new Image();
-                img.onload = () => {
-                    console.log('PNG文件头修复成功！');
-                    this.currentFile = fixedFile;
-                    this.originalImage = img;
-                    this.setImageSrc(URL.createObjectURL(fixedBlob));
-                    this.updateImageInfo(fixedFile, img.width, img.height);
-                    this.showToast('PNG文件头修复成功！', 'success');
-                };
-                img.onerror = (error) => {
-                    console.error('修复后文件仍无法加载:', error);
-                    this.tryAlternativePngFix(uint8Array, file);
-                };
-                img.src = URL.createObjectURL(fixedBlob);
-                
-            } catch (error) {
-                console.error('PNG文件头修复失败:', error);
-                this.showToast('文件头修复失败！', 'error');
-            }
-        };
-        reader.onerror = () => {
-            this.showToast('文件读取失败！', 'error');
-        };
-        reader.readAsArrayBuffer(file);
-    }
+        let result;
+        try {
+            result = await repairPng(new Uint8Array(await file.arrayBuffer()));
+        } catch (error) {
+            console.error('PNG修复失败:', error);
+            this.showToast('PNG修复失败：' + error.message, 'error');
+            return;
+        }
+        this.showPngDiagnostics(file, result);
 
-    // 尝试其他PNG修复方法
-    tryAlternativePngFix(uint8Array, file) {
-        console.log('尝试其他PNG修复方法');
-        
+        if (!result.bytes) {
+            this.showToast('PNG文件损坏严重，无法修复', 'error');
+            return;
+        }
+        if (!result.changed) {
+            this.showToast('PNG文件结构完好，浏览器仍无法解码，可能是不支持的格式', 'warning', 5000);
+            return;
+        }
+
+        const name = (file.name || 'image').replace(/\.[^.]*$/, '') + '_repaired.png';
+        const repairedFile = new File([result.bytes], name, { type: 'image/png' });
         try {
-            // 方法1: 直接添加PNG头部
-            const pngHeader = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
-            const fixedArray = new Uint8Array(pngHeader.length + uint8Array.length);
-            
-            // 添加PNG头部
-            for (let i = 0; i < pngHeader.length; i++) {
-                fixedArray[i] = pngHeader[i];
-            }
-            
-            // 添加原始数据
-            for (let i = 0; i < uint8Array.length; i++) {
-                fixedArray[pngHeader.length + i] = uint8Array[i];
-            }
-            
-            const fixedBlob = new Blob([fixedArray], { type: 'image/png' });
-            const fixedFile = new File([fixedBlob], 'alternative_fixed.png', { type: 'image/png' });
-            
-            const img = new Image();
-            img.onload = () => {
-                console.log('替代方法修复成功！');
-                this.currentFile = fixedFile;
-                this.originalImage = img;
-                this.setImageSrc(URL.createObjectURL(fixedBlob));
-                this.updateImageInfo(fixedFile, img.width, img.height);
-                this.showToast('PNG文件修复成功！', 'success');
-            };
-            img.onerror = () => {
-                console.log('替代方法也失败，尝试转换为JPG');
-                this.forceConvertToJPG(file);
-            };
-            img.src = URL.createObjectURL(fixedBlob);
-            
+            const img = await this.loadImage(repairedFile);
+            this.currentFile = repairedFile;
+            this.originalImage = img;
+            this.resetHistory(repairedFile, img.width, img.height);
+            this.showToast('PNG文件已修复，详见诊断结果', 'success');
         } catch (error) {
-            console.error('替代修复方法失败:', error);
-            this.showToast('所有修复方法都失败了！', 'error');
+            console.error('修复后的PNG仍无法加载:', error);
+            this.showToast('已按数据块修复，但浏览器仍无法解码该图片', 'error');
+        }
+    }
+
+    // 在诊断面板中列出每个数据块的检查结果
+    showPngDiagnostics(file, { header, findings, changed, bytes }) {
+        const labels = { ok: '✔ 正常', fixed: '🔧 已修复', dropped: '🗑️ 已丢弃', error: '✖ 错误' };
+        const list = document.getElementById('diagnosticsList');
+        list.innerHTML = '';
+        for (const finding of findings) {
+            const row = document.createElement('tr');
+            row.className = `diagnostics-${finding.status}`;
+            const cells = [
+                finding.offset === null ? '—' : finding.offset,
+                finding.type,
+                finding.length,
+                labels[finding.status],
+                finding.message
+            ];
+            for (const value of cells) {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            }
+            list.appendChild(row);
         }
+
+        const problems = findings.filter(finding => finding.status !== 'ok').length;
+        const size = header ? `${header.width} × ${header.height}，` : '';
+        document.getElementById('diagnosticsSummary').textContent = !bytes
+            ? `${file.name}：无法修复。`
+            : changed
+                ? `${file.name}：${size}发现 ${problems} 处问题，已修复（${this.formatFileSize(file.size)} → ${this.formatFileSize(bytes.length)}）。`
+                : `${file.name}：${size}所有数据块正常。`;
+        const section = document.getElementById('diagnosticsSection');
+        section.style.display = 'block';
+        section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    closePngDiagnostics() {
+        document.getElementById('diagnosticsList').innerHTML = '';
+        document.getElementById('diagnosticsSection').style.display = 'none';
     }
 
 }
@@ -0,0 +1,236 @@
+// 动图测试：GIF / APNG 编解码，逐帧混淆后解混淆与原动图逐帧一致
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const core = require('../core.js');
+const animation = require('../animation.js');
+const { decodePng, encodePng, crc32 } = require('../png.js');
+
+function randomBytes(length, seed, range = 256) {
+    const bytes = new Uint8Array(length);
+    let state = seed >>> 0;
+    for (let i = 0; i < length; i++) {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        bytes[i] = (state >>> 24) % range;
+    }
+    return bytes;
+}
+
+// 三帧：全尺寸帧、带局部调色板和透明色的局部帧、没有图形控制扩展的帧
+function sampleGif() {
+    return {
+        format: 'gif',
+        width: 40,
+        height: 30,
+        flags: 0xF7,
+        backgroundIndex: 3,
+        aspect: 0,
+        globalPalette: randomBytes(768, 1),
+        loopCount: 0,
+        comments: [],
+        frames: [
+            {
+                x: 0, y: 0, width: 40, height: 30, flags: 0, palette: null, minCodeSize: 8,
+                control: { disposal: 1, userInput: false, transparentIndex: null, delay: 10 },
+                indices: randomBytes(40 * 30, 2)
+            },
+            {
+                x: 5, y: 7, width: 17, height: 11, flags: 0x81, palette: randomBytes(12, 3), minCodeSize: 2,
+                control: { disposal: 2, userInput: false, transparentIndex: 3, delay: 25 },
+                indices: randomBytes(17 * 11, 4, 4)
+            },
+            {
+                x: 1, y: 2, width: 9, height: 13, flags: 0, palette: null, minCodeSize: 8, control: null,
+                indices: randomBytes(9 * 13, 5)
+            }
+        ]
+    };
+}
+
+function frameSummary(decoded) {
+    return decoded.frames.map(frame => ({
+        x: frame.x, y: frame.y, width: frame.width, height: frame.height,
+        palette: frame.palette && Array.from(frame.palette),
+        control: frame.control,
+        indices: Array.from(frame.indices)
+    }));
+}
+
+test('LZW 编码后解码一致（含码表写满后的清除）', () => {
+    const cases = [
+        [randomBytes(200 * 200, 7), 8],
+        [randomBytes(5000, 8, 4), 2],
+        [Uint8Array.from({ length: 9000 }, (_, i) => Math.floor(i / 300) % 16), 4],
+        [new Uint8Array([5]), 3]
+    ];
+    for (const [indices, minCodeSize] of cases) {
+        const encoded = animation.lzwEncode(indices, minCodeSize);
+        assert.deepStrictEqual(animation.lzwDecode(encoded, minCodeSize, indices.length), indices);
+    }
+});
+
+test('GIF 编码后解码保留帧、延时、处置方式和循环次数', () => {
+    const gif = sampleGif();
+    const bytes = animation.encodeGif(gif, 'hello');
+    const decoded = animation.decodeGif(bytes);
+    assert.deepStrictEqual(frameSummary(decoded), frameSummary(gif));
+    assert.strictEqual(decoded.loopCount, 0);
+    assert.strictEqual(decoded.backgroundIndex, 3);
+    assert.deepStrictEqual(decoded.comments, ['hello']);
+    assert.strictEqual(animation.detectAnimation(bytes), 'gif');
+    assert.strictEqual(animation.detectAnimation(animation.encodeGif({ ...gif, frames: gif.frames.slice(0, 1) })), null);
+});
+
+test('隔行扫描的 GIF 帧按正确的行顺序解码', () => {
+    const width = 6, height = 11;
+    const indices = randomBytes(width * height, 9, 16);
+    // 按隔行顺序排列各行后编码，再在图像描述符中打开隔行标志
+    const rows = [];
+    for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+        for (let y = start; y < height; y += step) rows.push(indices.subarray(y * width, (y + 1) * width));
+    }
+    const interlaced = new Uint8Array(width * height);
+    rows.forEach((row, i) => interlaced.set(row, i * width));
+    const bytes = animation.encodeGif({
+        format: 'gif', width, height, flags: 0, backgroundIndex: 0, aspect: 0, globalPalette: null, loopCount: null,
+        frames: [{ x: 0, y: 0, width, height, flags: 0x83, palette: randomBytes(48, 10), minCodeSize: 4, control: null, indices: interlaced }]
+    });
+    bytes[22] |= 0x40;
+    assert.deepStrictEqual(animation.decodeGif(bytes).frames[0].indices, indices);
+});
+
+test('GIF 逐帧混淆写入记录，解混淆按记录还原每一帧', async () => {
+    const original = animation.encodeGif(sampleGif());
+    const keyWords = await core.deriveKeyWords('gif');
+    for (const params of [
+        { algorithm: 'gilbert', keyWords: null },
+        { algorithm: 'hilbert', keyWords, keyFingerprint: await core.keyFingerprint(keyWords) },
+        { algorithm: 'block', blockSize: 4, strength: 2, keyWords: null },
+        { algorithm: 'md5-pixel', compatKey: '', keyWords: null }
+    ]) {
+        // 补边、区域和高强度模式对动图不生效
+        const confused = await animation.processAnimation(original, { ...params, padTo: 16, strong: true }, false);
+        assert.strictEqual(confused.mime, 'image/gif');
+        const record = animation.readAnimationRecord(confused.bytes);
+        assert.strictEqual(record.animation, 'gif');
+        assert.strictEqual(record.frames, 3);
+        assert.strictEqual(record.offset, undefined);
+        assert.strictEqual(record.strong, undefined);
+
+        const confusedFrames = animation.decodeGif(confused.bytes);
+        assert.notDeepStrictEqual(confusedFrames.frames[0].indices, sampleGif().frames[0].indices, params.algorithm);
+        assert.deepStrictEqual(confusedFrames.frames.map(f => f.control), sampleGif().frames.map(f => f.control));
+
+        const restored = await animation.processAnimation(confused.bytes, params, true);
+        assert.deepStrictEqual(frameSummary(animation.decodeGif(restored.bytes)), frameSummary(sampleGif()), params.algorithm);
+    }
+});
+
+function chunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const out = Buffer.alloc(body.length + 8);
+    out.writeUInt32BE(data.length, 0);
+    body.copy(out, 4);
+    out.writeUInt32BE(crc32(body), body.length + 4);
+    return out;
+}
+
+function frameControl(sequence, width, height, x, y, delay, dispose, blend) {
+    const data = Buffer.alloc(26);
+    data.writeUInt32BE(sequence, 0);
+    data.writeUInt32BE(width, 4);
+    data.writeUInt32BE(height, 8);
+    data.writeUInt32BE(x, 12);
+    data.writeUInt32BE(y, 16);
+    data.writeUInt16BE(delay, 20);
+    data.writeUInt16BE(100, 22);
+    data[24] = dispose;
+    data[25] = blend;
+    return chunk('fcTL', data);
+}
+
+// 不滤波的图像数据，rowBytes 为每行字节数
+function imageData(width, height, rowBytes, seed) {
+    const rows = randomBytes(rowBytes * height, seed);
+    const raw = Buffer.alloc((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) Buffer.from(rows.subarray(y * rowBytes, (y + 1) * rowBytes)).copy(raw, y * (rowBytes + 1) + 1);
+    return zlib.deflateSync(raw);
+}
+
+function buildApng({ width, height, bitDepth, colorType, extra = [], bytesPerRow, hiddenDefault }) {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = bitDepth;
+    ihdr[9] = colorType;
+    const actl = Buffer.alloc(8);
+    actl.writeUInt32BE(hiddenDefault ? 2 : 3, 0);
+    actl.writeUInt32BE(2, 4);
+
+    const partial = imageData(7, 5, bytesPerRow(7), 12);
+    const parts = [
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', ihdr),
+        chunk('acTL', actl),
+        ...extra
+    ];
+    let sequence = 0;
+    if (!hiddenDefault) parts.push(frameControl(sequence++, width, height, 0, 0, 10, 0, 0));
+    parts.push(chunk('IDAT', imageData(width, height, bytesPerRow(width), 11)));
+    parts.push(frameControl(sequence++, 7, 5, 3, 4, 20, 1, 1));
+    // 一帧的数据拆成两个 fdAT
+    for (const piece of [partial.subarray(0, 10), partial.subarray(10)]) {
+        const seq = Buffer.alloc(4);
+        seq.writeUInt32BE(sequence++, 0);
+        parts.push(chunk('fdAT', Buffer.concat([seq, piece])));
+    }
+    parts.push(frameControl(sequence++, width, height, 0, 0, 30, 2, 0));
+    const seq = Buffer.alloc(4);
+    seq.writeUInt32BE(sequence++, 0);
+    parts.push(chunk('fdAT', Buffer.concat([seq, imageData(width, height, bytesPerRow(width), 13)])));
+    parts.push(chunk('IEND', Buffer.alloc(0)));
+    return new Uint8Array(Buffer.concat(parts));
+}
+
+function apngSummary(decoded) {
+    return decoded.frames.map(frame => ({
+        control: frame.control && Array.from(frame.control.subarray(4)),
+        fromIdat: frame.fromIdat,
+        pixels: Array.from(frame.pixels)
+    }));
+}
+
+test('APNG 逐帧混淆后解混淆还原（RGBA 8 位、16 位和 2 位调色板）', async () => {
+    const cases = [
+        { width: 20, height: 16, bitDepth: 8, colorType: 6, bytesPerRow: w => w * 4 },
+        { width: 11, height: 9, bitDepth: 16, colorType: 2, bytesPerRow: w => w * 6 },
+        {
+            width: 13, height: 10, bitDepth: 2, colorType: 3, bytesPerRow: w => Math.ceil(w / 4), hiddenDefault: true,
+            extra: [chunk('PLTE', Buffer.from(randomBytes(12, 20)))]
+        }
+    ];
+    for (const options of cases) {
+        const original = buildApng(options);
+        assert.strictEqual(animation.detectAnimation(original), 'apng');
+        const expected = apngSummary(await animation.decodeAnimation(original));
+        assert.strictEqual(expected.length, 3);
+
+        const params = { algorithm: 'gilbert', keyWords: null };
+        const confused = await animation.processAnimation(original, params, false);
+        assert.strictEqual(confused.mime, 'image/png');
+        assert.strictEqual(animation.readAnimationRecord(confused.bytes).animation, 'apng');
+        // 输出仍是合法 PNG（浏览器不支持 APNG 时显示默认图像）
+        const still = decodePng(confused.bytes);
+        assert.deepStrictEqual([still.width, still.height], [options.width, options.height]);
+        assert.notDeepStrictEqual(apngSummary(await animation.decodeAnimation(confused.bytes)), expected);
+
+        const restored = await animation.processAnimation(confused.bytes, params, true);
+        assert.deepStrictEqual(apngSummary(await animation.decodeAnimation(restored.bytes)), expected, `${options.colorType}/${options.bitDepth}`);
+        assert.strictEqual(animation.readAnimationRecord(restored.bytes), null);
+    }
+});
+
+test('静态 PNG 不是动图', () => {
+    const png = encodePng({ width: 2, height: 2, data: new Uint8ClampedArray(16).fill(255) });
+    assert.strictEqual(animation.detectAnimation(new Uint8Array(png)), null);
+});
@@ -0,0 +1,89 @@
+// 共用字节工具测试：字节拼接与读写、PNG 数据块读写和 CRC、JPEG 段、WebP 块和 GIF 块遍历、扫描线滤波与还原
+const test = require('node:test');
+const assert = require('node:assert');
+const bytes = require('../bytes.js');
+const { encodePng } = require('../png.js');
+
+test('ByteBuilder 按顺序拼接，数值按各自的字节序写入', () => {
+    const built = new bytes.ByteBuilder().ascii('AB').byte(1, 2).u16le(0x0304).u32be(0x05060708).bytes(Uint8Array.of(9)).toBytes();
+    assert.deepStrictEqual([...built], [65, 66, 1, 2, 4, 3, 5, 6, 7, 8, 9]);
+    assert.strictEqual(bytes.readAscii(built, 0, 2), 'AB');
+    assert.strictEqual(bytes.readAscii(built, 10, 5), '\t');
+    assert.strictEqual(bytes.readUint32be(built, 6), 0x05060708);
+    assert.strictEqual(bytes.readUint32le(built, 6), 0x08070605);
+});
+
+test('生成的数据块能被读回，CRC 正确', () => {
+    const chunk = bytes.createPngChunk('tEXt', bytes.asciiBytes('a\0b'));
+    // 空 IEND 块的 CRC 是固定值
+    assert.deepStrictEqual([...bytes.createPngChunk('IEND', new Uint8Array(0))], [0, 0, 0, 0, 73, 69, 78, 68, 0xAE, 0x42, 0x60, 0x82]);
+
+    const png = bytes.concatBytes([bytes.PNG_SIGNATURE, chunk, bytes.createPngChunk('IEND', new Uint8Array(0)), Uint8Array.of(1, 2)]);
+    assert.ok(bytes.hasPngSignature(png));
+    const chunks = bytes.pngChunks(png);
+    assert.deepStrictEqual(chunks.map(c => [c.type, c.start, c.end]), [['tEXt', 8, 23], ['IEND', 23, 35]]);
+    assert.ok(chunks.every(c => bytes.pngChunkCrcMatches(png, c)));
+    assert.strictEqual(bytes.readAscii(chunks[0].data, 0, 3), 'a\0b');
+});
+
+test('超出文件末尾的数据块标记为截断并停止读取', () => {
+    const png = encodePng({ width: 2, height: 2, data: new Uint8ClampedArray(16) });
+    const chunks = bytes.pngChunks(png.subarray(0, png.length - 20));
+    const last = chunks[chunks.length - 1];
+    assert.strictEqual(last.type, 'IDAT');
+    assert.strictEqual(last.truncated, true);
+    assert.ok(!bytes.hasPngSignature(png, 1));
+});
+
+test('JPEG 段遍历跳过填充字节并在图像数据前停止', () => {
+    const jpeg = Uint8Array.of(0xFF, 0xD8, 0xFF, 0xE0, 0, 4, 1, 2, 0xFF, 0xFF, 0xFE, 0, 3, 65, 0xFF, 0xDA, 0, 2, 0xFF, 0xFE, 0, 2);
+    const segments = bytes.jpegSegments(jpeg);
+    assert.deepStrictEqual(segments.map(s => [s.marker, s.start, s.end]), [[0xE0, 2, 8], [0xFE, 9, 14]]);
+    assert.strictEqual(bytes.readAscii(segments[1].payload, 0, 1), 'A');
+});
+
+test('WebP 块遍历包含奇数长度的补齐字节', () => {
+    const webp = new bytes.ByteBuilder().ascii('RIFF').byte(0, 0, 0, 0).ascii('WEBP')
+        .ascii('EXIF').byte(3, 0, 0, 0, 1, 2, 3, 0)
+        .ascii('LXCF').byte(2, 0, 0, 0, 7, 8).toBytes();
+    const chunks = bytes.webpChunks(webp);
+    assert.deepStrictEqual(chunks.map(c => [c.fourcc, c.start, c.end]), [['EXIF', 12, 24], ['LXCF', 24, 34]]);
+    assert.deepStrictEqual([...chunks[0].data], [1, 2, 3]);
+});
+
+test('GIF 块遍历拼接扩展块的子块，截断的块标记为截断', () => {
+    const gif = new bytes.ByteBuilder().ascii('GIF89a').byte(1, 0, 1, 0, 0x80, 0, 0).byte(0, 0, 0, 9, 9, 9)
+        .byte(0x21, 0xFE, 2).ascii('ab').byte(1).ascii('c').byte(0)
+        .byte(0x2C, 0, 0, 0, 0, 1, 0, 1, 0, 0, 2, 1, 0x44, 0)
+        .byte(0x3B).ascii('tail').toBytes();
+    const blocks = bytes.gifBlocks(gif);
+    assert.deepStrictEqual(blocks.map(b => [b.type, b.label, b.start, b.end]), [
+        ['header', undefined, 0, 19], ['extension', 0xFE, 19, 27], ['image', null, 27, 41], ['trailer', undefined, 41, 42]
+    ]);
+    assert.strictEqual(bytes.readAscii(blocks[1].data, 0, 3), 'abc');
+
+    const truncated = bytes.gifBlocks(gif.subarray(0, 24));
+    assert.deepStrictEqual(truncated.map(b => [b.type, b.end, !!b.truncated]), [['header', 19, false], ['extension', 24, true]]);
+});
+
+test('每种滤波都能还原，逐行选出的滤波类型有效', () => {
+    for (const bpp of [1, 3, 4, 8]) {
+        const rowBytes = bpp * 7;
+        const height = 6;
+        const rows = new Uint8Array(rowBytes * height);
+        for (let i = 0; i < rows.length; i++) rows[i] = (i * 31 + (i >> 3) * 7) & 0xFF;
+        const filtered = bytes.filterScanlines(rows, rowBytes, height, bpp);
+        assert.strictEqual(filtered.length, (rowBytes + 1) * height);
+
+        let prev = null;
+        for (let y = 0; y < height; y++) {
+            const filter = filtered[y * (rowBytes + 1)];
+            assert.ok(filter <= 4);
+            const row = filtered.slice(y * (rowBytes + 1) + 1, (y + 1) * (rowBytes + 1));
+            bytes.unfilterScanline(filter, row, prev, bpp);
+            assert.deepStrictEqual(row, rows.subarray(y * rowBytes, (y + 1) * rowBytes), `bpp ${bpp} 第 ${y} 行`);
+            prev = row;
+        }
+    }
+    assert.throws(() => bytes.unfilterScanline(5, new Uint8Array(4), null, 1), /未知的PNG滤波类型/);
+});
@@ -0,0 +1,215 @@
+// 命令行测试：在临时目录中处理文件和目录
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('../core.js');
+const { main } = require('../cli.js');
+const animation = require('../animation.js');
+const { decodePng, encodePng } = require('../png.js');
+
+function writeTestPng(filePath, width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = (i * 7 + (i >> 5)) & 0xFF;
+    }
+    fs.writeFileSync(filePath, encodePng({ width, height, data }));
+    return data;
+}
+
+// 运行期间屏蔽命令行输出
+async function run(args) {
+    const { log, warn, error } = console;
+    console.log = console.warn = console.error = () => {};
+    try {
+        return await main(args);
+    } finally {
+        Object.assign(console, { log, warn, error });
+    }
+}
+
+test('单个文件混淆后解混淆还原，并写入混淆记录', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lx-cli-'));
+    try {
+        const input = path.join(dir, 'photo.png');
+        const original = writeTestPng(input, 37, 21);
+
+        assert.strictEqual(await run(['confuse', input, '--key', 'abc']), 0);
+        const confusedPath = path.join(dir, 'photo_confused.png');
+        const confused = decodePng(fs.readFileSync(confusedPath));
+        const record = JSON.parse(confused.text.LXConfusion);
+        assert.strictEqual(record.algorithm, 'gilbert');
+        assert.match(record.key, /^[0-9a-f]{8}$/);
+
+        // 记录中带密钥指纹，未提供密钥时应失败
+        assert.strictEqual(await run(['deconfuse', confusedPath]), 1);
+
+        assert.strictEqual(await run(['deconfuse', confusedPath, '--key', 'abc']), 0);
+        const restored = decodePng(fs.readFileSync(path.join(dir, 'photo_confused_restored.png')));
+        assert.deepStrictEqual(restored.data, original);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('目录批量处理，解混淆时按记录切换算法', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lx-cli-'));
+    try {
+        const inputDir = path.join(dir, 'in');
+        fs.mkdirSync(inputDir);
+        const originals = {
+            'a.png': writeTestPng(path.join(inputDir, 'a.png'), 64, 48),
+            'b.png': writeTestPng(path.join(inputDir, 'b.png'), 33, 70)
+        };
+        fs.writeFileSync(path.join(inputDir, 'notes.txt'), 'skip');
+
+        const confusedDir = path.join(dir, 'confused');
+        assert.strictEqual(await run(['confuse', inputDir, confusedDir, '--algorithm', 'block', '--block-size', '8', '--strength', '2']), 0);
+        assert.deepStrictEqual(fs.readdirSync(confusedDir).sort(), ['a.png', 'b.png']);
+
+        // 未指定 --algorithm，依靠记录选择区块打乱
+        assert.strictEqual(await run(['deconfuse', confusedDir]), 0);
+        for (const [name, data] of Object.entries(originals)) {
+            const restored = decodePng(fs.readFileSync(path.join(dir, 'confused_restored', name)));
+            assert.deepStrictEqual(restored.data, data, name);
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('解混淆时按记录选择曲线', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lx-cli-'));
+    try {
+        const input = path.join(dir, 'p.png');
+        const original = writeTestPng(input, 50, 30);
+        assert.strictEqual(await run(['confuse', input, '--algorithm', 'peano']), 0);
+        const confusedPath = path.join(dir, 'p_confused.png');
+        assert.strictEqual(JSON.parse(decodePng(fs.readFileSync(confusedPath)).text.LXConfusion).algorithm, 'peano');
+        assert.strictEqual(await run(['deconfuse', confusedPath]), 0);
+        assert.deepStrictEqual(decodePng(fs.readFileSync(path.join(dir, 'p_confused_restored.png'))).data, original);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('--pad 补边混淆，解混淆时裁剪回原尺寸', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lx-cli-'));
+    try {
+        const input = path.join(dir, 'pad.png');
+        const original = writeTestPng(input, 45, 29);
+        assert.strictEqual(await run(['confuse', input, '--pad', '16']), 0);
+        const confused = decodePng(fs.readFileSync(path.join(dir, 'pad_confused.png')));
+        assert.deepStrictEqual([confused.width, confused.height], [48, 32]);
+        assert.strictEqual(await run(['deconfuse', path.join(dir, 'pad_confused.png')]), 0);
+        const restored = decodePng(fs.readFileSync(path.join(dir, 'pad_confused_restored.png')));
+        assert.deepStrictEqual([restored.width, restored.height], [45, 29]);
+        assert.deepStrictEqual(restored.data, original);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('参数错误时报错', async () => {
+    await assert.rejects(main(['confuse', 'x.png', '--algorithm', 'foo']), /未知算法/);
+    await assert.rejects(main(['shuffle', 'x.png']), /未知操作/);
+});
+
+test('recover 输出按连贯度排序的候选结果', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lx-cli-'));
+    try {
+        // 平滑图案混淆后缩小一半，模拟被平台压缩
+        const data = new Uint8ClampedArray(80 * 60 * 4);
+        for (let i = 0; i < data.length; i += 4) {
+            const x = (i / 4) % 80, y = Math.floor(i / 320);
+            data.set([x * 3, y * 4, (x + y) * 2, 255], i);
+        }
+        const params = { algorithm: 'gilbert', keyWords: null };
+        const confused = core.confuseImageData({ width: 80, height: 60, data }, params);
+        const input = path.join(dir, 'small.png');
+        fs.writeFileSync(input, encodePng(core.resizeImageData(confused, 40, 30)));
+
+        assert.strictEqual(await run(['recover', input, '--long-edge', '80']), 0);
+        const outputs = fs.readdirSync(dir).filter(name => name.startsWith('small_recovered_')).sort();
+        assert.strictEqual(outputs.length, 3);
+        assert.ok(outputs.includes('small_recovered_80x60.png'));
+        const restored = decodePng(fs.readFileSync(path.join(dir, 'small_recovered_80x60.png')));
+        assert.deepStrictEqual([restored.width, restored.height], [80, 60]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('--region 只混淆指定区域，解混淆按记录还原', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lx-cli-'));
+    try {
+        const input = path.join(dir, 'shot.png');
+        const original = writeTestPng(input, 50, 40);
+
+        assert.strictEqual(await run(['confuse', input, '--region', '5,5,20,10', '--region', '30,20,30,30']), 0);
+        const confused = decodePng(fs.readFileSync(path.join(dir, 'shot_confused.png')));
+        assert.deepStrictEqual(JSON.parse(confused.text.LXConfusion).regions, [[5, 5, 20, 10], [30, 20, 20, 20]]);
+        assert.deepStrictEqual(confused.data.subarray(0, 4 * 50), original.subarray(0, 4 * 50));
+
+        assert.strictEqual(await run(['deconfuse', path.join(dir, 'shot_confused.png')]), 0);
+        const restored = decodePng(fs.readFileSync(path.join(dir, 'shot_confused_restored.png')));
+        assert.deepStrictEqual(restored.data, original);
+        await assert.rejects(main(['confuse', input, '--region', '1,2,3']), /--region/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('--strong 高强度模式写入记录，解混淆按记录还原', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lx-cli-'));
+    try {
+        const input = path.join(dir, 'photo.png');
+        const original = writeTestPng(input, 37, 29);
+
+        assert.strictEqual(await run(['confuse', input, '--strong', '--key', 'secret']), 0);
+        const confused = decodePng(fs.readFileSync(path.join(dir, 'photo_confused.png')));
+        assert.strictEqual(JSON.parse(confused.text.LXConfusion).strong, true);
+
+        // 不加 --strong 也按记录使用高强度模式
+        assert.strictEqual(await run(['deconfuse', path.join(dir, 'photo_confused.png'), '--key', 'secret']), 0);
+        const restored = decodePng(fs.readFileSync(path.join(dir, 'photo_confused_restored.png')));
+        assert.deepStrictEqual(restored.data, original);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('GIF 动图逐帧混淆，解混淆按记录还原并保留帧延时', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lx-cli-'));
+    try {
+        const input = path.join(dir, 'reaction.gif');
+        const palette = Uint8Array.from({ length: 48 }, (_, i) => (i * 37) & 0xFF);
+        const frames = [10, 20].map((delay, n) => ({
+            x: 0, y: 0, width: 23, height: 17, flags: 0, palette: null, minCodeSize: 4,
+            control: { disposal: 1, userInput: false, transparentIndex: null, delay },
+            indices: Uint8Array.from({ length: 23 * 17 }, (_, i) => (i * (n + 3) + (i >> 4)) % 16)
+        }));
+        fs.writeFileSync(input, animation.encodeGif({
+            format: 'gif', width: 23, height: 17, flags: 0xF3, backgroundIndex: 0, aspect: 0,
+            globalPalette: palette, loopCount: 0, frames
+        }));
+
+        assert.strictEqual(await run(['confuse', input, '--algorithm', 'hilbert', '--key', 'gif']), 0);
+        const confusedPath = path.join(dir, 'reaction_confused.gif');
+        const record = animation.readAnimationRecord(fs.readFileSync(confusedPath));
+        assert.strictEqual(record.algorithm, 'hilbert');
+        assert.strictEqual(record.frames, 2);
+
+        assert.strictEqual(await run(['deconfuse', confusedPath, '--key', 'gif']), 0);
+        const restored = animation.decodeGif(fs.readFileSync(path.join(dir, 'reaction_confused_restored.gif')));
+        assert.deepStrictEqual(restored.frames.map(f => f.indices), frames.map(f => f.indices));
+        assert.deepStrictEqual(restored.frames.map(f => f.control.delay), [10, 20]);
+        assert.strictEqual(restored.loopCount, 0);
+
+        // 动图不支持反相
+        assert.strictEqual(await run(['invert', input]), 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
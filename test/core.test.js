@@ -0,0 +1,525 @@
+// 核心算法往返测试：deconfuse(confuse(x)) 必须与 x 逐字节相同
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../core.js');
+
+// 奇数、质数、单行单列、细长等各种尺寸
+const SIZES = [
+    [1, 1], [1, 2], [2, 1], [1, 17], [23, 1], [2, 3], [3, 2], [3, 3],
+    [5, 7], [7, 5], [13, 13], [17, 31], [31, 17], [64, 1], [1, 64],
+    [33, 65], [97, 3], [3, 97], [100, 101], [127, 129], [257, 2]
+];
+
+function randomImage(width, height, seed) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    let state = seed >>> 0;
+    for (let i = 0; i < data.length; i++) {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        data[i] = state >>> 24;
+    }
+    return { width, height, data };
+}
+
+function assertRoundTrip(image, params) {
+    const confused = core.confuseImageData(image, params);
+    const restored = core.deconfuseImageData(confused, params);
+    assert.deepStrictEqual(restored.data, image.data,
+        `${image.width}x${image.height} ${JSON.stringify({ ...params, keyWords: !!params.keyWords })}`);
+    return confused;
+}
+
+test('Gilbert 曲线覆盖每个像素恰好一次', () => {
+    for (const [width, height] of SIZES) {
+        const curve = core.gilbert2d(width, height);
+        const seen = new Uint8Array(width * height);
+        for (const index of curve) seen[index]++;
+        assert.ok(seen.every(count => count === 1), `${width}x${height}`);
+    }
+});
+
+test('所有曲线覆盖每个像素恰好一次', () => {
+    for (const name of Object.keys(core.CURVES)) {
+        for (const [width, height] of SIZES) {
+            const curve = core.CURVES[name].build(width, height);
+            assert.strictEqual(curve.length, width * height, `${name} ${width}x${height}`);
+            const seen = new Uint8Array(width * height);
+            for (const index of curve) seen[index]++;
+            assert.ok(seen.every(count => count === 1), `${name} ${width}x${height}`);
+        }
+    }
+});
+
+test('Hilbert、Peano 在完整正方形上每一步只移动一个像素', () => {
+    for (const [name, side] of [['hilbert', 256], ['peano', 81], ['peano', 243]]) {
+        const curve = core.CURVES[name].build(side, side);
+        for (let i = 1; i < curve.length; i++) {
+            const dx = Math.abs(curve[i] % side - curve[i - 1] % side);
+            const dy = Math.abs(Math.floor(curve[i] / side) - Math.floor(curve[i - 1] / side));
+            assert.strictEqual(dx + dy, 1, `${name} ${side} 第 ${i} 步`);
+        }
+    }
+});
+
+test('各曲线混淆往返（含密钥）', async () => {
+    const keyWords = await core.deriveKeyWords('curve');
+    for (const name of Object.keys(core.CURVES)) {
+        for (const [width, height] of SIZES) {
+            const image = randomImage(width, height, width * 3 + height);
+            assertRoundTrip(image, { algorithm: name, keyWords: null });
+            assertRoundTrip(image, { algorithm: name, keyWords });
+        }
+    }
+});
+
+test('Gilbert 混淆往返', () => {
+    for (const [width, height] of SIZES) {
+        const image = randomImage(width, height, width * 31 + height);
+        const confused = assertRoundTrip(image, { algorithm: 'gilbert', keyWords: null });
+        if (width * height > 2) {
+            assert.notDeepStrictEqual(confused.data, image.data, `${width}x${height} 未被混淆`);
+        }
+    }
+});
+
+test('带密钥的 Gilbert 混淆往返，错误密钥无法还原', async () => {
+    const keyWords = await core.deriveKeyWords('测试密钥');
+    const wrongWords = await core.deriveKeyWords('错误密钥');
+    for (const [width, height] of SIZES) {
+        const image = randomImage(width, height, width + height * 7);
+        const confused = assertRoundTrip(image, { algorithm: 'gilbert', keyWords });
+        if (width * height >= 64) {
+            const wrong = core.deconfuseImageData(confused, { algorithm: 'gilbert', keyWords: wrongWords });
+            assert.notDeepStrictEqual(wrong.data, image.data, `${width}x${height}`);
+        }
+    }
+});
+
+test('区块打乱往返（各种强度与区块大小）', async () => {
+    const keyWords = await core.deriveKeyWords('block');
+    for (const [width, height] of SIZES) {
+        const image = randomImage(width, height, width ^ (height << 8));
+        for (const blockSize of [1, 2, 5, 16]) {
+            for (const strength of [0.3, 1, 2.5]) {
+                assertRoundTrip(image, { algorithm: 'block', blockSize, strength, keyWords: null });
+                assertRoundTrip(image, { algorithm: 'block', blockSize, strength, keyWords });
+            }
+        }
+    }
+});
+
+test('使用记录中的偏移量解混淆', () => {
+    const image = randomImage(45, 38, 9);
+    const params = { algorithm: 'gilbert', keyWords: null };
+    const confused = core.confuseImageData(image, params);
+    const record = core.parseConfusionRecord(JSON.stringify(
+        core.createConfusionRecord(params, confused.info, image.width, image.height)));
+    assert.strictEqual(record.offset, confused.info.offset);
+    const restored = core.deconfuseImageData(confused, { ...params, offset: record.offset });
+    assert.deepStrictEqual(restored.data, image.data);
+});
+
+test('版本或算法不是字符串的记录视为无效', () => {
+    const valid = core.createConfusionRecord({ algorithm: 'gilbert', keyWords: null }, { offset: 3 }, 4, 4);
+    assert.ok(core.parseConfusionRecord(JSON.stringify(valid)));
+    for (const changes of [{ version: { html: '<img>' } }, { algorithm: ['<img>'] }, { version: undefined }]) {
+        assert.strictEqual(core.parseConfusionRecord(JSON.stringify({ ...valid, ...changes })), null);
+    }
+    assert.strictEqual(core.parseConfusionRecord(JSON.stringify({ ...valid, tool: 'other' })), null);
+});
+
+test('有密钥时记录中不写偏移量，解混淆由密钥推导', async () => {
+    const image = randomImage(45, 38, 10);
+    const keyWords = await core.deriveKeyWords('record');
+    const params = { algorithm: 'gilbert', keyWords, keyFingerprint: 'abcd' };
+    const confused = core.confuseImageData(image, params);
+    const record = core.createConfusionRecord(params, confused.info, image.width, image.height);
+    assert.strictEqual(record.key, 'abcd');
+    assert.strictEqual(record.offset, undefined);
+    const restored = core.deconfuseImageData(confused, { ...params, offset: record.offset });
+    assert.deepStrictEqual(restored.data, image.data);
+});
+
+test('补边复制边缘像素，裁剪取左上角', () => {
+    const image = randomImage(5, 3, 11);
+    const padded = core.padImageData(image, 8);
+    assert.deepStrictEqual([padded.width, padded.height], [8, 8]);
+    const pixel = (img, x, y) => Array.from(img.data.subarray(4 * (x + y * img.width), 4 * (x + y * img.width) + 4));
+    assert.deepStrictEqual(pixel(padded, 7, 1), pixel(image, 4, 1));
+    assert.deepStrictEqual(pixel(padded, 2, 7), pixel(image, 2, 2));
+    assert.deepStrictEqual(pixel(padded, 7, 7), pixel(image, 4, 2));
+    assert.deepStrictEqual(core.cropImageData(padded, 5, 3).data, image.data);
+    assert.strictEqual(core.padImageData(padded, 8), padded);
+});
+
+test('补边后混淆，按记录裁剪还原', () => {
+    for (const [width, height] of SIZES) {
+        for (const algorithm of ['gilbert', 'block', 'md5-block']) {
+            const image = randomImage(width, height, width + height);
+            const params = { algorithm, blockSize: 4, strength: 2, blocksX: 4, blocksY: 4, keyWords: null, padTo: 16 };
+            const confused = core.confuseImageData(image, params);
+            assert.strictEqual(confused.width % 16, 0);
+            assert.strictEqual(confused.height % 16, 0);
+
+            const record = core.createConfusionRecord(params, confused.info, confused.width, confused.height);
+            const padded = confused.width !== width || confused.height !== height;
+            assert.strictEqual(record.originalWidth, padded ? width : undefined);
+
+            const restored = core.deconfuseImageData(confused, {
+                ...params,
+                originalWidth: record.originalWidth,
+                originalHeight: record.originalHeight
+            });
+            assert.deepStrictEqual([restored.width, restored.height], [width, height]);
+            assert.deepStrictEqual(restored.data, image.data, `${algorithm} ${width}x${height}`);
+        }
+    }
+});
+
+// 平滑图案：缩放后仍能看出连贯度差别
+function smoothImage(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const o = 4 * (x + y * width);
+            data[o] = 128 + 100 * Math.sin(x / 17);
+            data[o + 1] = 128 + 100 * Math.cos(y / 13);
+            data[o + 2] = (x + 2 * y) % 90 < 45 ? 200 : 50;
+            data[o + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+test('缩放恢复的候选尺寸保持宽高比，且包含提示尺寸', () => {
+    const candidates = core.recoveryCandidates(150, 100, {
+        hints: [{ width: 321, height: 213, label: '混淆记录' }],
+        longEdges: [600]
+    });
+    // 指定长边排在最前
+    assert.strictEqual(candidates[0].label, '指定长边');
+    assert.ok(candidates.some(c => c.width === 600 && c.height === 400 && c.label === '指定长边'));
+    assert.ok(candidates.some(c => c.width === 321 && c.height === 213 && c.label === '混淆记录'));
+    assert.ok(candidates.some(c => c.width === 150 && c.height === 100));
+    // 缩小 2 倍时短边可能是 199、200、201
+    for (const height of [199, 200, 201]) {
+        assert.ok(candidates.some(c => c.width === 300 && c.height === height), `300x${height}`);
+    }
+    for (const c of candidates) {
+        if (c.label === '混淆记录') continue;
+        // 各种缩放实现对短边取整方式不同，允许落在 ±0.5 内
+        assert.ok(Math.abs(c.height * 150 / c.width - 100) <= 0.5, `${c.width}x${c.height}`);
+    }
+    assert.strictEqual(new Set(candidates.map(c => `${c.width}x${c.height}`)).size, candidates.length);
+});
+
+test('缩放恢复找回缩小前的尺寸', () => {
+    const image = smoothImage(300, 200);
+    for (const algorithm of ['gilbert', 'block', 'md5-block']) {
+        const params = { algorithm, blockSize: 12, strength: 1, blocksX: 16, blocksY: 16, keyWords: null };
+        const confused = core.confuseImageData(image, params);
+        const small = core.resizeImageData(confused, 150, 100);
+        const { ranked, results } = core.recoverImage(small, params, {});
+        assert.deepStrictEqual([ranked[0].width, ranked[0].height], [300, 200], algorithm);
+        assert.strictEqual(results.length, 3);
+        assert.deepStrictEqual([results[0].image.width, results[0].image.height], [300, 200]);
+    }
+});
+
+test('流水线正向执行后，反向流水线精确还原', async () => {
+    const keyWords = await core.deriveKeyWords('pipeline');
+    const { steps } = core.normalizePipeline({
+        name: '测试',
+        steps: [
+            { op: 'invert' },
+            { op: 'confuse', algorithm: 'gilbert', useKey: true },
+            { op: 'confuse', algorithm: 'hilbert' },
+            { op: 'deconfuse', algorithm: 'block', blockSize: 4, strength: 2 },
+            { op: 'confuse', algorithm: 'md5-block', blocksX: 5, blocksY: 3, compatKey: 'k' },
+            { op: 'invert' }
+        ]
+    });
+    for (const [width, height] of [[1, 1], [17, 31], [100, 101]]) {
+        const image = randomImage(width, height, width * height);
+        const forward = await core.runPipeline(image, steps, { keyWords });
+        const restored = await core.runPipeline(forward, core.invertPipeline(steps), { keyWords });
+        assert.deepStrictEqual(restored.data, image.data, `${width}x${height}`);
+    }
+});
+
+test('反向流水线倒序并互换混淆与解混淆，省略格式转换', () => {
+    const steps = [
+        { op: 'invert' },
+        { op: 'confuse', algorithm: 'gilbert', useKey: false },
+        { op: 'convert', format: 'jpeg', quality: 0.9 },
+        { op: 'deconfuse', algorithm: 'peano', useKey: true }
+    ];
+    assert.deepStrictEqual(core.invertPipeline(steps), [
+        { op: 'confuse', algorithm: 'peano', useKey: true },
+        { op: 'deconfuse', algorithm: 'gilbert', useKey: false },
+        { op: 'invert' }
+    ]);
+    assert.deepStrictEqual(steps[0], { op: 'invert' });
+    assert.strictEqual(core.isPipelineInverseExact(steps), false);
+    assert.strictEqual(core.isPipelineInverseExact([steps[1], { op: 'convert', format: 'png', quality: 1 }]), true);
+});
+
+test('导入流水线时校验步骤', async () => {
+    assert.throws(() => core.normalizePipeline({}), /steps/);
+    assert.throws(() => core.normalizePipeline({ steps: [] }), /至少/);
+    assert.throws(() => core.normalizePipeline({ steps: [{ op: 'blur' }] }), /第 1 步：未知操作/);
+    assert.throws(() => core.normalizePipeline({ steps: [{ op: 'invert' }, { op: 'confuse', algorithm: 'foo' }] }), /第 2 步：未知算法/);
+    assert.throws(() => core.normalizePipeline({ steps: [{ op: 'convert', format: 'gif' }] }), /未知格式/);
+    // 导入的值不会原样出现在错误提示中
+    assert.throws(() => core.normalizePipeline({ steps: [{ op: '<img src=x onerror=alert(1)>' }] }),
+        error => error.message === '第 1 步：未知操作 "imgsrcxonerroralert1"');
+
+    const image = randomImage(8, 8, 1);
+    await assert.rejects(core.runPipeline(image, [{ op: 'convert', format: 'png', quality: 1 }]), /不支持格式转换/);
+    await assert.rejects(core.runPipeline(image, [{ op: 'confuse', algorithm: 'gilbert', useKey: true }]), /需要密钥/);
+});
+
+test('局部混淆只改变选中区域，重叠区域也能精确还原', async () => {
+    const keyWords = await core.deriveKeyWords('region');
+    const image = randomImage(60, 45, 11);
+    const regions = [[5, 5, 20, 15], [15, 10, 30, 30], [50, 40, 30, 30], [0, 0, 0, 10]];
+    for (const algorithm of ['gilbert', 'peano', 'block', 'md5-block', 'logistic-row']) {
+        const params = { algorithm, blockSize: 4, strength: 1, blocksX: 4, blocksY: 4, keyWords, regions, padTo: 16 };
+        const confused = core.confuseImageData(image, params);
+        // 局部混淆不补边
+        assert.deepStrictEqual([confused.width, confused.height], [60, 45]);
+
+        const inside = new Uint8Array(60 * 45);
+        for (const { x, y, width, height } of core.normalizeRegions(regions, 60, 45)) {
+            for (let dy = 0; dy < height; dy++) inside.fill(1, x + (y + dy) * 60, x + width + (y + dy) * 60);
+        }
+        for (let i = 0; i < inside.length; i++) {
+            if (!inside[i]) {
+                assert.deepStrictEqual(confused.data.subarray(4 * i, 4 * i + 4), image.data.subarray(4 * i, 4 * i + 4), `${algorithm} 像素 ${i}`);
+            }
+        }
+        assert.notDeepStrictEqual(confused.data, image.data, algorithm);
+
+        const record = core.createConfusionRecord(params, confused.info, confused.width, confused.height);
+        assert.deepStrictEqual(record.regions, [[5, 5, 20, 15], [15, 10, 30, 30], [50, 40, 10, 5]]);
+        assert.strictEqual(record.offset, undefined);
+        const restored = core.deconfuseImageData(confused, { ...params, regions: record.regions });
+        assert.deepStrictEqual(restored.data, image.data, algorithm);
+    }
+});
+
+test('画笔蒙版按格子转换为矩形区域', () => {
+    const width = 40, height = 30;
+    const mask = new Uint8Array(width * height);
+    for (let y = 5; y < 20; y++) mask.fill(1, 3 + y * width, 10 + y * width);
+    for (let y = 17; y < 23; y++) mask.fill(1, 20 + y * width, 26 + y * width);
+    mask[39 + 29 * width] = 1;
+    assert.deepStrictEqual(core.maskToRegions(mask, width, height, 8), [
+        // 第三行两处相连，合并为一段
+        { x: 0, y: 0, width: 16, height: 16 },
+        { x: 0, y: 16, width: 32, height: 8 },
+        { x: 32, y: 24, width: 8, height: 6 }
+    ]);
+    assert.deepStrictEqual(core.maskToRegions(new Uint8Array(width * height), width, height), []);
+});
+
+test('反相两次还原，且不改变 Alpha', () => {
+    const image = randomImage(19, 23, 5);
+    const inverted = core.invertImageData(image);
+    for (let i = 3; i < image.data.length; i += 4) {
+        assert.strictEqual(inverted.data[i], image.data[i]);
+    }
+    assert.deepStrictEqual(core.invertImageData(inverted).data, image.data);
+});
+
+test('高强度模式往返，颜色分布不再保留', async () => {
+    const keyWords = await core.deriveKeyWords('strong');
+    for (const algorithm of Object.keys(core.CURVES)) {
+        for (const [width, height] of SIZES) {
+            const image = randomImage(width, height, width * 5 + height);
+            assertRoundTrip(image, { algorithm, keyWords: null, strong: true });
+            assertRoundTrip(image, { algorithm, keyWords, strong: true });
+        }
+    }
+
+    // 纯色图片：默认模式下仍是纯色，高强度模式下各通道都被打散
+    const flat = { width: 32, height: 24, data: new Uint8ClampedArray(32 * 24 * 4).fill(200) };
+    const weak = core.confuseImageData(flat, { algorithm: 'gilbert', keyWords });
+    assert.deepStrictEqual(weak.data, flat.data);
+    const strong = assertRoundTrip(flat, { algorithm: 'gilbert', keyWords, strong: true });
+    const distinct = new Set(strong.data.filter((_, i) => i % 4 !== 3));
+    assert.ok(distinct.size > 200, `只有 ${distinct.size} 种取值`);
+    assert.ok(strong.data.every((value, i) => i % 4 !== 3 || value === 200), 'Alpha 不变');
+
+    // 记录中标明高强度模式，不同密钥得到不同结果
+    const record = core.createConfusionRecord({ algorithm: 'gilbert', strong: true }, strong.info, 32, 24);
+    assert.strictEqual(record.strong, true);
+    assert.strictEqual(core.createConfusionRecord({ algorithm: 'block', strong: true }, {}, 32, 24).strong, undefined);
+    const other = core.confuseImageData(flat, { algorithm: 'gilbert', keyWords: await core.deriveKeyWords('other'), strong: true });
+    assert.notDeepStrictEqual(other.data, strong.data);
+});
+
+test('透明像素随像素一起重排，Alpha 不被丢弃', () => {
+    // 左半透明、右半不透明的贴纸
+    const width = 40, height = 30;
+    const image = randomImage(width, height, 21);
+    for (let i = 0; i < width * height; i++) {
+        image.data[i * 4 + 3] = i % width < width / 2 ? 0 : 255;
+    }
+    for (const algorithm of ['gilbert', 'block', 'md5-pixel']) {
+        const params = { algorithm, blockSize: 8, strength: 1, compatKey: '', blocksX: 4, blocksY: 4, keyWords: null };
+        const confused = assertRoundTrip(image, params);
+        const alphaOf = data => Array.from(data.filter((_, i) => i % 4 === 3)).sort((a, b) => a - b);
+        assert.deepStrictEqual(alphaOf(confused.data), alphaOf(image.data), algorithm);
+    }
+});
+
+test('输出格式：自动格式下透明图片用 PNG，JPEG 按底色合成', () => {
+    const opaque = new Uint8ClampedArray([10, 20, 30, 255]);
+    assert.strictEqual(core.hasTransparency(opaque), false);
+    assert.deepStrictEqual(core.resolveOutputMime(opaque, { auto: true, mime: 'image/jpeg' }),
+        { mime: 'image/jpeg', flattened: false });
+
+    const transparent = new Uint8ClampedArray([200, 0, 0, 0, 100, 100, 100, 128, 1, 2, 3, 255]);
+    assert.strictEqual(core.hasTransparency(transparent), true);
+    assert.deepStrictEqual(core.resolveOutputMime(new Uint8ClampedArray(transparent), { auto: true, mime: 'image/jpeg' }),
+        { mime: 'image/png', flattened: false });
+    assert.deepStrictEqual(core.resolveOutputMime(new Uint8ClampedArray(transparent), { mime: 'image/webp' }),
+        { mime: 'image/webp', flattened: false });
+
+    const data = new Uint8ClampedArray(transparent);
+    const matte = core.parseMatteColor('#00ff80');
+    assert.deepStrictEqual(matte, [0, 255, 128]);
+    assert.deepStrictEqual(core.resolveOutputMime(data, { mime: 'image/jpeg', matte }),
+        { mime: 'image/jpeg', flattened: true });
+    assert.deepStrictEqual(Array.from(data), [0, 255, 128, 255, 50, 177, 114, 255, 1, 2, 3, 255]);
+    assert.deepStrictEqual(core.parseMatteColor('invalid'), [255, 255, 255]);
+});
+
+test('不修改输入数据', () => {
+    const image = randomImage(16, 9, 3);
+    const copy = new Uint8ClampedArray(image.data);
+    core.confuseImageData(image, { algorithm: 'gilbert', keyWords: null });
+    core.invertImageData(image);
+    assert.deepStrictEqual(image.data, copy);
+});
+
+test('分段读取曲线与整条曲线一致', () => {
+    for (const name of Object.keys(core.CURVES)) {
+        for (const [width, height] of [[1, 1], [17, 31], [100, 101], [257, 2], [70, 70]]) {
+            const curve = core.CURVES[name].build(width, height);
+            const read = core.CURVES[name].range(width, height);
+            for (const [start, length] of [[0, curve.length], [0, 1], [curve.length - 1, 1], [7, 300], [4095, 4098]]) {
+                if (start + length > curve.length) continue;
+                const out = new Uint32Array(length);
+                read(start, out);
+                assert.deepStrictEqual(out, curve.subarray(start, start + length), `${name} ${width}x${height} ${start}+${length}`);
+            }
+        }
+    }
+});
+
+test('分条处理与整幅处理结果逐字节一致', async () => {
+    const keyWords = await core.deriveKeyWords('strips');
+    const cases = [
+        ...Object.keys(core.CURVES).flatMap(algorithm => [
+            { algorithm, keyWords: null },
+            { algorithm, keyWords },
+            { algorithm, keyWords, strong: true }
+        ]),
+        { algorithm: 'gilbert', keyWords: null, offset: 12345 },
+        { algorithm: 'block', blockSize: 8, strength: 2.5, keyWords },
+        { algorithm: 'md5-pixel', compatKey: 'abc', keyWords: null },
+        { algorithm: 'logistic-rowcol', compatKey: '0.37', keyWords: null }
+    ];
+    for (const [width, height] of [[1, 1], [37, 23], [130, 7], [5, 200]]) {
+        const image = randomImage(width, height, width + height);
+        for (const params of cases) {
+            for (const reverse of [false, true]) {
+                const expected = new Uint8ClampedArray(image.data.length);
+                const info = core.applyConfusion(image.data, expected, width, height, params, reverse);
+                for (const stripRows of [1, 3, height]) {
+                    const out = new Uint8ClampedArray(image.data.length);
+                    const stripInfo = core.applyConfusionInStrips({ width, height, data: new Uint8ClampedArray(image.data) }, params, reverse, {
+                        stripRows,
+                        writeStrip: (y, strip) => out.set(strip, y * width * 4)
+                    });
+                    const label = `${width}x${height} ${params.algorithm} ${reverse ? '解混淆' : '混淆'} 每条 ${stripRows} 行`;
+                    assert.deepStrictEqual(out, expected, label);
+                    assert.deepStrictEqual(stripInfo, info, label);
+                }
+            }
+        }
+    }
+});
+
+function copyRect(src, srcWidth, dst, dstWidth, dstHeight, sx, sy, width, height, dx, dy) {
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (dx + x >= dstWidth || dy + y >= dstHeight) continue;
+            const from = ((sy + y) * srcWidth + sx + x) * 4;
+            const to = ((dy + y) * dstWidth + dx + x) * 4;
+            dst.set(src.subarray(from, from + 4), to);
+        }
+    }
+}
+
+// 模拟画布：只实现分条处理用到的 2D 接口，超过 maxPixels 的画布无法绘制（与浏览器超出上限时的表现相同）
+function fakeCanvasFactory(maxPixels = Infinity) {
+    return (width, height) => {
+        const canvas = { width, height, data: width * height <= maxPixels ? new Uint8ClampedArray(width * height * 4) : null };
+        const ctx = {
+            fillRect(x, y, w, h) {
+                if (!canvas.data) return;
+                for (let i = 0; i < w * h; i++) canvas.data[((y + Math.floor(i / w)) * canvas.width + x + i % w) * 4 + 3] = 255;
+            },
+            clearRect(x, y, w, h) {
+                if (canvas.data) copyRect(new Uint8ClampedArray(w * h * 4), w, canvas.data, canvas.width, canvas.height, 0, 0, w, h, x, y);
+            },
+            getImageData(x, y, w, h) {
+                const data = new Uint8ClampedArray(w * h * 4);
+                if (canvas.data) copyRect(canvas.data, canvas.width, data, w, h, x, y, w, h, 0, 0);
+                return { width: w, height: h, data };
+            },
+            createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+            putImageData(image, x, y) {
+                copyRect(image.data, image.width, canvas.data, canvas.width, canvas.height, 0, 0, image.width, image.height, x, y);
+            },
+            drawImage(source, sx, sy, sw, sh, dx, dy) {
+                copyRect(source.data, source.width, canvas.data, canvas.width, canvas.height, sx, sy, sw, sh, dx, dy);
+            }
+        };
+        canvas.getContext = () => ctx;
+        return canvas;
+    };
+}
+
+test('超大图片按条读写画布：补边、裁剪和 JPEG 底色与整幅处理一致', () => {
+    const image = randomImage(45, 30, 21);
+    const createCanvas = fakeCanvasFactory();
+    const params = { algorithm: 'gilbert', keyWords: null, padTo: 16 };
+
+    const confused = core.confuseLargeImage(image, 45, 30, params, false, { mime: 'image/png' }, createCanvas);
+    const expected = core.confuseImageData(image, params);
+    assert.deepStrictEqual([confused.width, confused.height], [48, 32]);
+    assert.deepStrictEqual(confused.canvas.data, expected.data);
+    assert.deepStrictEqual(confused.info, expected.info);
+    assert.strictEqual(confused.mime, 'image/png');
+    // 自动格式按源图是否透明决定
+    assert.strictEqual(core.confuseLargeImage(image, 45, 30, params, false, { auto: true, mime: 'image/jpeg' }, createCanvas).mime, 'image/png');
+
+    // 解混淆按记录裁剪回原图尺寸，输出 JPEG 时按底色合成透明像素
+    const restored = core.confuseLargeImage(confused.canvas, 48, 32, { ...params, ...expected.info }, true,
+        { mime: 'image/jpeg', matte: [0, 0, 0] }, createCanvas);
+    assert.deepStrictEqual([restored.width, restored.height], [45, 30]);
+    const flattened = new Uint8ClampedArray(image.data);
+    core.flattenAlpha(flattened, [0, 0, 0]);
+    assert.deepStrictEqual(restored.canvas.data, flattened);
+});
+
+test('画布超出浏览器上限时说明上限', () => {
+    assert.throws(() => core.createUsableCanvas(fakeCanvasFactory(2048 * 2048), 5000, 1000),
+        /5000 × 1000（500 万像素）超出了浏览器的画布上限（约 419 万像素）/);
+    assert.throws(() => core.confuseLargeImage(randomImage(8, 8, 1), 8, 8, { algorithm: 'gilbert' }, false, { mime: 'image/png' }, fakeCanvasFactory(10)),
+        /超出了浏览器的画布上限，无法处理/);
+    assert.strictEqual(core.createUsableCanvas(fakeCanvasFactory(100), 10, 10).width, 10);
+});
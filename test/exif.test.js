@@ -0,0 +1,328 @@
+// EXIF 测试：读取方向和隐私标签，按方向转正的变换，去掉 JPEG / PNG / WebP / GIF 中的元数据但保留混淆记录
+const test = require('node:test');
+const assert = require('node:assert');
+const { readExif, resetExifOrientation, createOrientationExif, orientationTransform, stripMetadata } = require('../exif.js');
+const { METADATA_KEYWORD } = require('../core.js');
+const { decodePng, encodePng, readChunks, crc32 } = require('../png.js');
+
+// 生成 TIFF 数据：ifd0 / exif / gps 为 [tag, type, value]，type 2 为文本，3 为短整数，5 为分数数组 [[分子, 分母], ...]
+function buildTiff({ little = false, ifd0 = [], exif = [], gps = [] }) {
+    const ifds = [ifd0.slice(), exif, gps];
+    if (exif.length) ifds[0].push([0x8769, 4, 0]);
+    if (gps.length) ifds[0].push([0x8825, 4, 0]);
+    ifds.forEach(entries => entries.sort((a, b) => a[0] - b[0]));
+
+    const buffer = Buffer.alloc(1024);
+    const u16 = (value, pos) => little ? buffer.writeUInt16LE(value, pos) : buffer.writeUInt16BE(value, pos);
+    const u32 = (value, pos) => little ? buffer.writeUInt32LE(value, pos) : buffer.writeUInt32BE(value, pos);
+    buffer.write(little ? 'II' : 'MM', 0, 'latin1');
+    u16(42, 2);
+    u32(8, 4);
+
+    // 先排好三个 IFD 的位置，再把放不进条目的值写到后面
+    const offsets = [];
+    let pos = 8;
+    for (const entries of ifds) {
+        offsets.push(entries.length ? pos : 0);
+        pos += entries.length ? 2 + entries.length * 12 + 4 : 0;
+    }
+    ifds.forEach((entries, index) => {
+        let entry = offsets[index];
+        if (!entries.length) return;
+        u16(entries.length, entry);
+        entry += 2;
+        for (const [tag, type, rawValue] of entries) {
+            const value = tag === 0x8769 ? offsets[1] : tag === 0x8825 ? offsets[2] : rawValue;
+            u16(tag, entry);
+            u16(type, entry + 2);
+            if (type === 2) {
+                const text = Buffer.from(value + '\0', 'latin1');
+                u32(text.length, entry + 4);
+                if (text.length <= 4) text.copy(buffer, entry + 8);
+                else {
+                    u32(pos, entry + 8);
+                    text.copy(buffer, pos);
+                    pos += text.length + (text.length & 1);
+                }
+            } else if (type === 5) {
+                u32(value.length, entry + 4);
+                u32(pos, entry + 8);
+                for (const [numerator, denominator] of value) {
+                    u32(numerator, pos);
+                    u32(denominator, pos + 4);
+                    pos += 8;
+                }
+            } else {
+                u32(1, entry + 4);
+                if (type === 3) u16(value, entry + 8);
+                else u32(value, entry + 8);
+            }
+            entry += 12;
+        }
+    });
+    return buffer.subarray(0, pos);
+}
+
+const PHONE_TIFF = {
+    ifd0: [[0x0112, 3, 6], [0x010F, 2, 'Apple'], [0x0110, 2, 'iPhone 13'], [0x0132, 2, '2024:05:01 10:00:00']],
+    exif: [[0x9003, 2, '2024:05:01 09:59:58'], [0xA431, 2, 'SN123']],
+    gps: [[0x0001, 2, 'N'], [0x0002, 5, [[31, 1], [13, 1], [4800, 100]]], [0x0003, 2, 'W'], [0x0004, 5, [[121, 1], [28, 1], [12, 1]]]]
+};
+
+function jpegSegment(marker, payload) {
+    const out = Buffer.alloc(payload.length + 4);
+    out[0] = 0xFF;
+    out[1] = marker;
+    out.writeUInt16BE(payload.length + 2, 2);
+    payload.copy(out, 4);
+    return out;
+}
+
+// 结构完整的最小 JPEG 外壳：元数据段、量化表、SOS 之后的数据和 EOI
+function buildJpeg(segments) {
+    return Buffer.concat([
+        Buffer.from([0xFF, 0xD8]),
+        jpegSegment(0xE0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+        ...segments,
+        jpegSegment(0xDB, Buffer.alloc(65, 1)),
+        jpegSegment(0xDA, Buffer.from([1, 1, 0, 0, 63, 0])),
+        Buffer.from([0x12, 0x34, 0xFF, 0x00, 0x56, 0xFF, 0xD9])
+    ]);
+}
+
+function pngChunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const out = Buffer.alloc(body.length + 8);
+    out.writeUInt32BE(data.length, 0);
+    body.copy(out, 4);
+    out.writeUInt32BE(crc32(body), body.length + 4);
+    return out;
+}
+
+// 在 IHDR 之后插入数据块
+function insertPngChunks(png, chunks) {
+    return Buffer.concat([png.subarray(0, 33), ...chunks, png.subarray(33)]);
+}
+
+function webpChunk(fourcc, data) {
+    const out = Buffer.alloc(8 + data.length + (data.length & 1));
+    out.write(fourcc, 0, 'latin1');
+    out.writeUInt32LE(data.length, 4);
+    data.copy(out, 8);
+    return out;
+}
+
+function buildWebp(chunks) {
+    const body = Buffer.concat(chunks);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write('WEBP', 8, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+// GIF 扩展块：按 255 字节切成子块
+function gifExtension(label, data) {
+    const parts = [Buffer.from([0x21, label])];
+    for (let pos = 0; pos < data.length; pos += 255) {
+        const part = data.subarray(pos, pos + 255);
+        parts.push(Buffer.from([part.length]), part);
+    }
+    parts.push(Buffer.from([0]));
+    return Buffer.concat(parts);
+}
+
+// 2x1 的 GIF：全局调色板、给定的扩展块、一个图像块和结束符
+function buildGif(blocks) {
+    return Buffer.concat([
+        Buffer.from('GIF89a\x02\0\x01\0\x80\0\0', 'latin1'),
+        Buffer.alloc(6, 9),
+        ...blocks,
+        Buffer.from([0x2C, 0, 0, 0, 0, 2, 0, 1, 0, 0, 2, 2, 0x4C, 0x01, 0, 0x3B])
+    ]);
+}
+
+function sampleImage(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i++) data[i] = (i * 37) & 0xFF;
+    return { width, height, data };
+}
+
+test('读取方向、位置、设备、序列号和拍摄时间，大小端都支持', () => {
+    for (const little of [false, true]) {
+        const tiff = buildTiff({ ...PHONE_TIFF, little });
+        const jpeg = buildJpeg([jpegSegment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]))]);
+        const exif = readExif(jpeg);
+        assert.strictEqual(exif.orientation, 6);
+        assert.deepStrictEqual(exif.sensitive, [
+            { label: '位置（GPS）', value: '31.23000, -121.47000' },
+            { label: '设备', value: 'Apple iPhone 13' },
+            { label: '机身序列号', value: 'SN123' },
+            { label: '拍摄时间', value: '2024:05:01 09:59:58' }
+        ]);
+        assert.deepStrictEqual(Buffer.from(exif.tiff), tiff);
+    }
+});
+
+test('型号已含厂商名时不重复；没有 EXIF 或数据无效时返回 null', () => {
+    const tiff = buildTiff({ ifd0: [[0x010F, 2, 'Canon'], [0x0110, 2, 'Canon EOS R5'], [0x0112, 3, 9]] });
+    const exif = readExif(buildJpeg([jpegSegment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]))]));
+    assert.strictEqual(exif.orientation, 1);
+    assert.deepStrictEqual(exif.sensitive, [{ label: '设备', value: 'Canon EOS R5' }]);
+
+    assert.strictEqual(readExif(buildJpeg([])), null);
+    assert.strictEqual(readExif(buildJpeg([jpegSegment(0xE1, Buffer.from('Exif\0\0XXnot tiff', 'latin1'))])), null);
+    assert.strictEqual(readExif(Buffer.from('not an image')), null);
+});
+
+test('PNG 的 eXIf 块和 WebP 的 EXIF 块同样能读取', () => {
+    const tiff = buildTiff(PHONE_TIFF);
+    const png = insertPngChunks(encodePng(sampleImage(4, 3)), [pngChunk('eXIf', tiff)]);
+    assert.strictEqual(readExif(png).orientation, 6);
+
+    const vp8l = webpChunk('VP8L', Buffer.from([0x2F, 3, 0x80, 0, 0]));
+    const vp8x = webpChunk('VP8X', Buffer.from([0x08, 0, 0, 0, 3, 0, 0, 2, 0, 0]));
+    // 有的编码器在 WebP 的 EXIF 块中也写了 "Exif\0\0" 前缀
+    for (const payload of [tiff, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff])]) {
+        const exif = readExif(buildWebp([vp8x, vp8l, webpChunk('EXIF', payload)]));
+        assert.strictEqual(exif.orientation, 6);
+        assert.strictEqual(exif.sensitive.length, 4);
+    }
+});
+
+test('把方向改为正常时不修改原数据', () => {
+    for (const little of [false, true]) {
+        const tiff = buildTiff({ ...PHONE_TIFF, little });
+        const jpegWith = data => buildJpeg([jpegSegment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), data]))]);
+        const reset = resetExifOrientation(tiff);
+        assert.strictEqual(readExif(jpegWith(Buffer.from(reset))).orientation, 1);
+        assert.strictEqual(readExif(jpegWith(tiff)).orientation, 6);
+        assert.strictEqual(readExif(jpegWith(Buffer.from(reset))).sensitive.length, 4);
+    }
+});
+
+test('只含方向的 EXIF 能读回方向，没有其他标签', () => {
+    for (let orientation = 1; orientation <= 8; orientation++) {
+        const jpeg = buildJpeg([jpegSegment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), createOrientationExif(orientation)]))]);
+        const exif = readExif(jpeg);
+        assert.strictEqual(exif.orientation, orientation);
+        assert.deepStrictEqual(exif.sensitive, []);
+    }
+});
+
+test('八种方向的变换把原始像素放到转正后的位置', () => {
+    const width = 3;
+    const height = 2;
+    // 原始像素 (x, y) 的中心在转正图片中的位置，按 EXIF 规范定义
+    const expected = {
+        1: (x, y) => [x, y],
+        2: (x, y) => [width - 1 - x, y],
+        3: (x, y) => [width - 1 - x, height - 1 - y],
+        4: (x, y) => [x, height - 1 - y],
+        5: (x, y) => [y, x],
+        6: (x, y) => [height - 1 - y, x],
+        7: (x, y) => [height - 1 - y, width - 1 - x],
+        8: (x, y) => [y, width - 1 - x]
+    };
+    for (let orientation = 1; orientation <= 8; orientation++) {
+        const { width: outWidth, height: outHeight, matrix: [a, b, c, d, e, f] } = orientationTransform(orientation, width, height);
+        assert.deepStrictEqual([outWidth, outHeight], orientation >= 5 ? [height, width] : [width, height]);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const cx = x + 0.5;
+                const cy = y + 0.5;
+                const mapped = [a * cx + c * cy + e - 0.5, b * cx + d * cy + f - 0.5];
+                assert.deepStrictEqual(mapped, expected[orientation](x, y), `方向 ${orientation} 像素 (${x}, ${y})`);
+            }
+        }
+    }
+    assert.deepStrictEqual(orientationTransform(42, width, height).matrix, [1, 0, 0, 1, 0, 0]);
+});
+
+test('JPEG 去掉 EXIF、XMP、IPTC 和注释，保留混淆记录和图像数据', () => {
+    const record = jpegSegment(0xFE, Buffer.from(METADATA_KEYWORD + ':{"v":1}', 'latin1'));
+    const exif = jpegSegment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), buildTiff(PHONE_TIFF)]));
+    const xmp = jpegSegment(0xE1, Buffer.from('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>', 'latin1'));
+    const iptc = jpegSegment(0xED, Buffer.from('Photoshop 3.0\0', 'latin1'));
+    const comment = jpegSegment(0xFE, Buffer.from('Shot on my phone', 'latin1'));
+    const icc = jpegSegment(0xE2, Buffer.from('ICC_PROFILE\0\x01\x01', 'latin1'));
+
+    const { bytes, removed } = stripMetadata(buildJpeg([exif, xmp, iptc, comment, icc, record]));
+    assert.deepStrictEqual(removed, ['EXIF', 'XMP', 'IPTC', '注释']);
+    assert.deepStrictEqual(Buffer.from(bytes), buildJpeg([icc, record]));
+    assert.strictEqual(readExif(bytes), null);
+
+    // 没有可去掉的内容时原样返回
+    const clean = buildJpeg([record]);
+    const result = stripMetadata(clean);
+    assert.strictEqual(result.bytes, clean);
+    assert.deepStrictEqual(result.removed, []);
+});
+
+test('PNG 去掉 eXIf、tIME 和文本块，保留混淆记录，像素不变', () => {
+    const image = sampleImage(5, 4);
+    const png = insertPngChunks(encodePng(image), [
+        pngChunk('eXIf', buildTiff(PHONE_TIFF)),
+        pngChunk('tIME', Buffer.from([7, 232, 5, 1, 10, 0, 0])),
+        pngChunk('tEXt', Buffer.from('Author\0me', 'latin1')),
+        pngChunk('tEXt', Buffer.from(METADATA_KEYWORD + '\0{"v":1}', 'latin1')),
+        pngChunk('iTXt', Buffer.from('XML:com.adobe.xmp\0\0\0\0\0<x/>', 'latin1'))
+    ]);
+
+    const { bytes, removed } = stripMetadata(png);
+    assert.deepStrictEqual(removed, ['EXIF', '修改时间', '文本']);
+    assert.deepStrictEqual(readChunks(Buffer.from(bytes)).map(c => c.type), ['IHDR', 'tEXt', 'IDAT', 'IEND']);
+    assert.deepStrictEqual(decodePng(Buffer.from(bytes)).data, image.data);
+    assert.strictEqual(readExif(bytes), null);
+});
+
+test('WebP 去掉 EXIF 和 XMP 块，更新 RIFF 大小并清掉 VP8X 标志', () => {
+    const vp8x = webpChunk('VP8X', Buffer.from([0x2C, 0, 0, 0, 3, 0, 0, 2, 0, 0]));
+    const vp8l = webpChunk('VP8L', Buffer.from([0x2F, 3, 0x80, 0, 0]));
+    const record = webpChunk('LXCF', Buffer.from('{"v":1}', 'latin1'));
+    const webp = buildWebp([vp8x, vp8l, webpChunk('EXIF', buildTiff(PHONE_TIFF)), webpChunk('XMP ', Buffer.from('<x/>')), record]);
+
+    const { bytes, removed } = stripMetadata(webp);
+    assert.deepStrictEqual(removed, ['EXIF', 'XMP']);
+    const expectedVp8x = webpChunk('VP8X', Buffer.from([0x20, 0, 0, 0, 3, 0, 0, 2, 0, 0]));
+    assert.deepStrictEqual(Buffer.from(bytes), buildWebp([expectedVp8x, vp8l, record]));
+    assert.strictEqual(readExif(bytes), null);
+
+    // 没有元数据的 GIF 原样返回
+    const gif = Buffer.from('GIF89a\x01\0\x01\0\0\0\0;', 'latin1');
+    assert.strictEqual(stripMetadata(gif).bytes, gif);
+});
+
+test('JPEG 在主图结尾截断，去掉 MPF 附属图像和非必要的 APP 段', () => {
+    const mpf = jpegSegment(0xE2, Buffer.from('MPF\0MM\0\x2A\0\0\0\x08', 'latin1'));
+    const exif = jpegSegment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), buildTiff(PHONE_TIFF)]));
+    const ducky = jpegSegment(0xEC, Buffer.from('Ducky\0\x01', 'latin1'));
+    const adobe = jpegSegment(0xEE, Buffer.from('Adobe\0\x64\0\0\0\0\x01', 'latin1'));
+    // MPF 的附属图像（如深度图、缩略图）接在主图的 EOI 之后，也带着 EXIF
+    const secondary = buildJpeg([exif]);
+
+    const { bytes, removed } = stripMetadata(Buffer.concat([buildJpeg([mpf, exif, ducky, adobe]), secondary]));
+    assert.deepStrictEqual(removed, ['附加数据', 'MPF', 'EXIF', 'APP12']);
+    assert.deepStrictEqual(Buffer.from(bytes), buildJpeg([adobe]));
+    assert.strictEqual(readExif(bytes), null);
+});
+
+test('GIF 去掉 XMP、注释和其他应用扩展，保留循环次数、混淆记录和图像数据', () => {
+    const loop = gifExtension(0xFF, Buffer.from('NETSCAPE2.0\x01\0\0', 'latin1'));
+    const control = gifExtension(0xF9, Buffer.from([0, 10, 0, 0]));
+    const xmp = gifExtension(0xFF, Buffer.from('XMP DataXMP<x:xmpmeta>' + 'a'.repeat(300) + '</x:xmpmeta>', 'latin1'));
+    const other = gifExtension(0xFF, Buffer.from('MGKIPTC0000Photoshop', 'latin1'));
+    const comment = gifExtension(0xFE, Buffer.from('Shot on my phone', 'latin1'));
+    const record = gifExtension(0xFE, Buffer.from(METADATA_KEYWORD + ':{"v":1}', 'latin1'));
+
+    const gif = buildGif([loop, xmp, other, comment, record, control]);
+    const { bytes, removed } = stripMetadata(Buffer.concat([gif, Buffer.from('tail data')]));
+    assert.deepStrictEqual(removed, ['附加数据', 'XMP', '应用扩展', '注释']);
+    assert.deepStrictEqual(Buffer.from(bytes), buildGif([loop, record, control]));
+
+    // AVIF 无法逐块清理，原样返回并标记需要重新编码
+    const avif = Buffer.concat([Buffer.from([0, 0, 0, 28]), Buffer.from('ftypmif1\0\0\0\0mif1avifmiaf', 'latin1')]);
+    const result = stripMetadata(avif);
+    assert.strictEqual(result.bytes, avif);
+    assert.strictEqual(result.unsupported, true);
+});
@@ -0,0 +1,47 @@
+// 样例测试：fixtures 中每张图片都能还原为 source.png，且当前算法混淆结果与样例逐字节一致
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const core = require('../core.js');
+const { decodePng } = require('../png.js');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'manifest.json'), 'utf8'));
+const source = decodePng(fs.readFileSync(path.join(FIXTURE_DIR, manifest.source)));
+
+for (const fixture of manifest.fixtures) {
+    test(`样例 ${fixture.file}`, async () => {
+        const params = { ...fixture.params };
+        if (params.passphrase) {
+            params.keyWords = await core.deriveKeyWords(params.passphrase);
+        }
+        const confused = decodePng(fs.readFileSync(path.join(FIXTURE_DIR, fixture.file)));
+
+        const restored = core.deconfuseImageData(confused, params);
+        assert.deepStrictEqual(restored.data, source.data, '解混淆结果与原图不同');
+
+        const encoded = core.confuseImageData(source, params);
+        assert.deepStrictEqual(encoded.data, confused.data, '混淆结果与样例不同');
+    });
+}
+
+test('兼容方案：错误的密钥无法还原', () => {
+    for (const algorithm of Object.keys(core.COMPAT_SCHEMES)) {
+        const fixture = manifest.fixtures.find(f => f.params.algorithm === algorithm);
+        const confused = decodePng(fs.readFileSync(path.join(FIXTURE_DIR, fixture.file)));
+        const wrong = core.deconfuseImageData(confused, { ...fixture.params, compatKey: '0.12345' });
+        assert.notDeepStrictEqual(wrong.data, source.data, algorithm);
+    }
+});
+
+test('Logistic 密钥必须在 0 到 1 之间', () => {
+    assert.throws(() => core.confuseImageData(source, { algorithm: 'logistic-row', compatKey: 'abc' }), /0 到 1/);
+});
+
+test('MD5 与标准实现一致', () => {
+    const crypto = require('crypto');
+    for (const text of ['', '0.6661', '中文密钥', 'x'.repeat(55), 'x'.repeat(56), 'x'.repeat(200)]) {
+        assert.strictEqual(core.md5(text), crypto.createHash('md5').update(text).digest('hex'));
+    }
+});
@@ -0,0 +1,48 @@
+// 重新生成测试样例：node test/fixtures/generate.js
+// 仅在有意修改算法时运行；样例用于保证已发布的混淆结果仍能被还原
+const fs = require('fs');
+const path = require('path');
+const core = require('../../core.js');
+const { encodePng } = require('../../png.js');
+
+const WIDTH = 120;
+const HEIGHT = 90;
+
+// 渐变背景上的几个色块和圆，便于肉眼检查还原结果
+function createSource() {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const o = 4 * (x + y * WIDTH);
+            let r = Math.round(255 * x / (WIDTH - 1));
+            let g = Math.round(255 * y / (HEIGHT - 1));
+            let b = 128;
+            if (x > 10 && x < 40 && y > 10 && y < 40) [r, g, b] = [230, 40, 40];
+            if ((x - 80) ** 2 + (y - 50) ** 2 < 400) [r, g, b] = [30, 60, 220];
+            if (y > 70 && (x >> 3) % 2 === 0) [r, g, b] = [20, 20, 20];
+            data[o] = r;
+            data[o + 1] = g;
+            data[o + 2] = b;
+            data[o + 3] = 255;
+        }
+    }
+    return { width: WIDTH, height: HEIGHT, data };
+}
+
+async function main() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'manifest.json'), 'utf8'));
+    const source = createSource();
+    fs.writeFileSync(path.join(__dirname, manifest.source), encodePng(source));
+
+    for (const fixture of manifest.fixtures) {
+        const params = { ...fixture.params };
+        if (params.passphrase) {
+            params.keyWords = await core.deriveKeyWords(params.passphrase);
+        }
+        const confused = core.confuseImageData(source, params);
+        fs.writeFileSync(path.join(__dirname, fixture.file), encodePng(confused));
+        console.log(fixture.file);
+    }
+}
+
+main();
@@ -0,0 +1,118 @@
+// PNG 编解码测试
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { decodePng, encodePng, crc32 } = require('../png.js');
+
+function chunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const out = Buffer.alloc(body.length + 8);
+    out.writeUInt32BE(data.length, 0);
+    body.copy(out, 4);
+    out.writeUInt32BE(crc32(body), body.length + 4);
+    return out;
+}
+
+// 手工拼一个不滤波的 PNG，rows 为每行的原始字节
+function buildPng(width, height, bitDepth, colorType, rows, extra = []) {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = bitDepth;
+    ihdr[9] = colorType;
+    const raw = Buffer.concat(rows.map(row => Buffer.concat([Buffer.from([0]), Buffer.from(row)])));
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', ihdr),
+        ...extra,
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function pixel(image, x, y) {
+    const o = 4 * (x + y * image.width);
+    return Array.from(image.data.subarray(o, o + 4));
+}
+
+test('RGBA 编码后解码完全一致（含各种滤波）', () => {
+    for (const [width, height] of [[1, 1], [3, 5], [64, 33], [101, 7]]) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = (i * 37 + (i >> 6) * 11) & 0xFF;
+        }
+        const decoded = decodePng(encodePng({ width, height, data }));
+        assert.strictEqual(decoded.width, width);
+        assert.strictEqual(decoded.height, height);
+        assert.deepStrictEqual(decoded.data, data);
+    }
+});
+
+test('写入并读回 tEXt', () => {
+    const image = { width: 1, height: 1, data: new Uint8ClampedArray([1, 2, 3, 4]) };
+    const decoded = decodePng(encodePng(image, { LXConfusion: '{"a":1}' }));
+    assert.strictEqual(decoded.text.LXConfusion, '{"a":1}');
+});
+
+test('解码 RGB、灰度、灰度 Alpha 与 16 位', () => {
+    const rgb = decodePng(buildPng(2, 1, 8, 2, [[10, 20, 30, 40, 50, 60]]));
+    assert.deepStrictEqual(pixel(rgb, 1, 0), [40, 50, 60, 255]);
+
+    const gray = decodePng(buildPng(2, 1, 8, 0, [[0, 200]]));
+    assert.deepStrictEqual(pixel(gray, 1, 0), [200, 200, 200, 255]);
+
+    const grayAlpha = decodePng(buildPng(1, 1, 8, 4, [[90, 128]]));
+    assert.deepStrictEqual(pixel(grayAlpha, 0, 0), [90, 90, 90, 128]);
+
+    const rgba16 = decodePng(buildPng(1, 1, 16, 6, [[0x12, 0x34, 0xAB, 0xCD, 0xFF, 0x00, 0x80, 0x00]]));
+    assert.deepStrictEqual(pixel(rgba16, 0, 0), [0x12, 0xAB, 0xFF, 0x80]);
+});
+
+test('解码低位深灰度与调色板（含 tRNS）', () => {
+    const gray1 = decodePng(buildPng(10, 1, 1, 0, [[0b10100000, 0b01000000]]));
+    assert.deepStrictEqual(Array.from({ length: 10 }, (_, x) => pixel(gray1, x, 0)[0]),
+        [255, 0, 255, 0, 0, 0, 0, 0, 0, 255]);
+
+    const plte = chunk('PLTE', Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255]));
+    const trns = chunk('tRNS', Buffer.from([255, 0]));
+    const palette = decodePng(buildPng(3, 1, 2, 3, [[0b00011000]], [plte, trns]));
+    assert.deepStrictEqual(pixel(palette, 0, 0), [255, 0, 0, 255]);
+    assert.deepStrictEqual(pixel(palette, 1, 0), [0, 255, 0, 0]);
+    assert.deepStrictEqual(pixel(palette, 2, 0), [0, 0, 255, 255]);
+});
+
+test('解码 Adam7 隔行图片', () => {
+    // 3x3 灰度，按 Adam7 拆分：第 1 遍 (0,0)，第 4 遍 (2,0)，第 5 遍 (0,2)(2,2)，第 6 遍 (1,0)(1,2)，第 7 遍 第 1 行
+    const values = [[0, 10, 20], [30, 40, 50], [60, 70, 80]];
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(3, 0);
+    ihdr.writeUInt32BE(3, 4);
+    ihdr[8] = 8;
+    ihdr[12] = 1;
+    const raw = Buffer.from([
+        0, 0,           // 第 1 遍
+        0, 20,          // 第 4 遍
+        0, 60, 80,      // 第 5 遍
+        0, 10, 0, 70,   // 第 6 遍（两行）
+        0, 30, 40, 50   // 第 7 遍
+    ]);
+    const png = Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+    const image = decodePng(png);
+    for (let y = 0; y < 3; y++) {
+        for (let x = 0; x < 3; x++) {
+            assert.strictEqual(pixel(image, x, y)[0], values[y][x], `(${x}, ${y})`);
+        }
+    }
+});
+
+test('拒绝非 PNG 和校验失败的文件', () => {
+    assert.throws(() => decodePng(Buffer.from('not a png')), /不是PNG文件/);
+    const png = encodePng({ width: 1, height: 1, data: new Uint8ClampedArray(4) });
+    png[20] ^= 0xFF;
+    assert.throws(() => decodePng(png), /校验失败/);
+});
@@ -0,0 +1,267 @@
+// 图片修复测试：按文件头识别格式并去掉包裹数据；PNG 逐块检查 CRC、丢弃损坏的辅助块、补回 IEND、截断的图像数据尽量恢复
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { repairPng, detectImageFormat, unwrapImage, locateImage, IMAGE_HEAD_BYTES, IMAGE_TAIL_BYTES } = require('../repair.js');
+const { decodePng, encodePng, readChunks, crc32 } = require('../png.js');
+const animation = require('../animation.js');
+
+function sampleImage(width, height, seed) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    let state = seed >>> 0;
+    for (let i = 0; i < data.length; i++) {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        data[i] = state >>> 24;
+    }
+    return { width, height, data };
+}
+
+function chunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const out = Buffer.alloc(body.length + 8);
+    out.writeUInt32BE(data.length, 0);
+    body.copy(out, 4);
+    out.writeUInt32BE(crc32(body), body.length + 4);
+    return out;
+}
+
+// 各数据块在文件中的起始位置
+function chunkOffsets(bytes) {
+    const offsets = {};
+    let pos = 8;
+    while (pos + 12 <= bytes.length) {
+        const length = bytes.readUInt32BE(pos);
+        const type = bytes.toString('latin1', pos + 4, pos + 8);
+        offsets[type] = offsets[type] || pos;
+        pos += length + 12;
+    }
+    return offsets;
+}
+
+function statuses(result) {
+    return result.findings.map(f => `${f.type}:${f.status}`);
+}
+
+function assertSameImage(bytes, image) {
+    const decoded = decodePng(Buffer.from(bytes));
+    assert.deepStrictEqual([decoded.width, decoded.height], [image.width, image.height]);
+    assert.deepStrictEqual(decoded.data, image.data);
+}
+
+test('完好的 PNG 不做改动', async () => {
+    const png = encodePng(sampleImage(9, 7, 1), { Comment: 'hi' });
+    const result = await repairPng(png);
+    assert.strictEqual(result.changed, false);
+    assert.deepStrictEqual(Buffer.from(result.bytes), png);
+    assert.ok(result.findings.every(f => f.status === 'ok'));
+    assert.deepStrictEqual(statuses(result), ['签名:ok', 'IHDR:ok', 'tEXt:ok', 'IDAT:ok', 'IEND:ok', 'IDAT:ok']);
+    assert.deepStrictEqual([result.header.width, result.header.height], [9, 7]);
+});
+
+test('缺少 IEND 时补上，损坏的辅助块被丢弃，关键块重新计算 CRC', async () => {
+    const image = sampleImage(12, 10, 2);
+    const png = Buffer.from(encodePng(image, { Comment: 'damaged' }));
+    const offsets = chunkOffsets(png);
+    png[offsets.tEXt + 10] ^= 0x20;          // 文本内容损坏
+    png[offsets.IHDR + 8 + 13] ^= 0xFF;      // 只有 IHDR 的 CRC 字段损坏
+    const broken = png.subarray(0, png.length - 12);
+
+    const result = await repairPng(broken);
+    assert.strictEqual(result.changed, true);
+    assert.deepStrictEqual(statuses(result), ['签名:ok', 'IHDR:fixed', 'tEXt:dropped', 'IDAT:ok', 'IEND:fixed', 'IDAT:ok']);
+    assertSameImage(result.bytes, image);
+    assert.deepStrictEqual(readChunks(Buffer.from(result.bytes)).map(c => c.type), ['IHDR', 'IDAT', 'IEND']);
+});
+
+test('签名损坏、多余的前缀和数据块之间的垃圾数据都能跳过', async () => {
+    const image = sampleImage(5, 4, 3);
+    const png = Buffer.from(encodePng(image));
+    const offsets = chunkOffsets(png);
+    const damaged = Buffer.concat([
+        Buffer.from('garbage'),
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0A, 0x1A, 0x0A]),  // 换行被转换过的签名
+        png.subarray(8, offsets.IDAT),
+        Buffer.from([0x01, 0x02, 0x03, 0x04, 0x05]),
+        png.subarray(offsets.IDAT),
+        Buffer.from('trailing')
+    ]);
+    const result = await repairPng(damaged);
+    assert.deepStrictEqual(statuses(result), ['签名:fixed', 'IHDR:ok', '?:dropped', 'IDAT:ok', 'IEND:ok', '-:dropped', 'IDAT:ok']);
+    assert.match(result.findings[0].message, /14 字节多余数据/);
+    assertSameImage(result.bytes, image);
+});
+
+test('长度字段错误时按下一个数据块的位置修正', async () => {
+    const image = sampleImage(6, 6, 4);
+    const png = Buffer.from(encodePng(image, { Title: 'length' }));
+    const offsets = chunkOffsets(png);
+    png.writeUInt32BE(0x00FFFFFF, offsets.tEXt);
+    const result = await repairPng(png);
+    assert.strictEqual(result.findings[2].type, 'tEXt');
+    assert.strictEqual(result.findings[2].status, 'fixed');
+    assert.match(result.findings[2].message, /实际为 12/);
+    assertSameImage(result.bytes, image);
+    assert.deepStrictEqual(readChunks(Buffer.from(result.bytes)).map(c => c.type), ['IHDR', 'tEXt', 'IDAT', 'IEND']);
+});
+
+test('截断的图像数据恢复已有的行，其余以空白填充', async () => {
+    const image = sampleImage(64, 256, 5);
+    const png = Buffer.from(encodePng(image));
+    const offsets = chunkOffsets(png);
+    const idatLength = png.readUInt32BE(offsets.IDAT);
+    const broken = png.subarray(0, offsets.IDAT + 8 + Math.floor(idatLength * 0.6));
+
+    const result = await repairPng(broken);
+    assert.deepStrictEqual(statuses(result), ['签名:ok', 'IHDR:ok', 'IDAT:fixed', 'IEND:fixed', 'IDAT:fixed']);
+    const summary = result.findings[4].message;
+    const recovered = Number(summary.match(/恢复了 (\d+) \/ 256 行/)[1]);
+    assert.ok(recovered > 64 && recovered < 256, summary);
+
+    const decoded = decodePng(Buffer.from(result.bytes));
+    const rowBytes = 64 * 4;
+    assert.deepStrictEqual(decoded.data.subarray(0, recovered * rowBytes), image.data.subarray(0, recovered * rowBytes));
+    assert.ok(decoded.data.subarray((recovered + 1) * rowBytes).every(v => v === 0));
+});
+
+test('隔行扫描的调色板图片：压缩数据损坏时按扫描线补齐', async () => {
+    const width = 13, height = 11;
+    const ihdr = Buffer.from([0, 0, 0, width, 0, 0, 0, height, 4, 3, 0, 0, 1]);
+    // 七个子图每行 (ceil(w/dx) * 4 位) 字节，按顺序排列
+    const passes = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+    const rows = [];
+    for (const [x0, y0, dx, dy] of passes) {
+        const w = Math.ceil(Math.max(0, width - x0) / dx), h = Math.ceil(Math.max(0, height - y0) / dy);
+        if (!w || !h) continue;
+        for (let y = 0; y < h; y++) rows.push(Buffer.concat([Buffer.from([0]), Buffer.alloc(Math.ceil(w / 2), 0x12)]));
+    }
+    const raw = Buffer.concat(rows);
+    const idat = zlib.deflateSync(raw);
+    idat[idat.length - 1] ^= 0xFF;            // Adler-32 校验和损坏
+    const png = Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', ihdr),
+        chunk('PLTE', Buffer.from([0, 0, 0, 255, 0, 0, 0, 255, 0])),
+        chunk('IDAT', idat),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+    const result = await repairPng(png);
+    assert.deepStrictEqual(statuses(result), ['签名:ok', 'IHDR:ok', 'PLTE:ok', 'IDAT:ok', 'IEND:ok', 'IDAT:fixed']);
+    assert.match(result.findings[5].message, /长度完整/);
+    const decoded = decodePng(Buffer.from(result.bytes));
+    assert.deepStrictEqual([decoded.width, decoded.height], [width, height]);
+    assert.deepStrictEqual(Array.from(decoded.data.subarray(0, 4)), [255, 0, 0, 255]);
+});
+
+test('不是 PNG 或缺少必需数据块时给出原因', async () => {
+    let result = await repairPng(Buffer.from('not a png at all'));
+    assert.strictEqual(result.bytes, null);
+    assert.deepStrictEqual(statuses(result), ['签名:error']);
+
+    const png = Buffer.from(encodePng(sampleImage(3, 3, 6)));
+    const offsets = chunkOffsets(png);
+    result = await repairPng(png.subarray(0, offsets.IDAT));
+    assert.strictEqual(result.bytes, null);
+    assert.strictEqual(result.findings.at(-1).type, 'IDAT');
+    assert.strictEqual(result.findings.at(-1).status, 'error');
+});
+
+// 结构完整的 JPEG：APP1 中带有自己的 SOI / EOI 缩略图，扫描数据含填充字节和复位标记，两段扫描（渐进式）
+function sampleJpeg() {
+    const segment = (marker, payload) => Buffer.concat([Buffer.from([0xFF, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF]), payload]);
+    return Buffer.concat([
+        Buffer.from([0xFF, 0xD8]),
+        segment(0xE0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+        segment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), Buffer.from([0xFF, 0xD8, 0xFF, 0xDB, 1, 2, 0xFF, 0xD9])])),
+        segment(0xDB, Buffer.alloc(65, 1)),
+        segment(0xC2, Buffer.from([8, 0, 4, 0, 4, 1, 1, 0x11, 0])),
+        segment(0xDA, Buffer.from([1, 1, 0, 0, 0x3F, 0])),
+        Buffer.from([0x12, 0xFF, 0x00, 0x34, 0xFF, 0xD0, 0x56]),
+        segment(0xC4, Buffer.alloc(20, 2)),
+        segment(0xDA, Buffer.from([1, 1, 0, 1, 0x3F, 0])),
+        Buffer.from([0x78, 0xFF, 0x00, 0x9A]),
+        Buffer.from([0xFF, 0xD9])
+    ]);
+}
+
+function sampleGifBytes() {
+    return Buffer.from(animation.encodeGif({
+        format: 'gif', width: 3, height: 2, flags: 0x80, backgroundIndex: 0, aspect: 0,
+        globalPalette: new Uint8Array(6).fill(9), loopCount: null,
+        frames: [{ x: 0, y: 0, width: 3, height: 2, flags: 0, palette: null, minCodeSize: 2, control: null, indices: new Uint8Array(6) }]
+    }));
+}
+
+test('按文件头识别六种图片格式', () => {
+    const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.from([4, 0, 0, 0]), Buffer.from('WEBP')]);
+    const bmp = Buffer.alloc(60);
+    bmp.write('BM', 0, 'latin1');
+    bmp.writeUInt32LE(60, 2);
+    bmp.writeUInt32LE(54, 10);
+    bmp.writeUInt32LE(40, 14);
+    const avif = Buffer.concat([Buffer.from([0, 0, 0, 28]), Buffer.from('ftypmif1\0\0\0\0mif1avifmiaf', 'latin1')]);
+    const cases = [
+        [encodePng(sampleImage(2, 2, 7)), 'png'],
+        [sampleJpeg(), 'jpeg'],
+        [webp, 'webp'],
+        [sampleGifBytes(), 'gif'],
+        [bmp, 'bmp'],
+        [avif, 'avif'],
+        [Buffer.from('BMP but not a bitmap header'), null],
+        [Buffer.from([0xFF, 0xD8, 0x00, 0x00]), null]
+    ];
+    for (const [bytes, format] of cases) assert.strictEqual(detectImageFormat(bytes), format, String(format));
+});
+
+test('去掉开头和末尾的包裹数据，并按实际格式标记类型', () => {
+    const jpeg = sampleJpeg();
+    const wrapped = Buffer.concat([Buffer.from('douyin-header-0123'), jpeg, Buffer.from('tail data')]);
+    const result = unwrapImage(wrapped);
+    assert.strictEqual(result.format, 'jpeg');
+    assert.strictEqual(result.mime, 'image/jpeg');
+    assert.deepStrictEqual(Buffer.from(result.bytes), jpeg);
+    assert.deepStrictEqual(result.notes, ['去掉了开头 18 字节的包裹数据', '去掉了末尾 9 字节的多余数据']);
+
+    const png = encodePng(sampleImage(4, 4, 8));
+    const pngResult = unwrapImage(Buffer.concat([Buffer.alloc(100, 0x20), png, Buffer.alloc(7)]));
+    assert.strictEqual(pngResult.format, 'png');
+    assert.deepStrictEqual(Buffer.from(pngResult.bytes), png);
+
+    // 完整的文件原样返回
+    const intact = unwrapImage(jpeg);
+    assert.strictEqual(intact.changed, false);
+    assert.strictEqual(intact.bytes, jpeg);
+    assert.deepStrictEqual(intact.notes, []);
+    assert.strictEqual(unwrapImage(Buffer.from('no image here')), null);
+});
+
+test('只看开头和结尾能确认完整时不必读取整个文件', () => {
+    const locate = bytes => locateImage(bytes.subarray(0, IMAGE_HEAD_BYTES), bytes.subarray(Math.max(0, bytes.length - IMAGE_TAIL_BYTES)), bytes.length);
+    const jpeg = sampleJpeg();
+    const png = encodePng(sampleImage(4, 4, 8));
+
+    const { bytes, ...unwrapped } = unwrapImage(jpeg);
+    assert.deepStrictEqual(locate(jpeg), unwrapped);
+    assert.strictEqual(unwrapped.changed, false);
+    const prefixed = locate(Buffer.concat([Buffer.alloc(100, 0x20), png]));
+    assert.deepStrictEqual([prefixed.format, prefixed.start, prefixed.end, prefixed.changed], ['png', 100, 100 + png.length, true]);
+    assert.deepStrictEqual(prefixed.notes, ['去掉了开头 100 字节的包裹数据']);
+
+    // 末尾有多余数据或被截断时需要读取整个文件
+    assert.deepStrictEqual(locate(Buffer.concat([jpeg, Buffer.from('tail')])), { format: 'jpeg', needsFullScan: true });
+    assert.strictEqual(locate(jpeg.subarray(0, jpeg.length - 4)).needsFullScan, true);
+    assert.strictEqual(locate(Buffer.from('no image here')), null);
+});
+
+test('截断的 JPEG 补上 EOI，截断的 GIF 补上结束符', () => {
+    const jpeg = sampleJpeg();
+    const truncated = jpeg.subarray(0, jpeg.length - 4);
+    const result = unwrapImage(truncated);
+    assert.strictEqual(result.changed, true);
+    assert.deepStrictEqual(Buffer.from(result.bytes), Buffer.concat([truncated, Buffer.from([0xFF, 0xD9])]));
+    assert.match(result.notes[0], /EOI/);
+
+    const gif = sampleGifBytes();
+    const gifResult = unwrapImage(Buffer.concat([gif.subarray(0, gif.length - 1), Buffer.from('junk')]));
+    assert.deepStrictEqual(Buffer.from(gifResult.bytes), gif);
+    assert.strictEqual(gifResult.notes.length, 2);
+});
@@ -0,0 +1,111 @@
+// 后台混淆线程：在 OffscreenCanvas 上完成像素重排和编码，避免阻塞页面
+importScripts('core.js', 'bytes.js', 'animation.js');
+
+// 流水线中的格式转换：按步骤指定的格式编码后再解码
+async function reencodeImage(image, step) {
+    const canvas = new OffscreenCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    // JPEG 不支持透明度，先按底色合成
+    const { mime } = resolveOutputMime(image.data, step);
+    ctx.putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    const blob = await canvas.convertToBlob({ type: mime, quality: step.quality });
+    const bitmap = await createImageBitmap(blob);
+    ctx.clearRect(0, 0, image.width, image.height);
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return { width: image.width, height: image.height, data: ctx.getImageData(0, 0, image.width, image.height).data };
+}
+
+self.onmessage = async (e) => {
+    const { id, op, bitmap, params, options, output } = e.data;
+
+    // 进度按整数百分比节流后回报
+    let lastPercent = -1;
+    const onProgress = (stage, fraction) => {
+        const percent = Math.floor(fraction * 100);
+        if (percent !== lastPercent) {
+            lastPercent = percent;
+            self.postMessage({ id, type: 'progress', stage, value: fraction });
+        }
+    };
+
+    try {
+        // 动图直接处理文件字节，逐帧重排后重新编码为同一格式
+        if (op === 'animation') {
+            const result = await processAnimation(e.data.bytes, params, e.data.reverse, onProgress);
+            self.postMessage({ id, type: 'done', result }, [result.bytes.buffer]);
+            return;
+        }
+
+        const width = bitmap.width;
+        const height = bitmap.height;
+
+        // 超大图片分条读取和写出，不在线程中保留整幅的画布副本
+        if ((op === 'encrypt' || op === 'decrypt') && needsStripProcessing(width, height, params)) {
+            const large = confuseLargeImage(bitmap, width, height, params, op === 'decrypt', output,
+                (w, h) => new OffscreenCanvas(w, h), onProgress);
+            bitmap.close();
+            self.postMessage({ id, type: 'progress', stage: 'encode', value: 0 });
+            const blob = await large.canvas.convertToBlob({ type: large.mime, quality: output.quality });
+            self.postMessage({ id, type: 'done', result: { blob, mime: large.mime, info: large.info, width: large.width, height: large.height } });
+            return;
+        }
+
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        const imgdata = ctx.getImageData(0, 0, width, height);
+
+        if (op === 'analyze') {
+            const result = analyzeConfusion(imgdata.data, width, height, params);
+            self.postMessage({ id, type: 'done', result });
+            return;
+        }
+
+        const image = { width, height, data: imgdata.data };
+
+        if (op === 'recover') {
+            const { ranked, results } = recoverImage(image, params, options, onProgress);
+            self.postMessage({ id, type: 'progress', stage: 'encode', value: 0 });
+            const encoded = [];
+            for (const { image: restored, ...candidate } of results) {
+                const out = new OffscreenCanvas(restored.width, restored.height);
+                const { mime } = resolveOutputMime(restored.data, output);
+                out.getContext('2d').putImageData(new ImageData(restored.data, restored.width, restored.height), 0, 0);
+                const blob = await out.convertToBlob({ type: mime, quality: output.quality });
+                encoded.push({ ...candidate, blob, width: restored.width, height: restored.height });
+            }
+            self.postMessage({ id, type: 'done', result: { ranked, results: encoded } });
+            return;
+        }
+
+        let result;
+        if (op === 'pipeline') {
+            result = await runPipeline(image, params.steps, {
+                keyWords: params.keyWords,
+                reencode: reencodeImage,
+                onProgress: fraction => onProgress('step', fraction)
+            });
+        } else {
+            result = op === 'decrypt'
+                ? deconfuseImageData(image, params, onProgress)
+                : confuseImageData(image, params, onProgress);
+        }
+
+        // 补边或裁剪后尺寸可能变化
+        if (result.width !== width || result.height !== height) {
+            canvas.width = result.width;
+            canvas.height = result.height;
+        }
+        // 自动格式下透明图片输出 PNG；输出 JPEG 时按底色合成透明像素
+        const { mime } = resolveOutputMime(result.data, output);
+        ctx.putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+
+        self.postMessage({ id, type: 'progress', stage: 'encode', value: 0 });
+        const blob = await canvas.convertToBlob({ type: mime, quality: output.quality });
+        self.postMessage({ id, type: 'done', result: { blob, mime, info: result.info, width: result.width, height: result.height } });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message || String(error) });
+    }
+};